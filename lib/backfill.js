@@ -0,0 +1,307 @@
+/*!
+ * backfill.js - backfill headers below a custom start height
+ * Copyright (c) 2019-, Tierion Inc (MIT License).
+ * https://github.com/chainpoint/bitcoin-header-node
+ */
+
+'use strict'
+
+const assert = require('bsert')
+const EventEmitter = require('events')
+const { packets } = require('bcoin')
+
+/**
+ * Header Backfill
+ * Requests headers older than the lowest height in the header index from peers
+ * and adds them to the index, walking backwards from the start block.
+ * Since peers can only send headers going forward from a locator, each segment
+ * is requested starting from the closest checkpoint (or genesis) below it.
+ * The target height is saved in the index so an unfinished backfill is resumed on restart.
+ * @extends EventEmitter
+ */
+
+class HeaderBackfill extends EventEmitter {
+  /**
+   * Create a header backfill
+   * @constructor
+   * @param {Object} options
+   */
+
+  constructor(options) {
+    super()
+
+    assert(options && typeof options === 'object', 'Backfill requires options')
+    assert(options.headerindex, 'Backfill requires a header index')
+    assert(options.pool, 'Backfill requires a pool')
+
+    this.network = options.headerindex.network
+    this.logger = options.logger ? options.logger.context('backfill') : options.headerindex.logger
+    this.headerindex = options.headerindex
+    this.pool = options.pool
+
+    this.height = null
+    this.running = false
+    this.job = null
+    this.timer = null
+    this.wake = null
+
+    // ms to wait for headers from a peer
+    this.timeout = 30000
+    // ms to wait before retrying when there are no peers or a request failed
+    this.retryInterval = 5000
+    // number of headers to write at a time
+    this.batchSize = 2000
+
+    if (options.timeout != null) {
+      assert(Number.isSafeInteger(options.timeout) && options.timeout > 0)
+      this.timeout = options.timeout
+    }
+
+    if (options.retryInterval != null) {
+      assert(Number.isSafeInteger(options.retryInterval) && options.retryInterval > 0)
+      this.retryInterval = options.retryInterval
+    }
+
+    if (options.batchSize != null) {
+      assert(Number.isSafeInteger(options.batchSize) && options.batchSize > 0)
+      this.batchSize = options.batchSize
+    }
+  }
+
+  /**
+   * Resume an unfinished backfill if one was saved in the index
+   * @returns {Promise}
+   */
+
+  async open() {
+    const height = await this.headerindex.getBackfillHeight()
+    if (height != null) {
+      this.logger.info('Resuming backfill to height %d', height)
+      await this.start(height)
+    }
+  }
+
+  /**
+   * Stop any running backfill. The target is kept
+   * in the index so it will be resumed on the next open
+   * @returns {Promise}
+   */
+
+  async close() {
+    await this.stop()
+  }
+
+  /**
+   * Start backfilling headers down to a height.
+   * If a backfill is already running, the target is updated.
+   * @param {Number} height - lowest height to backfill to
+   * @returns {Promise}
+   */
+
+  async start(height) {
+    assert(Number.isSafeInteger(height) && height > 0, 'Backfill height must be a positive integer')
+    assert(!this.headerindex.pruneHeaders, 'Cannot backfill headers when pruning the header index')
+
+    const lowest = this.headerindex.getLowestHeight()
+
+    if (height >= lowest) {
+      this.logger.debug('Headers are already indexed down to %d', lowest)
+      await this.headerindex.setBackfillHeight(null)
+      return
+    }
+
+    await this.headerindex.setBackfillHeight(height)
+    this.height = height
+
+    if (this.running) return
+
+    this.running = true
+    this.job = this.run()
+  }
+
+  /**
+   * Stop a running backfill
+   * @returns {Promise}
+   */
+
+  async stop() {
+    if (!this.running) return
+
+    this.running = false
+    if (this.wake) this.wake()
+
+    await this.job
+    this.job = null
+  }
+
+  /**
+   * Get the status of the backfill
+   * @returns {Object}
+   */
+
+  getStatus() {
+    return {
+      running: this.running,
+      height: this.height,
+      lowest: this.headerindex.getLowestHeight()
+    }
+  }
+
+  /**
+   * Backfill segments until the target is reached or the backfill is stopped
+   * @private
+   * @returns {Promise}
+   */
+
+  async run() {
+    while (this.running && this.headerindex.getLowestHeight() > this.height) {
+      const peer = this.getPeer()
+
+      if (!peer) {
+        await this.sleep()
+        continue
+      }
+
+      try {
+        await this.backfillSegment(peer)
+      } catch (e) {
+        this.logger.warning('Backfill from %s failed: %s', peer.hostname(), e.message)
+        await this.sleep()
+      }
+    }
+
+    if (this.running) {
+      try {
+        await this.headerindex.setBackfillHeight(null)
+        this.logger.info('Finished backfilling headers to height %d', this.height)
+        this.emit('complete', this.height)
+      } catch (e) {
+        this.emit('error', e)
+      }
+    }
+
+    this.running = false
+  }
+
+  /**
+   * Request the headers from the closest checkpoint below the lowest
+   * indexed height and add them to the index from the top down
+   * @private
+   * @param {Peer} peer
+   * @returns {Promise}
+   */
+
+  async backfillSegment(peer) {
+    const lowest = this.headerindex.getLowestHeight()
+    const next = await this.headerindex.getHeader(lowest)
+    assert(next, `Missing lowest header at ${lowest}`)
+
+    const base = this.getBase(lowest)
+    const stop = next.prevBlock
+    const count = lowest - base.height - 1
+    const headers = []
+
+    this.logger.info('Requesting %d headers from %d to %d from %s', count, base.height + 1, lowest - 1, peer.hostname())
+
+    let locator = base.hash
+    while (headers.length < count && this.running) {
+      const items = await this.getHeaders(peer, locator, stop)
+
+      if (!items.length) throw new Error('Peer did not return any headers')
+
+      if (!items[0].prevBlock.equals(locator)) throw new Error('Headers did not connect to the locator')
+
+      headers.push(...items)
+      locator = items[items.length - 1].hash()
+
+      if (locator.equals(stop)) break
+    }
+
+    if (!this.running) return
+
+    if (headers.length !== count || !locator.equals(stop))
+      throw new Error(`Headers from checkpoint at ${base.height} did not connect to the lowest header at ${lowest}`)
+
+    // headers below the target don't need to be indexed
+    const end = Math.max(this.height - base.height - 1, 0)
+
+    for (let i = headers.length; i > end && this.running; ) {
+      const start = Math.max(i - this.batchSize, end)
+      const height = await this.headerindex.backfillHeaders(headers.slice(start, i))
+      this.emit('progress', height)
+      i = start
+    }
+  }
+
+  /**
+   * Get the closest checkpoint (or genesis) that is
+   * at least two blocks below a height
+   * @param {Number} height
+   * @returns {Object} - height and hash of the base
+   */
+
+  getBase(height) {
+    let base = { height: 0, hash: this.network.genesis.hash }
+
+    for (const checkpoint of this.network.checkpoints) {
+      if (checkpoint.height < height - 1 && checkpoint.height > base.height) base = checkpoint
+    }
+
+    return base
+  }
+
+  /**
+   * Get a peer to request headers from. The loader is avoided
+   * during headers-first sync so our headers aren't used for syncing
+   * @returns {Peer|null}
+   */
+
+  getPeer() {
+    for (let peer = this.pool.peers.head(); peer; peer = peer.next) {
+      if (!peer.handshake || !peer.outbound) continue
+      if (peer.loader && this.pool.checkpoints) continue
+      return peer
+    }
+
+    return null
+  }
+
+  /**
+   * Request headers from a peer
+   * @param {Peer} peer
+   * @param {Hash} locator
+   * @param {Hash} stop
+   * @returns {Promise} - Returns {@link Headers}[]
+   */
+
+  async getHeaders(peer, locator, stop) {
+    const wait = peer.wait(packets.types.HEADERS, this.timeout)
+    peer.sendGetHeaders([locator], stop)
+    const packet = await wait
+    return packet.items
+  }
+
+  /**
+   * Wait before retrying. Resolves early if the backfill is stopped
+   * @private
+   * @returns {Promise}
+   */
+
+  sleep() {
+    return new Promise(resolve => {
+      this.wake = () => {
+        clearTimeout(this.timer)
+        this.timer = null
+        this.wake = null
+        resolve()
+      }
+      this.timer = setTimeout(this.wake, this.retryInterval)
+    })
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = HeaderBackfill
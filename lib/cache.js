@@ -0,0 +1,94 @@
+/*!
+ * cache.js - lru caches for the header index
+ * Copyright (c) 2019-, Tierion Inc (MIT License).
+ * https://github.com/chainpoint/bitcoin-header-node
+ */
+
+'use strict'
+
+const assert = require('bsert')
+const LRU = require('blru')
+
+/**
+ * Stats LRU
+ * An LRU cache that keeps count of its hits and misses.
+ * A capacity of zero disables the cache.
+ * @extends LRU
+ */
+
+class StatsLRU extends LRU {
+  /**
+   * Create a cache
+   * @constructor
+   * @param {Number} capacity - max number of items
+   */
+
+  constructor(capacity) {
+    assert(Number.isSafeInteger(capacity) && capacity >= 0, 'Cache capacity must be a non-negative integer')
+    super(capacity)
+
+    this.hits = 0
+    this.misses = 0
+  }
+
+  /**
+   * Get an item and count the lookup
+   * @param {*} key
+   * @returns {*|null}
+   */
+
+  get(key) {
+    if (this.capacity === 0) return null
+
+    const value = super.get(key)
+
+    if (value == null) this.misses++
+    else this.hits++
+
+    return value
+  }
+
+  /**
+   * Add an item. Null values are never cached
+   * since they may be written later
+   * @param {*} key
+   * @param {*} value
+   */
+
+  set(key, value) {
+    if (value == null) return
+    super.set(key, value)
+  }
+
+  /**
+   * Remove all items and reset the stats
+   */
+
+  reset() {
+    super.reset()
+    this.hits = 0
+    this.misses = 0
+  }
+
+  /**
+   * Get the cache stats
+   * @returns {Object}
+   */
+
+  getStats() {
+    const lookups = this.hits + this.misses
+    return {
+      capacity: this.capacity,
+      size: this.items,
+      hits: this.hits,
+      misses: this.misses,
+      hitrate: lookups ? this.hits / lookups : 0
+    }
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = StatsLRU
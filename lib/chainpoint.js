@@ -0,0 +1,293 @@
+/*!
+ * chainpoint.js - parse chainpoint proofs and evaluate their anchors
+ * Copyright (c) 2019-, Tierion Inc (MIT License).
+ * https://github.com/chainpoint/bitcoin-header-node
+ */
+
+'use strict'
+
+const assert = require('bsert')
+const zlib = require('zlib')
+const sha224 = require('bcrypto/lib/sha224')
+const sha256 = require('bcrypto/lib/sha256')
+const sha384 = require('bcrypto/lib/sha384')
+const sha512 = require('bcrypto/lib/sha512')
+const sha3 = require('bcrypto/lib/sha3')
+const hash256 = require('bcrypto/lib/hash256')
+
+/**
+ * Hash operations supported in chainpoint proofs
+ * @const {Object}
+ */
+
+const hashes = {
+  'sha-224': data => sha224.digest(data),
+  'sha-256': data => sha256.digest(data),
+  'sha-384': data => sha384.digest(data),
+  'sha-512': data => sha512.digest(data),
+  'sha3-224': data => sha3.digest(data, 224),
+  'sha3-256': data => sha3.digest(data, 256),
+  'sha3-384': data => sha3.digest(data, 384),
+  'sha3-512': data => sha3.digest(data, 512),
+  'sha-256-x2': data => hash256.digest(data)
+}
+
+/**
+ * Supported proof contexts and their versions
+ * @const {Object}
+ */
+
+const contexts = {
+  'https://w3id.org/chainpoint/v3': 3,
+  'https://w3id.org/chainpoint/v4': 4
+}
+
+/**
+ * Max size of an inflated binary proof. Proofs are a few kilobytes
+ * so this stops a small payload from inflating to an unbounded size
+ * @const {Number}
+ */
+
+const MAX_PROOF_SIZE = 1 << 20
+
+/**
+ * Parse a chainpoint v3 or v4 proof. Proofs can be passed as an object,
+ * a JSON string or the base64 encoded binary format (zlib deflated msgpack)
+ * @param {Object|String|Buffer} input
+ * @returns {Object} proof with its `version`
+ */
+
+function parse(input) {
+  let proof = input
+
+  if (Buffer.isBuffer(proof)) proof = decodeBinary(proof)
+  else if (typeof proof === 'string' && proof.trim()[0] === '{') proof = JSON.parse(proof)
+  else if (typeof proof === 'string') proof = decodeBinary(Buffer.from(proof, 'base64'))
+
+  assert(proof && typeof proof === 'object', 'Chainpoint proof must be an object')
+  assert(proof.type === 'Chainpoint', 'Not a Chainpoint proof')
+
+  const version = contexts[proof['@context']]
+  assert(version, `Unsupported Chainpoint proof context: ${proof['@context']}`)
+
+  assert(typeof proof.hash === 'string' && isHex(proof.hash), 'Chainpoint proof hash must be hex')
+  assert(Array.isArray(proof.branches), 'Chainpoint proof must have branches')
+
+  return { ...proof, version }
+}
+
+/**
+ * Decode a chainpoint proof in the binary format
+ * @param {Buffer} data - deflated msgpack
+ * @returns {Object}
+ */
+
+function decodeBinary(data) {
+  let raw
+  try {
+    raw = zlib.inflateSync(data, { maxOutputLength: MAX_PROOF_SIZE })
+  } catch (e) {
+    throw new Error(`Could not inflate Chainpoint binary proof: ${e.message}`)
+  }
+
+  const [value, offset] = readMsgpack(raw, 0)
+
+  if (offset !== raw.length) throw new Error('Unexpected data after Chainpoint binary proof')
+
+  return value
+}
+
+/**
+ * Replay the operations of every branch in a proof starting from the proof's
+ * hash and collect the anchors with the value calculated for each.
+ * Bitcoin anchor values are the merkle root of the anchor block, in internal byte order
+ * @param {Object} proof - parsed proof
+ * @returns {Object[]} anchors with the label of their branch, type, id, uris and value
+ */
+
+function getAnchors(proof) {
+  const anchors = []
+  evaluateBranches(proof.branches, Buffer.from(proof.hash, 'hex'), anchors)
+  return anchors
+}
+
+/**
+ * Evaluate a list of branches from a starting value
+ * @private
+ * @param {Object[]} branches
+ * @param {Buffer} value
+ * @param {Object[]} anchors - list to add the anchors to
+ */
+
+function evaluateBranches(branches, value, anchors) {
+  for (const branch of branches) {
+    assert(branch && Array.isArray(branch.ops), 'Chainpoint branch must have ops')
+
+    let current = value
+
+    for (const op of branch.ops) {
+      if (op.l != null) {
+        current = Buffer.concat([toBuffer(op.l), current])
+      } else if (op.r != null) {
+        current = Buffer.concat([current, toBuffer(op.r)])
+      } else if (op.op != null) {
+        const hash = hashes[op.op]
+        assert(hash, `Unsupported Chainpoint hash operation: ${op.op}`)
+        current = hash(current)
+      } else if (op.anchors != null) {
+        assert(Array.isArray(op.anchors), 'Chainpoint anchors must be a list')
+        for (const anchor of op.anchors) {
+          anchors.push({
+            label: branch.label || null,
+            type: anchor.type,
+            anchorId: String(anchor.anchor_id),
+            uris: anchor.uris || [],
+            value: current
+          })
+        }
+      } else {
+        throw new Error(`Unknown Chainpoint operation: ${JSON.stringify(op)}`)
+      }
+    }
+
+    if (branch.branches) evaluateBranches(branch.branches, current, anchors)
+  }
+}
+
+/*
+ * Helpers
+ */
+
+// values in l and r operations are hex if they can
+// be decoded as hex and utf8 strings otherwise
+function toBuffer(value) {
+  if (Buffer.isBuffer(value)) return value
+  assert(typeof value === 'string', 'Chainpoint operation values must be strings')
+  if (isHex(value)) return Buffer.from(value, 'hex')
+  return Buffer.from(value, 'utf8')
+}
+
+function isHex(str) {
+  return str.length > 0 && str.length % 2 === 0 && /^[0-9a-fA-F]+$/.test(str)
+}
+
+/**
+ * Read a msgpack value. Only the types used by
+ * chainpoint's binary format are supported
+ * @private
+ * @param {Buffer} data
+ * @param {Number} offset
+ * @returns {Array} the value and the offset after it
+ */
+
+function readMsgpack(data, offset) {
+  assert(offset < data.length, 'Unexpected end of msgpack data')
+
+  const type = data[offset++]
+
+  // positive fixint, fixmap, fixarray, fixstr and negative fixint
+  if (type <= 0x7f) return [type, offset]
+  if (type <= 0x8f) return readMap(data, offset, type & 0x0f)
+  if (type <= 0x9f) return readArray(data, offset, type & 0x0f)
+  if (type <= 0xbf) return readString(data, offset, type & 0x1f)
+  if (type >= 0xe0) return [type - 0x100, offset]
+
+  switch (type) {
+    case 0xc0:
+      return [null, offset]
+    case 0xc2:
+      return [false, offset]
+    case 0xc3:
+      return [true, offset]
+    case 0xc4:
+      return readBytes(data, offset + 1, data.readUInt8(offset))
+    case 0xc5:
+      return readBytes(data, offset + 2, data.readUInt16BE(offset))
+    case 0xc6:
+      return readBytes(data, offset + 4, data.readUInt32BE(offset))
+    case 0xca:
+      return [data.readFloatBE(offset), offset + 4]
+    case 0xcb:
+      return [data.readDoubleBE(offset), offset + 8]
+    case 0xcc:
+      return [data.readUInt8(offset), offset + 1]
+    case 0xcd:
+      return [data.readUInt16BE(offset), offset + 2]
+    case 0xce:
+      return [data.readUInt32BE(offset), offset + 4]
+    case 0xcf:
+      return [data.readUInt32BE(offset) * 0x100000000 + data.readUInt32BE(offset + 4), offset + 8]
+    case 0xd0:
+      return [data.readInt8(offset), offset + 1]
+    case 0xd1:
+      return [data.readInt16BE(offset), offset + 2]
+    case 0xd2:
+      return [data.readInt32BE(offset), offset + 4]
+    case 0xd3:
+      return [data.readInt32BE(offset) * 0x100000000 + data.readUInt32BE(offset + 4), offset + 8]
+    case 0xd9:
+      return readString(data, offset + 1, data.readUInt8(offset))
+    case 0xda:
+      return readString(data, offset + 2, data.readUInt16BE(offset))
+    case 0xdb:
+      return readString(data, offset + 4, data.readUInt32BE(offset))
+    case 0xdc:
+      return readArray(data, offset + 2, data.readUInt16BE(offset))
+    case 0xdd:
+      return readArray(data, offset + 4, data.readUInt32BE(offset))
+    case 0xde:
+      return readMap(data, offset + 2, data.readUInt16BE(offset))
+    case 0xdf:
+      return readMap(data, offset + 4, data.readUInt32BE(offset))
+  }
+
+  throw new Error(`Unsupported msgpack type: 0x${type.toString(16)}`)
+}
+
+function readBytes(data, offset, size) {
+  assert(offset + size <= data.length, 'Unexpected end of msgpack data')
+  return [data.slice(offset, offset + size), offset + size]
+}
+
+function readString(data, offset, size) {
+  const [bytes, next] = readBytes(data, offset, size)
+  return [bytes.toString('utf8'), next]
+}
+
+function readArray(data, offset, size) {
+  const items = []
+
+  for (let i = 0; i < size; i++) {
+    const [item, next] = readMsgpack(data, offset)
+    items.push(item)
+    offset = next
+  }
+
+  return [items, offset]
+}
+
+function readMap(data, offset, size) {
+  const map = {}
+
+  for (let i = 0; i < size; i++) {
+    const [key, afterKey] = readMsgpack(data, offset)
+    // keys are assigned to a plain object so the prototype can't be replaced
+    if (key === '__proto__') throw new Error('Invalid msgpack map key: __proto__')
+
+    const [value, next] = readMsgpack(data, afterKey)
+    map[key] = value
+    offset = next
+  }
+
+  return [map, offset]
+}
+
+/*
+ * Expose
+ */
+
+exports.parse = parse
+exports.decodeBinary = decodeBinary
+exports.getAnchors = getAnchors
+
+module.exports = exports
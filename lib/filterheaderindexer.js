@@ -0,0 +1,643 @@
+/*!
+ * filterheaderindexer.js - index of BIP157 compact filter headers
+ * Copyright (c) 2019-, Tierion Inc (MIT License).
+ * https://github.com/chainpoint/bitcoin-header-node
+ */
+
+'use strict'
+
+const assert = require('bsert')
+const path = require('path')
+const EventEmitter = require('events')
+const bdb = require('bdb')
+const bio = require('bufio')
+const fs = require('bfile')
+const { Lock } = require('bmutex')
+const hash256 = require('bcrypto/lib/hash256')
+const { FilterHeaderRecord } = require('./records')
+
+/*
+ * Filter Header Database Layout:
+ *  O -> network magic and filter type
+ *  R -> tip height
+ *  s -> height of the first filter header
+ *  f[height] -> block hash, filter hash and filter header
+ */
+
+const layout = {
+  O: bdb.key('O'),
+  R: bdb.key('R'),
+  s: bdb.key('s'),
+  f: bdb.key('f', ['uint32'])
+}
+
+/**
+ * Filter Header Indexer
+ * Downloads the BIP157 filter header chain for the blocks in the header
+ * index from peers that serve compact filters. Filter hashes are requested with
+ * `getcfheaders` in segments that end at the `cfcheckpt` checkpoints, which are
+ * cross-checked between peers, so every segment below the last checkpoint is
+ * verified before it's saved. The chain is rolled back when the header index reorgs.
+ * @extends EventEmitter
+ */
+
+class FilterHeaderIndexer extends EventEmitter {
+  /**
+   * Create a filter header indexer
+   * @constructor
+   * @param {Object} options
+   */
+
+  constructor(options) {
+    super()
+
+    assert(options && typeof options === 'object', 'Filter header indexer requires options')
+    assert(options.headerindex, 'Filter header indexer requires a header index')
+    assert(options.pool, 'Filter header indexer requires a pool')
+
+    this.network = options.headerindex.network
+    this.logger = options.logger ? options.logger.context('filterheaders') : options.headerindex.logger
+    this.headerindex = options.headerindex
+    this.pool = options.pool
+
+    this.memory = Boolean(options.memory)
+    this.prefix = options.prefix ? path.join(options.prefix, 'index') : null
+
+    assert(this.memory || this.prefix, 'Filter header indexer requires a prefix')
+
+    this.db = bdb.create({
+      memory: this.memory,
+      location: this.prefix ? path.join(this.prefix, 'filterheaders') : null,
+      compression: true
+    })
+
+    this.locker = new Lock()
+    this.height = -1
+    this.startHeight = null
+    this.checkpoints = null
+    this.peer = null
+    this.failed = null
+    this.running = false
+    this.job = null
+    this.timer = null
+    this.wake = null
+    this.bound = []
+
+    // ms to wait for a response from a peer
+    this.timeout = 30000
+    // ms to wait before retrying when there are no peers or a request failed
+    this.retryInterval = 5000
+    // max number of peers to cross-check the checkpoints with
+    this.checkpointPeers = 3
+
+    if (options.timeout != null) {
+      assert(Number.isSafeInteger(options.timeout) && options.timeout > 0)
+      this.timeout = options.timeout
+    }
+
+    if (options.retryInterval != null) {
+      assert(Number.isSafeInteger(options.retryInterval) && options.retryInterval > 0)
+      this.retryInterval = options.retryInterval
+    }
+
+    if (options.checkpointPeers != null) {
+      assert(Number.isSafeInteger(options.checkpointPeers) && options.checkpointPeers > 0)
+      this.checkpointPeers = options.checkpointPeers
+    }
+  }
+
+  /**
+   * Open the database, load the tip and start syncing
+   * @returns {Promise}
+   */
+
+  async open() {
+    if (!this.memory) await fs.mkdirp(this.prefix)
+
+    await this.db.open()
+    await this.verifyNetwork()
+
+    const start = await this.db.get(layout.s.encode())
+    const tip = await this.db.get(layout.R.encode())
+
+    // the chain starts at the lowest header the first time it's synced
+    this.startHeight = start ? bio.readU32(start, 0) : this.headerindex.getLowestHeight()
+    this.height = tip ? bio.readU32(tip, 0) : this.startHeight - 1
+
+    if (!start) await this.db.put(layout.s.encode(), fromU32(this.startHeight))
+
+    this.bind()
+
+    this.running = true
+    this.job = this.run()
+
+    this.logger.info('Filter header index loaded at height %d', this.height)
+  }
+
+  /**
+   * Stop syncing and close the database
+   * @returns {Promise}
+   */
+
+  async close() {
+    for (const [event, listener] of this.bound) this.headerindex.removeListener(event, listener)
+    this.bound.length = 0
+
+    this.running = false
+    if (this.wake) this.wake()
+
+    await this.job
+    this.job = null
+
+    await this.db.close()
+  }
+
+  /**
+   * Check the network magic and filter type of the db
+   * @private
+   * @returns {Promise}
+   */
+
+  async verifyNetwork() {
+    const data = await this.db.get(layout.O.encode())
+
+    if (!data) {
+      const bw = bio.write(5)
+      bw.writeU32(this.network.magic)
+      bw.writeU8(BASIC_FILTER)
+      await this.db.put(layout.O.encode(), bw.render())
+      return
+    }
+
+    if (bio.readU32(data, 0) !== this.network.magic) throw new Error('Filter header index: Network mismatch.')
+  }
+
+  /**
+   * Wake the sync for new headers and roll back on reorgs
+   * @private
+   */
+
+  bind() {
+    const connect = () => {
+      if (this.wake) this.wake()
+    }
+
+    const reorganize = async (disconnected, connected, fork) => {
+      try {
+        await this.rollback(fork.height)
+      } catch (e) {
+        this.emit('error', e)
+      }
+      if (this.wake) this.wake()
+    }
+
+    for (const [event, listener] of [
+      ['connect', connect],
+      ['reorganize', reorganize]
+    ]) {
+      this.bound.push([event, listener])
+      this.headerindex.on(event, listener)
+    }
+  }
+
+  /**
+   * Get the status of the filter header sync
+   * @returns {Object}
+   */
+
+  getStatus() {
+    return {
+      running: this.running,
+      startHeight: this.startHeight,
+      height: this.height,
+      target: this.headerindex.height
+    }
+  }
+
+  /**
+   * Get a filter header by height or block hash
+   * @param {Number|Buffer} heightOrHash
+   * @returns {Promise} - Returns {@link FilterHeaderRecord} or null if it isn't indexed
+   */
+
+  async getFilterHeader(heightOrHash) {
+    let height = heightOrHash
+    if (Buffer.isBuffer(heightOrHash)) height = await this.headerindex.getHeightByHash(heightOrHash)
+
+    if (height == null || height > this.height) return null
+
+    const data = await this.db.get(layout.f.encode(height))
+    if (!data) return null
+
+    return FilterHeaderRecord.fromRaw(data, height)
+  }
+
+  /**
+   * Remove the filter headers above a height. The block
+   * hashes above it are no longer in the main chain
+   * @param {Number} height - new tip height
+   * @returns {Promise}
+   */
+
+  async rollback(height) {
+    const unlock = await this.locker.lock()
+    try {
+      return await this._rollback(height)
+    } finally {
+      unlock()
+    }
+  }
+
+  async _rollback(height) {
+    height = Math.max(height, this.startHeight - 1)
+
+    if (height >= this.height) return
+
+    const batch = this.db.batch()
+    for (let i = height + 1; i <= this.height; i++) batch.del(layout.f.encode(i))
+
+    if (height < this.startHeight) batch.del(layout.R.encode())
+    else batch.put(layout.R.encode(), fromU32(height))
+
+    await batch.write()
+
+    this.logger.info('Rolled back filter headers from %d to %d', this.height, height)
+    this.height = height
+  }
+
+  /**
+   * Sync filter headers until the indexer is closed
+   * @private
+   * @returns {Promise}
+   */
+
+  async run() {
+    while (this.running) {
+      let done = true
+      try {
+        done = await this.syncSegment()
+      } catch (e) {
+        // try another peer next time
+        this.failed = this.peer
+        this.logger.warning('Filter header sync failed: %s', e.message)
+      }
+
+      if (done && this.running) await this.sleep()
+    }
+  }
+
+  /**
+   * Request and save the next segment of filter headers from a peer
+   * @private
+   * @returns {Promise} - Returns Boolean true if there is nothing to sync for now
+   */
+
+  async syncSegment() {
+    await this.checkTip()
+
+    const tip = this.headerindex.height
+    if (this.height >= tip) return true
+
+    const peers = this.getPeers()
+    if (!peers.length) return true
+
+    const peer = peers.find(item => item !== this.failed) || peers[0]
+    this.peer = peer
+
+    // segments end at the next checkpoint so they can be checked before they are saved
+    const start = this.height + 1
+    const stopHeight = Math.min(tip, (Math.floor(start / CHECKPOINT_INTERVAL) + 1) * CHECKPOINT_INTERVAL)
+    const stopHash = await this.getBlockHash(stopHeight)
+    assert(stopHash, `Missing block hash at ${stopHeight}`)
+
+    const checkpointHeight = stopHeight - (stopHeight % CHECKPOINT_INTERVAL)
+    const checkpoint = checkpointHeight > 0 && checkpointHeight >= start ? checkpointHeight : null
+    const checkpoints = checkpoint ? await this.getCheckpoints(peers) : []
+
+    this.logger.debug('Requesting filter headers from %d to %d from %s', start, stopHeight, peer.hostname())
+
+    const { prevHeader, filterHashes } = await this.request(
+      peer,
+      'getcfheaders',
+      encodeGetCFHeaders(start, stopHash),
+      'cfheaders',
+      stopHash
+    )
+
+    if (filterHashes.length !== stopHeight - start + 1)
+      throw new Error(`Peer sent ${filterHashes.length} filter hashes for ${stopHeight - start + 1} blocks`)
+
+    // the previous header of a custom start height can only be checked against the next checkpoint
+    let prev = prevHeader
+    if (start === 0) {
+      prev = ZERO_HASH
+    } else if (start !== this.startHeight) {
+      const record = await this.getFilterHeader(start - 1)
+      assert(record, `Missing filter header at ${start - 1}`)
+      prev = record.header
+    }
+
+    if (!prevHeader.equals(prev)) throw new Error(`Filter headers from ${start} do not connect to the previous header`)
+
+    const headers = []
+    for (const filterHash of filterHashes) {
+      prev = hash256.root(filterHash, prev)
+      headers.push(prev)
+    }
+
+    if (checkpoint && !checkpoints[checkpoint / CHECKPOINT_INTERVAL - 1].equals(headers[checkpoint - start]))
+      throw new Error(`Filter header at ${checkpoint} does not match the checkpoint`)
+
+    await this.saveHeaders(start, stopHash, filterHashes, headers)
+
+    this.emit('progress', this.height)
+
+    return this.height >= this.headerindex.height
+  }
+
+  /**
+   * Save a segment of filter headers if the header index
+   * and filter header tip haven't changed while it was requested
+   * @private
+   * @param {Number} start
+   * @param {Hash} stopHash
+   * @param {Hash[]} filterHashes
+   * @param {Hash[]} headers
+   * @returns {Promise}
+   */
+
+  async saveHeaders(start, stopHash, filterHashes, headers) {
+    const unlock = await this.locker.lock()
+    try {
+      const stopHeight = start + headers.length - 1
+      const hash = await this.getBlockHash(stopHeight)
+
+      if (this.height !== start - 1 || !hash || !hash.equals(stopHash)) {
+        this.logger.debug('Header index changed while requesting filter headers from %d', start)
+        return
+      }
+
+      const batch = this.db.batch()
+
+      for (let i = 0; i < headers.length; i++) {
+        const record = new FilterHeaderRecord({
+          height: start + i,
+          blockHash: await this.getBlockHash(start + i),
+          filterHash: filterHashes[i],
+          header: headers[i]
+        })
+        batch.put(layout.f.encode(record.height), record.toRaw())
+      }
+
+      batch.put(layout.R.encode(), fromU32(stopHeight))
+
+      await batch.write()
+
+      this.height = stopHeight
+    } finally {
+      unlock()
+    }
+  }
+
+  /**
+   * Roll back the tip to the last header that is still in the main chain,
+   * in case the header index reorged while the indexer was closed
+   * @private
+   * @returns {Promise}
+   */
+
+  async checkTip() {
+    let height = Math.min(this.height, this.headerindex.height)
+
+    while (height >= this.startHeight) {
+      const record = await this.getFilterHeader(height)
+      const hash = await this.getBlockHash(height)
+      if (record && hash && record.blockHash.equals(hash)) break
+      height--
+    }
+
+    await this.rollback(height)
+  }
+
+  /**
+   * Get the filter header checkpoints up to the header index's tip.
+   * The checkpoints are cross-checked between peers and kept until the tip changes
+   * @private
+   * @param {Peer[]} peers
+   * @returns {Promise} - Returns Hash[] with the filter header at every 1000 blocks
+   */
+
+  async getCheckpoints(peers) {
+    const stopHash = await this.getBlockHash(this.headerindex.height)
+
+    if (this.checkpoints && this.checkpoints.stopHash.equals(stopHash)) return this.checkpoints.headers
+
+    let headers = null
+    for (const peer of peers.slice(0, this.checkpointPeers)) {
+      const msg = await this.request(peer, 'getcfcheckpt', encodeGetCFCheckpt(stopHash), 'cfcheckpt', stopHash)
+
+      if (msg.headers.length !== Math.floor(this.headerindex.height / CHECKPOINT_INTERVAL))
+        throw new Error(`Peer ${peer.hostname()} sent the wrong number of filter header checkpoints`)
+
+      if (!headers) {
+        headers = msg.headers
+        continue
+      }
+
+      const index = headers.findIndex((header, i) => !header.equals(msg.headers[i]))
+      if (index !== -1)
+        throw new Error(`Peers disagree on the filter header checkpoint at ${(index + 1) * CHECKPOINT_INTERVAL}`)
+    }
+
+    this.checkpoints = { stopHash, headers }
+
+    return headers
+  }
+
+  /**
+   * Get the block hash at a height in the header index
+   * @private
+   * @param {Number} height
+   * @returns {Promise} - Returns Hash
+   */
+
+  async getBlockHash(height) {
+    if (height === 0) return this.network.genesis.hash
+    return this.headerindex.getHash(height)
+  }
+
+  /**
+   * Get the outbound peers that serve compact filters
+   * @returns {Peer[]}
+   */
+
+  getPeers() {
+    const peers = []
+
+    for (let peer = this.pool.peers.head(); peer; peer = peer.next) {
+      if (!peer.handshake || !peer.outbound) continue
+      if (!(peer.services & NODE_COMPACT_FILTERS)) continue
+      peers.push(peer)
+    }
+
+    return peers
+  }
+
+  /**
+   * Send a request to a peer and wait for the response with the same stop hash
+   * @private
+   * @param {Peer} peer
+   * @param {String} cmd
+   * @param {Buffer} body
+   * @param {String} response - response command
+   * @param {Hash} stopHash
+   * @returns {Promise} - Returns Object decoded response
+   */
+
+  request(peer, cmd, body, response, stopHash) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timer)
+        peer.removeListener('packet', onPacket)
+        peer.removeListener('close', onClose)
+      }
+
+      // bcoin might not know the packet so it's decoded from the raw payload
+      const onPacket = packet => {
+        if (packet.cmd !== response) return
+
+        let msg
+        try {
+          msg = decoders[response](packet.toRaw())
+        } catch (e) {
+          cleanup()
+          reject(new Error(`Could not decode ${response}: ${e.message}`))
+          return
+        }
+
+        if (msg.filterType !== BASIC_FILTER || !msg.stopHash.equals(stopHash)) return
+
+        cleanup()
+        resolve(msg)
+      }
+
+      const onClose = () => {
+        cleanup()
+        reject(new Error(`Peer ${peer.hostname()} disconnected`))
+      }
+
+      const timer = setTimeout(() => {
+        cleanup()
+        reject(new Error(`Timed out waiting for ${response} from ${peer.hostname()}`))
+      }, this.timeout)
+
+      peer.on('packet', onPacket)
+      peer.once('close', onClose)
+      peer.sendRaw(cmd, body)
+    })
+  }
+
+  /**
+   * Wait before syncing again. Resolves early
+   * for new headers or when the indexer is closed
+   * @private
+   * @returns {Promise}
+   */
+
+  sleep() {
+    return new Promise(resolve => {
+      this.wake = () => {
+        clearTimeout(this.timer)
+        this.timer = null
+        this.wake = null
+        resolve()
+      }
+      this.timer = setTimeout(this.wake, this.retryInterval)
+    })
+  }
+}
+
+/*
+ * Constants
+ */
+
+// the only filter type defined by BIP158
+const BASIC_FILTER = 0
+
+// service bit for peers that serve compact filters
+const NODE_COMPACT_FILTERS = 1 << 6
+
+// number of blocks between filter header checkpoints
+const CHECKPOINT_INTERVAL = 1000
+
+// max number of filter hashes in a cfheaders message
+const MAX_CFHEADERS = 2000
+
+const ZERO_HASH = Buffer.alloc(32, 0x00)
+
+/*
+ * Helpers
+ */
+
+function encodeGetCFHeaders(start, stopHash) {
+  const bw = bio.write(37)
+  bw.writeU8(BASIC_FILTER)
+  bw.writeU32(start)
+  bw.writeHash(stopHash)
+  return bw.render()
+}
+
+function encodeGetCFCheckpt(stopHash) {
+  const bw = bio.write(33)
+  bw.writeU8(BASIC_FILTER)
+  bw.writeHash(stopHash)
+  return bw.render()
+}
+
+const decoders = {
+  cfheaders(data) {
+    const br = bio.read(data)
+    const filterType = br.readU8()
+    const stopHash = br.readHash()
+    const prevHeader = br.readHash()
+    const count = br.readVarint()
+
+    assert(count <= MAX_CFHEADERS, 'Too many filter hashes')
+
+    const filterHashes = []
+    for (let i = 0; i < count; i++) filterHashes.push(br.readHash())
+
+    assert(br.left() === 0, 'Unexpected data after filter hashes')
+
+    return { filterType, stopHash, prevHeader, filterHashes }
+  },
+
+  cfcheckpt(data) {
+    const br = bio.read(data)
+    const filterType = br.readU8()
+    const stopHash = br.readHash()
+    const count = br.readVarint()
+
+    // there is a checkpoint for every 1000 blocks so this is very generous
+    assert(count * 32 <= br.left(), 'Too many filter header checkpoints')
+
+    const headers = []
+    for (let i = 0; i < count; i++) headers.push(br.readHash())
+
+    assert(br.left() === 0, 'Unexpected data after filter header checkpoints')
+
+    return { filterType, stopHash, headers }
+  }
+}
+
+function fromU32(num) {
+  const data = Buffer.allocUnsafe(4)
+  data.writeUInt32LE(num, 0)
+  return data
+}
+
+/*
+ * Expose
+ */
+
+module.exports = FilterHeaderIndexer
@@ -0,0 +1,208 @@
+/*!
+ * follower.js - replicate the header index of another header node
+ * Copyright (c) 2019-, Tierion Inc (MIT License).
+ * https://github.com/chainpoint/bitcoin-header-node
+ */
+
+'use strict'
+
+const assert = require('bsert')
+const { NodeClient } = require('bclient')
+const { Headers } = require('bcoin')
+const UpstreamSync = require('./upstreamsync')
+const { fromRev, sourceURL } = require('./util')
+
+/**
+ * Header Follower
+ * Follows another header node over its HTTP and websocket api instead of
+ * syncing from peers. The header index is downloaded in bulk with
+ * `/headers/:height` and new headers and reorgs are then streamed over the
+ * `headers` websocket channel. Headers are validated (proof of work and
+ * linkage) and indexed locally like headers from peers, so the follower
+ * serves its own copy of the header index.
+ * @extends UpstreamSync
+ */
+
+class HeaderFollower extends UpstreamSync {
+  /**
+   * Create a header follower
+   * @constructor
+   * @param {Object} options
+   */
+
+  constructor(options) {
+    super(options)
+
+    assert(options.client || typeof options.url === 'string', 'Header follower requires a url')
+
+    if (options.logger) this.logger = options.logger.context('follower')
+
+    this.client = options.client || new NodeClient({ url: options.url, apiKey: options.apiKey })
+
+    // new headers are streamed so polling is only a fallback for a dropped socket
+    if (options.interval == null) this.interval = 60000
+    // as many headers as `/headers/:height` returns at once
+    if (options.batchSize == null) this.batchSize = 2000
+
+    // headers streamed from the upstream by height, used instead of requesting them
+    this.streamed = new Map()
+    // socket handlers, unbound when stopped so they aren't bound again on start
+    this.bound = []
+
+    this.client.on('connect', async () => {
+      try {
+        await this.client.call('watch headers')
+        this.notify()
+      } catch (e) {
+        this.logger.warning('Could not watch headers from %s: %s', this.getSource(), e.message)
+      }
+    })
+
+    this.client.on('error', e => this.logger.debug('Socket error from %s: %s', this.getSource(), e.message))
+  }
+
+  getSource() {
+    return sourceURL(this.client)
+  }
+
+  /**
+   * Start following the upstream and subscribe to its headers
+   */
+
+  start() {
+    if (this.running) return
+    super.start()
+    this.subscribe()
+  }
+
+  /**
+   * Stop following the upstream and close the socket
+   * @returns {Promise}
+   */
+
+  async stop() {
+    for (const [event, handler] of this.bound) this.client.unbind(event, handler)
+    this.bound = []
+
+    if (this.client.opened) await this.client.close()
+    await super.stop()
+    this.streamed.clear()
+  }
+
+  /**
+   * Open the websocket and bind to the headers channel. The channel is
+   * watched, and the index caught up, every time the socket connects
+   * @private
+   */
+
+  subscribe() {
+    for (const [event, handler] of [
+      ['header connect', (height, raw) => this.handleConnect(height, raw)],
+      ['header reorganize', (height, raws) => this.handleReorganize(height, raws)]
+    ]) {
+      this.bound.push([event, handler])
+      this.client.bind(event, handler)
+    }
+
+    // the upstream is still polled if the socket can't connect
+    this.client.open().catch(e => {
+      this.logger.warning('Could not connect to %s: %s', this.getSource(), e.message)
+    })
+  }
+
+  /**
+   * Handle a new header of the upstream header index
+   * @private
+   * @param {Number} height
+   * @param {Buffer} raw - 80 byte header
+   */
+
+  handleConnect(height, raw) {
+    this.stream(height, [raw])
+    this.notify()
+  }
+
+  /**
+   * Handle a reorg of the upstream header index. Streamed
+   * headers of the old branch are replaced by the new branch
+   * @private
+   * @param {Number} height - height of the fork
+   * @param {Buffer[]} raws - 80 byte headers of the new branch
+   */
+
+  handleReorganize(height, raws) {
+    for (const key of this.streamed.keys()) {
+      if (key > height) this.streamed.delete(key)
+    }
+
+    this.stream(height + 1, raws)
+    this.notify()
+  }
+
+  /**
+   * Save streamed headers from a height. Headers that can't be
+   * parsed are ignored since they are requested again
+   * @private
+   * @param {Number} height
+   * @param {Buffer[]} raws
+   */
+
+  stream(height, raws) {
+    try {
+      raws.forEach((raw, i) => this.streamed.set(height + i, Headers.fromHead(raw)))
+    } catch (e) {
+      this.logger.debug('Invalid headers streamed from %s: %s', this.getSource(), e.message)
+    }
+  }
+
+  async sync() {
+    try {
+      return await super.sync()
+    } finally {
+      for (const height of this.streamed.keys()) {
+        if (height <= this.headerindex.height) this.streamed.delete(height)
+      }
+    }
+  }
+
+  async getTipHeight() {
+    const info = await this.client.getInfo()
+    assert(info && info.headerindex, `Could not get the header index tip from ${this.getSource()}`)
+    // the upstream's chain can be ahead of the headers it has indexed and can serve
+    return info.headerindex.height
+  }
+
+  async getHash(height) {
+    const json = await this.client.get(`/header/${height}`)
+    return json ? fromRev(json.hash) : null
+  }
+
+  async getHeaders(start, end) {
+    const headers = []
+
+    for (let height = start; height <= end && this.streamed.has(height); height++)
+      headers.push(this.streamed.get(height))
+
+    // streamed headers are checked for linkage like requested ones
+    if (headers.length === end - start + 1) return headers
+
+    headers.length = 0
+
+    while (start + headers.length <= end) {
+      const height = start + headers.length
+      const json = await this.client.get(`/headers/${height}`, { count: end - height + 1 })
+
+      if (!json || !json.headers.length) throw new Error(`No headers returned from ${height}`)
+
+      for (const raw of json.headers) headers.push(Headers.fromHead(Buffer.from(raw, 'hex')))
+    }
+
+    return headers
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = HeaderFollower
@@ -3,11 +3,20 @@
 const bdb = require('bdb')
 const assert = require('bsert')
 const bio = require('bufio')
+const fs = require('bfile')
 const { Lock } = require('bmutex')
-const { Indexer, Headers, ChainEntry, CoinView, util } = require('bcoin')
-const { BlockMeta } = require('./records')
+const {
+  Indexer,
+  Headers,
+  ChainEntry,
+  CoinView,
+  util,
+  protocol: { consensus }
+} = require('bcoin')
+const { BlockMeta, HeaderRecord, ChainContext, StaleRecord, ReorgRecord, SnapshotTrailer } = require('./records')
 const layout = require('./layout')
-const { getRemoteBlockEntries } = require('./util')
+const providers = require('./providers')
+const StatsLRU = require('./cache')
 /**
  * FilterIndexer
  * @alias module:indexer.FilterIndexer
@@ -27,6 +36,9 @@ class HeaderIndexer extends Indexer {
     this.checkpoints = this.chain.options.checkpoints
     this.locker = new Lock()
     this.bound = []
+    this.merkleBuild = null
+    this.merkleBuildState = null
+    this.merkleBuildStopped = false
     if (options) this.fromOptions(options)
   }
 
@@ -44,6 +56,14 @@ class HeaderIndexer extends Indexer {
       this.network = this.chain.network
     }
 
+    // compressed header storage can only be chosen when the index is created
+    // and is checked against the db flags when opened
+    this.compressHeaders = false
+    if (options.compressHeaders != null) {
+      assert(typeof options.compressHeaders === 'boolean')
+      this.compressHeaders = options.compressHeaders
+    }
+
     if (options.startHeight) {
       assert(typeof options.startHeight === 'number')
       this.startHeight = options.startHeight
@@ -54,6 +74,63 @@ class HeaderIndexer extends Indexer {
       this.startHeight = 0
     }
 
+    // number of recent headers to keep. Older headers are
+    // pruned as new blocks are added and the start height moves forward
+    this.pruneHeaders = 0
+    if (options.pruneHeaders != null) {
+      assert(Number.isSafeInteger(options.pruneHeaders) && options.pruneHeaders >= 0)
+      const window = this.network.pow.retargetInterval + consensus.MEDIAN_TIMESPAN
+      assert(
+        !options.pruneHeaders || options.pruneHeaders >= window,
+        `Must keep at least ${window} headers (a full retarget interval plus the median time past) when pruning`
+      )
+      this.pruneHeaders = options.pruneHeaders
+    }
+
+    // in-memory caches for lookups by height. A size of zero disables a cache
+    const cacheSizes = { hashCacheSize: 10000, headerCacheSize: 5000, entryCacheSize: 5000 }
+    for (const key of Object.keys(cacheSizes)) {
+      if (options[key] != null) {
+        assert(Number.isSafeInteger(options[key]) && options[key] >= 0, `${key} must be a non-negative integer`)
+        cacheSizes[key] = options[key]
+      }
+    }
+
+    this.hashCache = new StatsLRU(cacheSizes.hashCacheSize)
+    this.headerCache = new StatsLRU(cacheSizes.headerCacheSize)
+    this.entryCache = new StatsLRU(cacheSizes.entryCacheSize)
+    this.invalidated = new Set()
+
+    // index headers by merkle root. Databases without the
+    // index build it in the background when it's enabled
+    this.indexMerkleRoots = false
+    if (options.indexMerkleRoots != null) {
+      assert(typeof options.indexMerkleRoots === 'boolean')
+      this.indexMerkleRoots = options.indexMerkleRoots
+    }
+
+    // retention for the reorg audit log, by number of reorgs
+    // and by age in seconds. Zero keeps reorgs regardless of count or age
+    this.reorgLogMax = 1000
+    if (options.reorgLogMax != null) {
+      assert(Number.isSafeInteger(options.reorgLogMax) && options.reorgLogMax >= 0)
+      this.reorgLogMax = options.reorgLogMax
+    }
+
+    this.reorgLogAge = 0
+    if (options.reorgLogAge != null) {
+      assert(Number.isSafeInteger(options.reorgLogAge) && options.reorgLogAge >= 0)
+      this.reorgLogAge = options.reorgLogAge
+    }
+
+    // provider used to retrieve the start entries when only a startHeight is set.
+    // Defaults to blockcypher for backwards compatibility
+    this.startProvider = null
+    if (options.startProvider != null) {
+      assert(typeof options.startProvider.getEntries === 'function', 'Start provider must implement getEntries')
+      this.startProvider = options.startProvider
+    }
+
     // start block will take precedence over startHeight
     if (options.startBlock) {
       assert(options.startBlock.length >= 2, 'Chain tip array must have two items to initiate block')
@@ -87,6 +164,9 @@ class HeaderIndexer extends Indexer {
     await this.setStartBlock()
     await super.open()
     await this.initializeChain()
+    await this.pruneIndex()
+    await this.pruneReorgLog()
+    await this.initMerkleIndex()
     this.logger.info('Indexer successfully loaded')
   }
 
@@ -97,6 +177,12 @@ class HeaderIndexer extends Indexer {
    */
 
   async close() {
+    // save the chain context so the in-memory chain
+    // can be quickly restored the next time the indexer is opened
+    if (this.db.loaded && this.height) await this.saveChainContext()
+
+    await this.stopMerkleIndex()
+
     await this.db.close()
     // removing listeners when close to avoid duplicated listeners if
     // the indexer is re-opened
@@ -105,6 +191,52 @@ class HeaderIndexer extends Indexer {
     this.bound.length = 0
   }
 
+  /**
+   * Verify the network magic and header storage flags of the db.
+   * Overrides the parent method to also record whether headers
+   * are compressed so a db can't be opened with the wrong format
+   * @private
+   */
+
+  async verifyNetwork() {
+    const data = await this.db.get(layout.O.encode())
+
+    if (!data) {
+      const bw = bio.write(8)
+      bw.writeU32(this.network.magic)
+      bw.writeU32(this.getFlags())
+      await this.db.put(layout.O.encode(), bw.render())
+      return
+    }
+
+    const br = bio.read(data)
+    const magic = br.readU32()
+
+    if (magic !== this.network.magic) throw new Error('Indexer: Network mismatch.')
+
+    // databases created before flags were saved are always uncompressed
+    const flags = br.left() >= 4 ? br.readU32() : 0
+    const compressed = (flags & HeaderIndexer.flags.COMPRESSED) !== 0
+
+    if (compressed !== this.compressHeaders)
+      throw new Error(
+        `Indexer: Header storage mode mismatch. Database was created ${
+          compressed ? 'with' : 'without'
+        } compressed headers. Delete the indexer database to change the storage mode.`
+      )
+  }
+
+  /**
+   * Get the db flags for the indexer's options
+   * @returns {Number} flags
+   */
+
+  getFlags() {
+    let flags = 0
+    if (this.compressHeaders) flags |= HeaderIndexer.flags.COMPRESSED
+    return flags
+  }
+
   /**
    * Bind to chain events and save listeners for removal on close
    * @private
@@ -125,6 +257,19 @@ class HeaderIndexer extends Indexer {
       this.bound.push([event, listener])
       this.chain.on(event, listener)
     }
+
+    // the chain emits the reorganize event after the old
+    // branch has been disconnected and unindexed
+    const reorganize = async (tip, competitor) => {
+      try {
+        await this.handleReorganize(tip, competitor)
+      } catch (e) {
+        this.emit('error', e)
+      }
+    }
+
+    this.bound.push(['reorganize', reorganize])
+    this.chain.on('reorganize', reorganize)
   }
 
   /**
@@ -139,6 +284,9 @@ class HeaderIndexer extends Indexer {
       // there are other contextual checks that are done,
       // let's manually open the indexer db to initialize starting tip
       if (!this.db.loaded) await this.db.open()
+      // make sure the header storage format matches the db
+      // before anything is read or written
+      await this.verifyNetwork()
       this.start() // batch db write operations
       await this._setStartBlock()
       this.commit() // write to the db
@@ -154,12 +302,18 @@ class HeaderIndexer extends Indexer {
 
     const startBlock = await this.getStartBlock()
     if (startBlock) {
-      const startEntry = ChainEntry.fromRaw(startBlock[1])
+      const startEntry = ChainEntry.fromRaw(startBlock[startBlock.length - 1])
 
       // perform some checks on the startEntry:
       // if a start height was passed as an option and doesn't match with
       // one saved in DB, throw an error
-      if (this.startHeight && startEntry.height !== this.startHeight)
+      // a start height lower than the configured one is from backfilling headers
+      // and a higher one is from pruning
+      if (this.startHeight && startEntry.height < this.startHeight)
+        this.logger.debug(`Start height has been backfilled to block ${startEntry.height}.`)
+      else if (this.startHeight && this.pruneHeaders && startEntry.height > this.startHeight)
+        this.logger.debug(`Start height has been pruned to block ${startEntry.height}.`)
+      else if (this.startHeight && startEntry.height !== this.startHeight)
         throw new Error(
           `Cannot retroactively change start height. Current start height is ${startEntry.height}. To change the start height delete indexer database otherwise remove start height config to use existing.`
         )
@@ -184,9 +338,8 @@ class HeaderIndexer extends Indexer {
       return
     }
 
-    // validate the startHeight that has been set correctly
-    // will throw on any validation errors and should end startup
-    this.validateStartHeight(this.startHeight)
+    // source of the start entries, saved next to the start height so it can be audited later
+    let source = 'start-block'
 
     // Next, if we have a startHeight but no startBlock, we can "cheat" by using an external api
     // to retrieve the block header information for mainnet and testnet blocks.
@@ -194,13 +347,16 @@ class HeaderIndexer extends Indexer {
     // startBlock will take precedence if one is set however and the chain won't be able to sync
     // if initialized with "fake" blocks
     if (this.startHeight && !this.startBlock) {
-      assert(
-        this.network.type === 'main' || this.network.type === 'testnet',
-        'Can only get starting block data for mainnet or testnet. Use `startBlock` \
-        with raw block data instead for other networks'
-      )
+      // start heights after the historical point need a full retarget window of entries
+      const count = this.getRequiredStartEntries(this.startHeight)
+      const provider = this.getStartProvider(count)
+      const heights = []
+      for (let height = this.startHeight - count + 1; height <= this.startHeight; height++) heights.push(height)
+
+      source = provider.getSource()
+      this.logger.info('Retrieving start entries from %s', source)
 
-      const entries = await getRemoteBlockEntries(this.network.type, this.startHeight - 1, this.startHeight)
+      const entries = await provider.getEntries(heights)
 
       this.logger.info('Setting custom start height at %d', this.startHeight)
       this.startBlock = entries
@@ -209,8 +365,8 @@ class HeaderIndexer extends Indexer {
     // Next, validate and init starting tip in db
     const tipEntries = await this.initStartBlock(this.startBlock)
 
-    // get last two items for the prev and tip to index and set indexer state
-    const [prev, tip] = tipEntries.slice(-2)
+    // last item is the start entry
+    const tip = tipEntries[tipEntries.length - 1]
 
     // need to set the indexer state so that the tip can be properly read and set
     this.height = tip.height
@@ -222,11 +378,16 @@ class HeaderIndexer extends Indexer {
     const bw = bio.write()
     bw.writeU32(this.startHeight)
     await this.db.put(layout.s.encode(), bw.render())
+    await this.db.put(layout.S.encode(), Buffer.from(source, 'utf8'))
 
-    // also need to add the entry to the header index if it doesn't exist
-    // this will index the entry and set the tip
-    if (!(await this.getHeader(prev.height))) await this.indexEntryBlock(prev)
-    if (!(await this.getHeader(tip.height))) await this.indexEntryBlock(tip)
+    // also need to add the entries to the header index if they don't exist
+    // so that the chain can be re-initialized from them on restart
+    for (const entry of tipEntries) {
+      if (!(await this.getHeader(entry.height))) await this.indexEntryBlock(entry)
+    }
+
+    // and set the tip of the index to the start entry
+    await this._setTip(BlockMeta.fromEntry(tip))
 
     // closing and re-opening the chain will reset the state
     // based on the custom starting tip
@@ -234,12 +395,41 @@ class HeaderIndexer extends Indexer {
     await this.chain.open()
   }
 
+  /**
+   * Get the provider for retrieving start entries, creating a default
+   * provider if none was set. Blockcypher is used for the start block and its
+   * previous block, but it needs a request per block so a retarget window of
+   * entries is retrieved from esplora which returns ten blocks per request
+   * @param {Number} [count=2] - number of entries that will be retrieved
+   * @returns {StartProvider}
+   */
+
+  getStartProvider(count = 2) {
+    if (!this.startProvider) {
+      const name = count > providers.BlockcypherProvider.MAX_ENTRIES ? 'esplora' : 'blockcypher'
+      this.startProvider = providers.create(name, { network: this.network })
+    }
+
+    return this.startProvider
+  }
+
+  /**
+   * Get the source that the start entries were retrieved from
+   * @returns {Promise} - String or null if no start block has been set
+   */
+
+  async getStartSource() {
+    const data = await this.db.get(layout.S.encode())
+    if (!data) return null
+    return data.toString('utf8')
+  }
+
   /*
    * @private
    * check the headers index database for an existing start block.
    * Needs the db to be open first
    * @returns {null|Buffer[]} - null if no start height set otherwise an array
-   * of two items with the two starting entries
+   * of the starting entries, ending with the start entry
    */
 
   async getStartBlock() {
@@ -254,21 +444,55 @@ class HeaderIndexer extends Indexer {
     let startEntry = await this.getEntry(startHeight)
     assert(startEntry, `Could not find an entry in database for starting height ${startHeight}`)
 
-    // Need to also get a prevEntry which is necessary for contextual checks of an entry
-    const prevEntry = await this.getEntry(startHeight - 1)
-    assert(prevEntry, `No entry in db for starting block's previous entry at: ${startHeight - 1}`)
-    return [prevEntry.toRaw(), startEntry.toRaw()]
+    // Need to also get the previous entries which are necessary for contextual checks of an entry.
+    // This is at least the prevEntry, or a full retarget window for start heights after the historical point
+    const count = this.getRequiredStartEntries(startHeight)
+    const entries = []
+    for (let height = startHeight - count + 1; height < startHeight; height++) {
+      const entry = await this.getEntry(height)
+      assert(entry, `No entry in db for starting block's previous entry at: ${height}`)
+      entries.push(entry.toRaw())
+    }
+
+    entries.push(startEntry.toRaw())
+    return entries
+  }
+
+  /**
+   * Get the lowest height in the header index.
+   * This is the first of the entries saved with the start block
+   * @returns {Number}
+   */
+
+  getLowestHeight() {
+    if (!this.startHeight) return 0
+    return this.startHeight - this.getRequiredStartEntries(this.startHeight) + 1
+  }
+
+  /**
+   * Get the number of entries needed in a start block for a start height.
+   * Historical start heights only need the start entry and its previous entry.
+   * Later start heights need a full retarget window for PoW checks plus
+   * the entries used to calculate the median time past
+   * @param {Number} height - start height
+   * @returns {Number}
+   */
+
+  getRequiredStartEntries(height) {
+    if (this.isHistorical(height) || !this.network.lastCheckpoint) return 2
+    return this.network.pow.retargetInterval + consensus.MEDIAN_TIMESPAN
   }
 
   /**
    * @private
    * verify start block or height to confirm it passes the minimum threshold
    * MUST be called after this.network has been set
-   * @param {ChainEntry | Number} entryOrHeight
+   * @param {Number} height - start height
+   * @param {Number} [count=2] - number of entries in the start block
    * @returns {void|Boolean} throws on any invalidations otherwise re
    */
 
-  validateStartHeight(height) {
+  validateStartHeight(height, count = 2) {
     assert(typeof height === 'number', 'Must pass a number as the start height to verify')
 
     const { lastCheckpoint } = this.network
@@ -276,13 +500,15 @@ class HeaderIndexer extends Indexer {
     // cannot be genesis (this is default anyway though)
     assert(height >= 0, 'Custom start height must be a positive integer')
 
-    // must be less than last checkpoint
-    // must qualify as historical with at least one retarget interval occuring between height and lastCheckpoint
+    // heights after the last retarget before the lastCheckpoint need
+    // enough prior entries for the chain to run contextual checks
+    const required = this.getRequiredStartEntries(height)
     if (lastCheckpoint)
       assert(
-        this.isHistorical(height),
-        `Starting entry height ${height} is too high. Must be before the lastCheckpoint (${lastCheckpoint}) ` +
-          `and a retargetting interval. Recommended max start height: ${this.getHistoricalPoint()}`
+        count >= required,
+        `Starting entry height ${height} is after the lastCheckpoint (${lastCheckpoint}) or its last retargetting interval ` +
+          `and needs ${required} entries (a full retarget interval plus ${consensus.MEDIAN_TIMESPAN} for median time) ` +
+          `but only ${count} were given. Recommended max start height for a two entry start block: ${this.getHistoricalPoint()}`
       )
 
     return true
@@ -293,6 +519,7 @@ class HeaderIndexer extends Indexer {
    * initialize a startBlock by running some validations and adding it to the _chain_ db
    * This will validate the startBlock argument and add them to the chain db
    * @param {Buffer[]} startBlock - an array of at least two raw chain entries
+   * (or a full retarget window for start heights after the historical point)
    * @returns {ChainEntry[]} entry - promise that resolves to array of tip entries
    */
 
@@ -307,7 +534,7 @@ class HeaderIndexer extends Indexer {
     // need the chain db to be open so that we can set the tip there to match the indexer
     assert(this.chain.opened, 'Chain should be opened to set the header index tip')
 
-    const tip = [] // store an array of serialized entries to return if everything is successful
+    const tip = [] // store an array of entries to return if everything is successful
 
     let entry, prev
     for (let raw of startBlock) {
@@ -323,11 +550,12 @@ class HeaderIndexer extends Indexer {
         throw e
       }
 
-      this.validateStartHeight(entry.height)
+      assert(entry.toHeaders().verifyPOW(), `Start block entry at height ${entry.height} has invalid proof of work`)
 
       // confirm that the starter tip is made up of incrementing blocks
       // i.e. prevBlock hash matches hash of previous block in array
       if (prev) {
+        assert.equal(entry.height, prev.height + 1, `Start block entries must have consecutive heights`)
         assert.equal(
           entry.prevBlock.toString('hex'),
           prev.hash.toString('hex'),
@@ -337,11 +565,16 @@ class HeaderIndexer extends Indexer {
         )
       }
 
-      // and then add the entries to the chaindb with reconnect
-      // note that this won't update the chain object, just its db
-      await this.addEntryToChain(entry)
       tip.push(entry)
     }
+
+    // make sure there are enough entries for the start height
+    this.validateStartHeight(entry.height, tip.length)
+
+    // and then add the entries to the chaindb with reconnect
+    // note that this won't update the chain object, just its db
+    await this.addEntriesToChain(tip)
+
     return tip
   }
 
@@ -376,38 +609,18 @@ class HeaderIndexer extends Indexer {
     if (!chainTip || chainTip.height < indexerHeight) {
       this.logger.info('Chain state is behind header. Re-initializing...')
 
-      // Need to set the starting entry to initialize the chain from.
-      // Option 1) If tip is before historical point, then we will re-intialize chain from the startHeight
-      // Option 2) If there's no lastCheckpoint (e.g. regtest), re-initialize from genesis
-      // Option 3) When header tip is not historical, the chain still needs to be initialized to
-      // start from first non-historical block for contextual checks (e.g. pow)
-      let entry
-      if (this.isHistorical(indexerHeight)) {
-        this.logger.debug(
-          'Headers tip before last checkpoint. Re-initializing chain from start height: %d',
-          this.startHeight
-        )
+      // rather than replaying every entry, the chain only needs enough context
+      // for contextual checks (e.g. pow and median time) which is restored in a single batch
+      const context = await this.getChainContext(indexerHeight)
+      assert(context.entries.length, `Could not find chain context for header tip at ${indexerHeight}`)
 
-        entry = await this.getEntry(this.startHeight)
-      } else if (!this.network.lastCheckpoint) {
-        this.logger.info('Re-initializing chain db from genesis block')
-        // since the genesis block will be hard-coded in, we actually will be initializing from block #1
-        // but first run sanity check that we have a genesis block
-        assert(this.network.genesisBlock, `Could not find a genesis block for ${this.network.type}`)
-        entry = await this.getEntry(1)
-      } else {
-        // otherwise first entry in the chain should be the first "non-historical" block
-        this.logger.info('Re-initializing chain from last historical block: %d', this.getHistoricalPoint())
-        entry = await this.getHeader(this.getHistoricalPoint() + 1)
-      }
+      this.logger.info(
+        'Re-initializing chain with %d entries from block: %d',
+        context.entries.length,
+        context.entries[0].height
+      )
 
-      // add entries until chain is caught up to the header index
-      while (entry && entry.height <= indexerHeight) {
-        this.logger.spam('Re-indexing block entry %d to chain: %h', entry.height, entry.hash)
-        await this.addEntryToChain(entry)
-        // increment to the next entry
-        entry = await this.getEntry(entry.height + 1)
-      }
+      await this.addEntriesToChain(context.entries)
 
       // reset the chain once the db is loaded
       await this.chain.close()
@@ -417,6 +630,64 @@ class HeaderIndexer extends Indexer {
     }
   }
 
+  /**
+   * Get the height of the first entry the chain needs
+   * for contextual checks of blocks after the given tip
+   * @param {Number} height - tip height
+   * @returns {Number}
+   */
+
+  getContextStart(height) {
+    // a full retarget window for pow checks plus the median time past window.
+    // since the genesis block is hard-coded in the chain, the earliest is block #1
+    const window = this.network.pow.retargetInterval + consensus.MEDIAN_TIMESPAN
+    let start = Math.max(height - window + 1, 1)
+
+    // can't go back any earlier than the first entry saved with the start block
+    if (this.startHeight) start = Math.max(start, this.getLowestHeight())
+
+    return Math.min(start, height)
+  }
+
+  /**
+   * Get the chain context for a tip height. Uses the saved snapshot
+   * if it matches the tip, otherwise builds it from the header index
+   * @param {Number} height - tip height
+   * @returns {ChainContext}
+   */
+
+  async getChainContext(height) {
+    const hash = await this.getHash(height)
+    const data = await this.db.get(layout.c.encode())
+
+    if (data && hash) {
+      const context = ChainContext.fromRaw(data)
+      const tip = context.getTip()
+      if (tip && tip.hash.equals(hash)) return context
+      this.logger.debug('Chain context snapshot is stale. Building from header index.')
+    }
+
+    const entries = []
+    for (let i = this.getContextStart(height); i <= height; i++) {
+      const entry = await this.getEntry(i)
+      assert(entry, `Missing entry at ${i} for chain context`)
+      entries.push(entry)
+    }
+
+    return new ChainContext(entries)
+  }
+
+  /**
+   * Save a snapshot of the chain context for the current tip
+   * @returns {Promise}
+   */
+
+  async saveChainContext() {
+    const context = await this.getChainContext(this.height)
+    await this.db.put(layout.c.encode(), context.toRaw())
+    this.logger.debug('Saved chain context snapshot at height %d', this.height)
+  }
+
   /**
    * Add a block's transactions without a lock.
    * modified addBlock from parent class
@@ -451,6 +722,12 @@ class HeaderIndexer extends Indexer {
     // Update height _after_ successful commit.
     this.height = height
 
+    // let listeners know once the header can be read from the index
+    this.emit('connect', meta)
+
+    // remove headers that have fallen out of the pruning window
+    await this.pruneIndex()
+
     // Log the current indexer status.
     this.logStatus(start, block, meta)
   }
@@ -466,18 +743,103 @@ class HeaderIndexer extends Indexer {
   async indexBlock(meta, block) {
     const height = meta.height
 
+    this.invalidate(height)
+
+    // save the hash -> height mapping so that headers can be
+    // looked up by hash even when they are not in the in-memory chain
+    this.put(layout.H.encode(meta.hash), fromU32(height))
+
+    // a block from a stale branch can become part of the main chain again
+    this.del(layout.t.encode(meta.hash))
+
+    if (this.indexMerkleRoots) this.put(layout.m.encode(block.merkleRoot, height), null)
+
     // save block header
     // if block is historical (i.e. older than last checkpoint w/ at least one retarget interval)
     // we can save the header. Otherwise need to save the
     // whole entry so the chain can be replayed from that point
     if (this.isHistorical(height)) {
       const header = Headers.fromBlock(block)
-      this.put(layout.b.encode(height), header.toRaw())
+      await this.putHeader(height, header)
     } else {
       const prev = await this.chain.getEntry(height - 1)
       const entry = ChainEntry.fromBlock(block, prev)
-      this.put(layout.b.encode(height), entry.toRaw())
+      await this.putHeader(height, entry)
+    }
+  }
+
+  /**
+   * Add a header or entry to the batch, serialized
+   * according to the header storage mode
+   * @private
+   * @param {Number} height
+   * @param {Headers|ChainEntry} header
+   */
+
+  async putHeader(height, header) {
+    let raw
+    if (this.compressHeaders) raw = await this.compressHeader(height, header)
+    else raw = header.toRaw()
+    this.put(layout.b.encode(height), raw)
+  }
+
+  /**
+   * Serialize a header in the compressed format. The prevBlock is
+   * left out if it can be read from the hash index of the previous height
+   * and fields are packed against the height's anchor record if there is one
+   * @param {Number} height
+   * @param {Headers|ChainEntry} header
+   * @returns {Buffer}
+   */
+
+  async compressHeader(height, header) {
+    const record = HeaderRecord.fromHeader(header)
+    const prevHash = height > 0 ? await this.getHash(height - 1) : null
+    const omitPrev = prevHash != null && prevHash.equals(header.prevBlock)
+    const anchor = await this.getAnchor(height)
+    return record.toRaw(anchor, omitPrev)
+  }
+
+  /**
+   * Decode a compressed header record
+   * @param {Number} height
+   * @param {Buffer} data - compressed record
+   * @returns {Headers|ChainEntry}
+   */
+
+  async decompressHeader(height, data) {
+    const record = HeaderRecord.fromRaw(data)
+
+    if (!record.prevBlock) {
+      record.prevBlock = await this.getHash(height - 1)
+      assert(record.prevBlock, `Missing previous hash to decode compressed header at ${height}`)
+    }
+
+    if (record.hasAnchor()) {
+      const anchor = await this.getAnchor(height)
+      assert(anchor, `Missing anchor record to decode compressed header at ${height}`)
+      record.applyAnchor(anchor)
     }
+
+    return record.toHeader(height)
+  }
+
+  /**
+   * Get the anchor record that a compressed header
+   * at the given height is packed against
+   * @param {Number} height
+   * @returns {HeaderRecord|null} null if the height is an anchor or the anchor isn't indexed
+   */
+
+  async getAnchor(height) {
+    const anchorHeight = height - (height % HeaderRecord.ANCHOR_INTERVAL)
+    if (anchorHeight === height) return null
+
+    const data = await this.db.get(layout.b.encode(anchorHeight))
+    if (!data) return null
+
+    // anchors are always serialized with their full version, time and bits
+    return HeaderRecord.fromRaw(data)
   }
 
   /**
@@ -491,7 +853,278 @@ class HeaderIndexer extends Indexer {
   async unindexBlock(meta) {
     const height = meta.height
 
+    // keep the disconnected header as part of a stale branch. The fork
+    // point isn't known until the reorg is finished so it is set to
+    // the previous height for now and updated in `handleReorganize`
+    const header = await this.readHeader(height)
+    if (header && hashOf(header).equals(meta.hash)) {
+      const record = StaleRecord.fromHeader(header, height, height - 1)
+      this.put(layout.t.encode(meta.hash), record.toRaw())
+    }
+
+    if (header) this.del(layout.m.encode(header.merkleRoot, height))
+
+    this.invalidate(height)
+
+    // the replacing header could have a later time
+    this.del(layout.T.encode(getTimeBucket(height)))
+
     this.del(layout.b.encode(height))
+    this.del(layout.H.encode(meta.hash))
+  }
+
+  /**
+   * Commit the batch and clear the caches for any heights that
+   * were changed. Reads while the batch was open could have cached the old data
+   * @returns {Promise}
+   */
+
+  async commit() {
+    await super.commit()
+
+    for (const height of this.invalidated) this.invalidate(height)
+
+    this.invalidated.clear()
+  }
+
+  /**
+   * Remove a height from the caches. The height is also
+   * marked to be removed again when the batch is committed
+   * @param {Number} height
+   */
+
+  invalidate(height) {
+    this.hashCache.remove(height)
+    this.headerCache.remove(height)
+    this.entryCache.remove(height)
+    if (this.batch) this.invalidated.add(height)
+  }
+
+  /**
+   * Get the hit and miss stats for the caches
+   * @returns {Object}
+   */
+
+  getCacheStats() {
+    return {
+      hash: this.hashCache.getStats(),
+      header: this.headerCache.getStats(),
+      entry: this.entryCache.getStats()
+    }
+  }
+
+  /**
+   * Record the fork point of the branch that was disconnected in a reorg
+   * and emit a `reorganize` event with the old and new branches.
+   * Both lists of entries are in order of height and start after the fork point
+   * @private
+   * @param {ChainEntry} tip - the old tip
+   * @param {ChainEntry} competitor - the tip of the new branch
+   * @returns {Promise}
+   */
+
+  async handleReorganize(tip, competitor) {
+    const stale = await this.getStaleBranch(tip.hash)
+
+    if (!stale.length) {
+      this.logger.warning('No stale headers were saved for reorg from %h', tip.hash)
+      return
+    }
+
+    const forkHeight = stale[0].entry.height - 1
+    const forkHash = stale[0].entry.prevBlock
+
+    const connected = []
+    let entry = competitor
+    while (entry && entry.height > forkHeight) {
+      connected.push(entry)
+      entry = await this.chain.getPrevious(entry)
+    }
+
+    if (!entry || !entry.hash.equals(forkHash))
+      throw new Error(`New branch at ${competitor.rhash()} does not connect to the fork point at ${forkHeight}`)
+
+    const disconnected = stale.map(record => record.entry)
+    connected.reverse()
+
+    const batch = this.db.batch()
+    for (const record of stale) {
+      record.fork = forkHeight
+      batch.put(layout.t.encode(record.entry.hash), record.toRaw())
+    }
+
+    // save the reorg to the audit log
+    const reorg = ReorgRecord.fromEntries(this.network.now(), entry, disconnected, connected)
+    const id = await this.getNextReorgId()
+    batch.put(layout.r.encode(id), reorg.toRaw())
+    batch.put(layout.i.encode(), fromU32(id))
+
+    await batch.write()
+    await this.pruneReorgLog()
+
+    this.logger.warning(
+      'Reorganized header index at height %d: %d headers disconnected, %d connected',
+      forkHeight,
+      stale.length,
+      connected.length
+    )
+
+    this.emit('reorganize', disconnected, connected, entry)
+  }
+
+  /**
+   * Get the id for the next reorg in the audit log. The last id is saved
+   * on its own so ids aren't reused once the log has been pruned
+   * @private
+   * @returns {Promise} - Returns Number
+   */
+
+  async getNextReorgId() {
+    const data = await this.db.get(layout.i.encode())
+    if (data) return bio.readU32(data, 0) + 1
+
+    // logs saved before the last id was kept only have their records
+    const keys = await this.db.keys({
+      gte: layout.r.min(),
+      lte: layout.r.max(),
+      reverse: true,
+      limit: 1,
+      parse: key => layout.r.decode(key)[0]
+    })
+
+    return keys.length ? keys[0] + 1 : 1
+  }
+
+  /**
+   * Get the reorgs saved in the audit log
+   * @param {Number} [since=0] - only return reorgs at or after this unix time
+   * @returns {Promise} - Returns {@link ReorgRecord}[] in the order they happened
+   */
+
+  async getReorgs(since = 0) {
+    assert(Number.isSafeInteger(since) && since >= 0, 'Time must be a non-negative integer')
+
+    const items = await this.db.range({
+      gte: layout.r.min(),
+      lte: layout.r.max()
+    })
+
+    const reorgs = []
+    for (const { key, value } of items) {
+      const reorg = ReorgRecord.fromRaw(value, layout.r.decode(key)[0])
+      if (reorg.time >= since) reorgs.push(reorg)
+    }
+
+    return reorgs
+  }
+
+  /**
+   * Remove reorgs from the audit log that are
+   * outside of the count and age retention
+   * @returns {Promise}
+   */
+
+  async pruneReorgLog() {
+    if (!this.reorgLogMax && !this.reorgLogAge) return
+
+    const reorgs = await this.getReorgs()
+    const cutoff = this.reorgLogAge ? this.network.now() - this.reorgLogAge : 0
+    const excess = this.reorgLogMax ? reorgs.length - this.reorgLogMax : 0
+
+    const batch = this.db.batch()
+    let removed = 0
+
+    for (const [i, reorg] of reorgs.entries()) {
+      if (i >= excess && reorg.time >= cutoff) continue
+      batch.del(layout.r.encode(reorg.id))
+      removed++
+    }
+
+    if (!removed) return
+
+    await batch.write()
+    this.logger.debug('Removed %d reorgs from the audit log', removed)
+  }
+
+  /**
+   * Get the stale records for a branch, walking back from its tip
+   * until a header that isn't stale is reached
+   * @param {Buffer} hash - hash of the branch tip
+   * @returns {Promise} - Returns {@link StaleRecord}[] in order of height
+   */
+
+  async getStaleBranch(hash) {
+    const branch = []
+
+    for (;;) {
+      const record = await this.getStaleRecord(hash)
+      if (!record) break
+      branch.push(record)
+      hash = record.entry.prevBlock
+    }
+
+    return branch.reverse()
+  }
+
+  /**
+   * Get a stale header record
+   * @param {Buffer} hash
+   * @returns {Promise} - Returns {@link StaleRecord} or null
+   */
+
+  async getStaleRecord(hash) {
+    assert(Buffer.isBuffer(hash), 'Must pass a hash buffer to get a stale header')
+    const data = await this.db.get(layout.t.encode(hash))
+    if (!data) return null
+    return StaleRecord.fromRaw(data)
+  }
+
+  /**
+   * Get all of the saved stale header records
+   * @returns {Promise} - Returns {@link StaleRecord}[]
+   */
+
+  async getStaleRecords() {
+    return this.db.values({
+      gte: layout.t.min(),
+      lte: layout.t.max(),
+      parse: data => StaleRecord.fromRaw(data)
+    })
+  }
+
+  /**
+   * Get the tips of all known branches. Stale branches are
+   * read from the index so forks are still visible after a restart
+   * @returns {Promise} - Returns Object[] with the height, hash, branch length and status of each tip
+   */
+
+  async getChainTips() {
+    const records = await this.getStaleRecords()
+    const parents = new Set()
+
+    for (const record of records) parents.add(record.entry.prevBlock.toString('hex'))
+
+    const tips = [
+      {
+        height: this.height,
+        hash: await this.getHash(this.height),
+        branchlen: 0,
+        status: 'active'
+      }
+    ]
+
+    for (const record of records) {
+      if (parents.has(record.entry.hash.toString('hex'))) continue
+
+      tips.push({
+        height: record.entry.height,
+        hash: record.entry.hash,
+        branchlen: record.getBranchLength(),
+        status: 'valid-headers'
+      })
+    }
+
+    return tips.sort((a, b) => b.height - a.height)
   }
 
   /**
@@ -577,10 +1210,41 @@ class HeaderIndexer extends Indexer {
 
   async getHeader(height) {
     assert(typeof height === 'number' && height >= 0, 'Must pass valid height to get header')
-    const data = await this.db.get(layout.b.encode(height))
-    if (!data) return null
-    if (this.isHistorical(height)) return Headers.fromRaw(data)
-    return ChainEntry.fromRaw(data)
+
+    const cached = this.headerCache.get(height)
+    if (cached) return cached
+
+    const header = await this.readHeader(height)
+    this.headerCache.set(height, header)
+    return header
+  }
+
+  /**
+   * Read and decode a header from the db
+   * @private
+   * @param {Number} height
+   * @returns {Headers|ChainEntry|null}
+   */
+
+  async readHeader(height) {
+    const data = await this.db.get(layout.b.encode(height))
+    if (!data) return null
+    if (this.compressHeaders) return this.decompressHeader(height, data)
+    // backfilled headers are saved without a chainwork
+    // even if they are after the historical point
+    if (this.isHistorical(height) || data.length < ENTRY_SIZE) return Headers.fromRaw(data)
+    return ChainEntry.fromRaw(data)
+  }
+
+  /**
+   * Read the hash at a height from the db
+   * @private
+   * @param {Number} height
+   * @returns {Promise} - Returns {@link Hash} or null
+   */
+
+  async readHash(height) {
+    return this.db.get(layout.h.encode(height))
   }
 
   /**
@@ -598,6 +1262,25 @@ class HeaderIndexer extends Indexer {
     const entry = await super.getEntry(heightOrHash)
     if (entry) return entry
 
+    // hashes need to be resolved to a height with the hash index first
+    if (Buffer.isBuffer(heightOrHash)) return this.getEntryByHash(heightOrHash)
+
+    const cached = this.entryCache.get(heightOrHash)
+    if (cached) return cached
+
+    const converted = await this.convertEntry(heightOrHash)
+    this.entryCache.set(heightOrHash, converted)
+    return converted
+  }
+
+  /**
+   * Get a header from the index as a chain entry
+   * @private
+   * @param {Number} heightOrHash - block height
+   * @returns {ChainEntry|null}
+   */
+
+  async convertEntry(heightOrHash) {
     let header = await this.getHeader(heightOrHash)
 
     // return null if none exists
@@ -618,6 +1301,44 @@ class HeaderIndexer extends Indexer {
     return ChainEntry.fromJSON(header)
   }
 
+  /**
+   * Get the height of a block from the hash index
+   * @param {Buffer} hash - block hash
+   * @returns {Number|null} block height
+   */
+
+  async getHeightByHash(hash) {
+    assert(Buffer.isBuffer(hash), 'Must pass a hash buffer to get a height')
+    const data = await this.db.get(layout.H.encode(hash))
+    if (!data) return null
+    return bio.readU32(data, 0)
+  }
+
+  /**
+   * Get block entry by hash. The in-memory chain is checked first
+   * and if the entry isn't there (e.g. it is older than what the chain holds)
+   * it is looked up with the hash index
+   * @param {Buffer} hash - block hash
+   * @returns {ChainEntry|null} block entry
+   */
+
+  async getEntryByHash(hash) {
+    assert(Buffer.isBuffer(hash), 'Must pass a hash buffer to get an entry')
+
+    const entry = await super.getEntry(hash)
+    if (entry) return entry
+
+    const height = await this.getHeightByHash(hash)
+    if (height == null) return null
+
+    const indexed = await this.getEntry(height)
+
+    // sanity check in case the index is out of sync with the headers
+    if (!indexed || !indexed.hash.equals(hash)) return null
+
+    return indexed
+  }
+
   /**
    * Test whether the entry is potentially an ancestor of a checkpoint.
    * This is adapted from the chain's "isHistorical"
@@ -650,27 +1371,1031 @@ class HeaderIndexer extends Indexer {
    * with chaindb's 'reconnect'
    */
   async addEntryToChain(entry) {
-    // `reconnect` needs a block. The AbstractBlock class
-    // that Headers inherits from should be sufficient
-    const block = Headers.fromHead(entry.toRaw())
-    block.txs = []
+    await this.addEntriesToChain([entry])
+  }
+
+  /*
+   * Add a list of entries to the chain in a single batch.
+   * This is the same as chaindb's `reconnect` but only commits once
+   * @param {ChainEntry[]} entries - entries in order of height
+   */
+  async addEntriesToChain(entries) {
+    const { db } = this.chain
+
+    db.start()
+    try {
+      for (const entry of entries) {
+        this.logger.spam('Adding block entry %d to chain: %h', entry.height, entry.hash)
+
+        // `reconnect` needs a block. The AbstractBlock class
+        // that Headers inherits from should be sufficient
+        const block = Headers.fromHead(entry.toRaw())
+        block.txs = []
+
+        // chaindb's reconnect will make the updates to the
+        // the chain state that we need to catch up
+        await db._reconnect(entry, block, new CoinView())
+      }
+    } catch (e) {
+      db.drop()
+      throw e
+    }
 
-    // chaindb's reconnect will make the updates to the
-    // the chain state that we need to catch up
-    await this.chain.db.reconnect(entry, block, new CoinView())
+    await db.commit()
   }
 
   /*
    * Takes a ChainEntry and derives a block so that it can index
-   * the block and set a new tip
+   * the block and save its hash. Does not set the tip of the index
    * @param {ChainEntry} entry - chain entry to index
    */
   async indexEntryBlock(entry) {
     this.logger.debug('Indexing entry block %d: %h', entry.height, entry.hash)
     const block = Headers.fromHead(entry.toRaw())
     await this.indexBlock(entry, block, new CoinView())
-    const tip = BlockMeta.fromEntry(entry)
-    await this._setTip(tip)
+    this.put(layout.h.encode(entry.height), entry.hash)
+  }
+
+  /**
+   * Get the target height of an unfinished backfill
+   * @returns {Promise} - Returns Number or null if there is none
+   */
+
+  async getBackfillHeight() {
+    const data = await this.db.get(layout.f.encode())
+    if (!data) return null
+    return bio.readU32(data, 0)
+  }
+
+  /**
+   * Save the target height of a backfill so that it can be resumed
+   * @param {Number|null} height - null to clear the target once it's done
+   * @returns {Promise}
+   */
+
+  async setBackfillHeight(height) {
+    if (height == null) return this.db.del(layout.f.encode())
+    assert(Number.isSafeInteger(height) && height > 0, 'Backfill height must be a positive integer')
+    return this.db.put(layout.f.encode(), fromU32(height))
+  }
+
+  /**
+   * Add headers below the lowest height in the index
+   * and lower the start height to match
+   * @param {Headers[]} headers - consecutive headers in order of height
+   * ending at the height right below the lowest indexed height
+   * @returns {Promise} - Returns the new lowest height
+   */
+
+  async backfillHeaders(headers) {
+    const unlock = await this.locker.lock()
+    try {
+      return await this._backfillHeaders(headers)
+    } finally {
+      unlock()
+    }
+  }
+
+  async _backfillHeaders(headers) {
+    assert(Array.isArray(headers) && headers.length, 'Must pass headers to backfill')
+
+    const lowest = this.getLowestHeight()
+    const first = lowest - headers.length
+
+    // the genesis block is hard-coded in the chain so it is never backfilled
+    assert(first >= 1, `Cannot backfill ${headers.length} headers below height ${lowest}`)
+
+    const next = await this.getHeader(lowest)
+    assert(next, `Missing lowest header at ${lowest} for backfill`)
+
+    // write with our own batch so that we don't interfere with the forward sync
+    const batch = this.db.batch()
+    let prevBlock = next.prevBlock
+
+    // walk backwards so that each header is checked against the
+    // prevBlock of the header after it before anything is written
+    for (let i = headers.length - 1; i >= 0; i--) {
+      const header = headers[i]
+      const height = first + i
+      const hash = header.hash()
+
+      if (!hash.equals(prevBlock))
+        throw new Error(`Backfilled header at ${height} does not match the prevBlock of the next header`)
+
+      if (!header.verifyPOW()) throw new Error(`Backfilled header at ${height} has invalid proof of work`)
+
+      let raw
+      if (this.compressHeaders) raw = await this.compressHeader(height, header)
+      else raw = header.toRaw()
+
+      batch.put(layout.b.encode(height), raw)
+      batch.put(layout.h.encode(height), hash)
+      batch.put(layout.H.encode(hash), fromU32(height))
+
+      if (this.indexMerkleRoots) batch.put(layout.m.encode(header.merkleRoot, height), null)
+
+      prevBlock = header.prevBlock
+    }
+
+    // the new start height needs to have its required
+    // start entries in the index for restarting the chain
+    const startHeight = first + this.getRequiredStartEntries(first + 1) - 1
+
+    if (startHeight < this.startHeight) batch.put(layout.s.encode(), fromU32(startHeight))
+
+    await batch.write()
+
+    if (startHeight < this.startHeight) this.startHeight = startHeight
+
+    this.logger.debug('Backfilled %d headers to height %d', headers.length, first)
+
+    return first
+  }
+
+  /**
+   * Add headers after the tip of the index without going through the chain,
+   * e.g. headers downloaded between checkpoints by {@link ParallelSync}.
+   * Headers are checked for linkage, proof of work and difficulty like in the chain.
+   * The chain needs to be re-initialized to the new tip with
+   * {@link HeaderIndexer#initializeChain} before it syncs from peers again
+   * @param {Headers[]} headers - consecutive headers in order of height
+   * starting at the height right after the tip
+   * @returns {Promise} - Returns the new tip height
+   */
+
+  async addHeaders(headers) {
+    const unlock = await this.locker.lock()
+    try {
+      return await this._addHeaders(headers)
+    } finally {
+      unlock()
+    }
+  }
+
+  async _addHeaders(headers) {
+    assert(Array.isArray(headers) && headers.length, 'Must pass headers to add')
+
+    let prev = await this.getEntry(this.height)
+    assert(prev, `Missing entry for the tip at ${this.height}`)
+
+    // write with our own batch like the backfill since the forward sync isn't running
+    const batch = this.db.batch()
+    const pending = new Map()
+
+    for (const header of headers) {
+      if (!header.prevBlock.equals(prev.hash))
+        throw new Error(`Header ${header.rhash()} does not connect to the tip at ${prev.height}`)
+
+      if (!header.verifyPOW()) throw new Error(`Header ${header.rhash()} has invalid proof of work`)
+
+      if (!(await this.verifyTarget(header, prev, pending)))
+        throw new Error(`Header ${header.rhash()} has unexpected difficulty bits`)
+
+      // entries are saved after the historical point like in `indexBlock`
+      const entry = ChainEntry.fromBlock(header, prev)
+      pending.set(entry.height, entry)
+      const { height, hash } = entry
+      const item = this.isHistorical(height) ? entry.toHeaders() : entry
+
+      let raw
+      if (this.compressHeaders) raw = await this.compressHeader(height, item)
+      else raw = item.toRaw()
+
+      batch.put(layout.b.encode(height), raw)
+      batch.put(layout.h.encode(height), hash)
+      batch.put(layout.H.encode(hash), fromU32(height))
+      batch.del(layout.t.encode(hash))
+
+      if (this.indexMerkleRoots) batch.put(layout.m.encode(header.merkleRoot, height), null)
+
+      prev = entry
+    }
+
+    batch.put(layout.R.encode(), fromU32(prev.height))
+
+    await batch.write()
+
+    for (let height = this.height + 1; height <= prev.height; height++) this.invalidate(height)
+
+    this.height = prev.height
+
+    this.logger.debug('Added %d headers up to height %d', headers.length, prev.height)
+
+    // let listeners know about every header like when they are added through the chain
+    for (const entry of pending.values()) this.emit('connect', BlockMeta.fromEntry(entry))
+
+    await this.pruneIndex()
+
+    return prev.height
+  }
+
+  /**
+   * Check the bits of a header that isn't added through the chain against the
+   * target the chain would expect. Like the chain, headers up to the last checkpoint
+   * are skipped since they are covered by the checkpoints
+   * @private
+   * @param {Headers} header
+   * @param {ChainEntry} prev - entry of the previous header
+   * @param {Map} pending - entries by height that aren't written to the index yet
+   * @returns {Promise} - Returns Boolean
+   */
+
+  async verifyTarget(header, prev, pending) {
+    if (this.chain.isHistorical(prev)) return true
+    const bits = await this.getTarget(header.time, prev, pending)
+    return header.bits === bits
+  }
+
+  /**
+   * Get the expected target for the block after prev. This is adapted
+   * from the chain's `getTarget` but looks up ancestors in the header index
+   * since they can be older than the in-memory chain or not written yet
+   * @private
+   * @param {Number} time - timestamp of the next block
+   * @param {ChainEntry} prev
+   * @param {Map} pending - entries by height that aren't written to the index yet
+   * @returns {Promise} - Returns Number (target in compact form)
+   */
+
+  async getTarget(time, prev, pending) {
+    const { pow } = this.network
+
+    const getAncestor = async height => {
+      const entry = pending.get(height) || (await this.getEntry(height))
+      if (!entry) throw new Error(`Missing entry at ${height} to check the difficulty after ${prev.height}`)
+      return entry
+    }
+
+    if ((prev.height + 1) % pow.retargetInterval !== 0) {
+      if (pow.targetReset) {
+        // special behavior for testnet
+        if (time > prev.time + pow.targetSpacing * 2) return pow.bits
+
+        while (prev.height !== 0 && prev.height % pow.retargetInterval !== 0 && prev.bits === pow.bits)
+          prev = await getAncestor(prev.height - 1)
+      }
+      return prev.bits
+    }
+
+    const first = await getAncestor(prev.height - (pow.retargetInterval - 1))
+    return this.chain.retarget(prev, first)
+  }
+
+  /**
+   * Remove headers older than the pruning window and move the start height
+   * forward so that it stays the lowest height with its required entries
+   * @returns {Promise}
+   */
+
+  async pruneIndex() {
+    if (!this.pruneHeaders) return
+
+    const target = this.height - this.pruneHeaders + 1
+
+    // prune in batches in case pruning was just enabled on a large index
+    while (this.getLowestHeight() < target) {
+      const lowest = this.getLowestHeight()
+      await this._pruneIndex(lowest, Math.min(target, lowest + PRUNE_BATCH_SIZE))
+    }
+  }
+
+  /**
+   * Remove headers from lowest up to, but not including, a new lowest height
+   * @private
+   * @param {Number} lowest - current lowest height
+   * @param {Number} newLowest - lowest height to keep
+   * @returns {Promise}
+   */
+
+  async _pruneIndex(lowest, newLowest) {
+    const batch = this.db.batch()
+
+    // compressed records can leave out their prevBlock and pack fields against their
+    // anchor so the records that would depend on pruned data are rewritten in full.
+    // This is the new lowest header and, if its anchor is pruned, the rest of its anchor's interval
+    if (this.compressHeaders) {
+      const anchor = newLowest - (newLowest % HeaderRecord.ANCHOR_INTERVAL)
+
+      let end = newLowest
+      if (anchor >= lowest && anchor < newLowest) end = Math.min(anchor + HeaderRecord.ANCHOR_INTERVAL - 1, this.height)
+
+      for (let height = newLowest; height <= end; height++) {
+        const header = await this.getHeader(height)
+        if (header) batch.put(layout.b.encode(height), HeaderRecord.fromHeader(header).toRaw(null, false))
+      }
+    }
+
+    for (let height = lowest; height < newLowest; height++) {
+      const hash = await this.getHash(height)
+      if (hash) batch.del(layout.H.encode(hash))
+      if (this.indexMerkleRoots) {
+        const header = await this.getHeader(height)
+        if (header) batch.del(layout.m.encode(header.merkleRoot, height))
+      }
+      batch.del(layout.b.encode(height))
+      batch.del(layout.h.encode(height))
+    }
+
+    for (let bucket = getTimeBucket(lowest); bucket < getTimeBucket(newLowest); bucket++)
+      batch.del(layout.T.encode(bucket))
+
+    // the new start height needs to have its required
+    // start entries in the index for restarting the chain
+    const startHeight = newLowest + this.getRequiredStartEntries(newLowest + 1) - 1
+    batch.put(layout.s.encode(), fromU32(startHeight))
+
+    await batch.write()
+
+    for (let height = lowest; height < newLowest; height++) this.invalidate(height)
+
+    this.startHeight = startHeight
+
+    this.logger.debug('Pruned headers from %d to %d. New start height: %d', lowest, newLowest - 1, startHeight)
+  }
+
+  /**
+   * Load the build state of the merkle root index and build it in the
+   * background for headers that were indexed before it was enabled.
+   * New headers are added to the index as they are connected
+   * @returns {Promise}
+   */
+
+  async initMerkleIndex() {
+    // headers connected while the index is disabled are missing
+    // from it so it needs to be built again if it is re-enabled
+    if (!this.indexMerkleRoots) {
+      await this.db.del(layout.M.encode())
+      return
+    }
+
+    let state = await this.getMerkleBuildState()
+
+    if (!state) {
+      state = { next: this.getLowestHeight(), end: this.height }
+      await this.db.put(layout.M.encode(), encodeBuildState(state))
+    }
+
+    if (state.next > state.end) return
+
+    this.merkleBuildState = state
+    this.merkleBuildStopped = false
+    this.merkleBuild = this.buildMerkleIndex().catch(e => this.emit('error', e))
+  }
+
+  /**
+   * Get the saved build state of the merkle root index
+   * @returns {Promise} - Returns Object with the next height to build
+   * and the last height to build or null if the index hasn't been started
+   */
+
+  async getMerkleBuildState() {
+    const data = await this.db.get(layout.M.encode())
+    if (!data) return null
+
+    const br = bio.read(data)
+    return { next: br.readU32(), end: br.readU32() }
+  }
+
+  /**
+   * Add the headers below the height the merkle root index was enabled at.
+   * Progress is saved with each batch so that the build resumes after a restart
+   * @private
+   * @returns {Promise}
+   */
+
+  async buildMerkleIndex() {
+    const state = this.merkleBuildState
+
+    this.logger.info('Building merkle root index from %d to %d', state.next, state.end)
+
+    while (state.next <= state.end) {
+      if (this.merkleBuildStopped) return
+
+      const end = Math.min(state.end, state.next + MERKLE_BATCH_SIZE - 1)
+      const batch = this.db.batch()
+
+      // headers below the lowest height could have been pruned during the build
+      for (let height = Math.max(state.next, this.getLowestHeight()); height <= end; height++) {
+        const header = await this.getHeader(height)
+        if (header) batch.put(layout.m.encode(header.merkleRoot, height), null)
+      }
+
+      batch.put(layout.M.encode(), encodeBuildState({ next: end + 1, end: state.end }))
+
+      await batch.write()
+
+      state.next = end + 1
+
+      this.logger.debug('Built merkle root index to %d', end)
+
+      // let the sync run between batches
+      await new Promise(resolve => setImmediate(resolve))
+    }
+
+    this.merkleBuildState = null
+    this.logger.info('Merkle root index built to %d', state.end)
+  }
+
+  /**
+   * Stop a background build of the merkle root index
+   * and wait for the current batch to be written
+   * @returns {Promise}
+   */
+
+  async stopMerkleIndex() {
+    if (!this.merkleBuild) return
+
+    this.merkleBuildStopped = true
+    await this.merkleBuild
+    this.merkleBuild = null
+  }
+
+  /**
+   * Check if all of the indexed headers are in the merkle root index
+   * @returns {Boolean}
+   */
+
+  isMerkleIndexReady() {
+    return this.indexMerkleRoots && this.merkleBuildState == null
+  }
+
+  /**
+   * Get the heights of the blocks in the main chain with a merkle root.
+   * Separate blocks only share a merkle root if they have the same transactions,
+   * which has only happened with the duplicate coinbases before BIP30
+   * @param {Buffer} root - merkle root in internal byte order
+   * @returns {Promise} - Returns Number[] in order of height
+   */
+
+  async getHeightsByMerkleRoot(root) {
+    assert(Buffer.isBuffer(root) && root.length === 32, 'Merkle root must be a 32 byte hash')
+    assert(this.indexMerkleRoots, 'Merkle root index is not enabled')
+
+    const heights = await this.db.keys({
+      gte: layout.m.min(root),
+      lte: layout.m.max(root),
+      parse: key => layout.m.decode(key)[1]
+    })
+
+    // a background build can race a reorg or pruning and leave
+    // records behind so they are checked against the header
+    const valid = []
+    for (const height of heights) {
+      const header = height <= this.height ? await this.getHeader(height) : null
+      if (header && header.merkleRoot.equals(root)) valid.push(height)
+    }
+
+    return valid
+  }
+
+  /**
+   * Get the height of the latest block in the main chain with a merkle root
+   * @param {Buffer} root - merkle root in internal byte order
+   * @returns {Promise} - Returns Number or null if it isn't indexed
+   */
+
+  async getHeightByMerkleRoot(root) {
+    const heights = await this.getHeightsByMerkleRoot(root)
+    return heights.length ? heights[heights.length - 1] : null
+  }
+
+  /**
+   * Get the median time past for a height. This is calculated
+   * from the stored headers so it also works for historical heights.
+   * Near the lowest height, only the available headers are used
+   * @param {Number} height
+   * @returns {Promise} - Returns Number or null if the header isn't indexed
+   */
+
+  async getMedianTime(height) {
+    const lowest = this.getLowestHeight()
+    const times = []
+
+    for (let i = height; i > height - consensus.MEDIAN_TIMESPAN && i >= lowest; i--) {
+      const header = await this.getHeader(i)
+      if (!header) break
+      times.push(header.time)
+    }
+
+    if (!times.length) return null
+
+    times.sort((a, b) => a - b)
+
+    return times[times.length >>> 1]
+  }
+
+  /**
+   * Find the first height with a median time past at or after a time.
+   * The median time past always increases so this is a binary search
+   * @param {Number} time - unix time in seconds
+   * @returns {Promise} - Returns Number or null if the tip is before the time
+   */
+
+  async findHeightByMedianTime(time) {
+    let lo = this.getLowestHeight()
+    let hi = this.height
+
+    if ((await this.getMedianTime(hi)) < time) return null
+
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1
+      if ((await this.getMedianTime(mid)) >= time) hi = mid
+      else lo = mid + 1
+    }
+
+    return lo
+  }
+
+  /**
+   * Find the headers at or after a time. Block times don't always increase
+   * so this returns the first header with a time (or median time past) at or after
+   * the time, and the last header to cross it, i.e. the height from which every header is
+   * at or after the time. These are the same when searching by median time past.
+   * @param {Number} time - unix time in seconds
+   * @param {String} [mode=time] - `time` or `mtp`
+   * @returns {Promise} - Returns Object with the first and last heights which are null if there is no match
+   */
+
+  async findHeightsByTime(time, mode = 'time') {
+    assert(Number.isSafeInteger(time) && time >= 0, 'Time must be a non-negative integer')
+    assert(mode === 'time' || mode === 'mtp', 'Mode must be time or mtp')
+
+    if (mode === 'mtp') {
+      const height = await this.findHeightByMedianTime(time)
+      return { first: height, last: height }
+    }
+
+    return {
+      first: await this.findFirstHeightByTime(time),
+      last: await this.findLastHeightByTime(time)
+    }
+  }
+
+  /**
+   * Find the first height with a block time at or after a time.
+   * Buckets of heights are skipped with the time index
+   * if none of their headers can be at or after the time
+   * @private
+   * @param {Number} time
+   * @returns {Promise} - Returns Number or null
+   */
+
+  async findFirstHeightByTime(time) {
+    const lowest = this.getLowestHeight()
+
+    for (let bucket = getTimeBucket(lowest); bucket <= getTimeBucket(this.height); bucket++) {
+      if ((await this.getTimeBound(bucket)) < time) continue
+
+      const start = Math.max(bucket * TIME_BUCKET_SIZE, lowest)
+      const end = Math.min((bucket + 1) * TIME_BUCKET_SIZE - 1, this.height)
+
+      for (let height = start; height <= end; height++) {
+        const header = await this.readHeader(height)
+        if (header && header.time >= time) return height
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Find the last header to cross a time. A block's time has to be after
+   * the median time past of the previous block so every header after the
+   * first median time past at or after the time is also at or after it.
+   * From there, this walks back until a header is before the time.
+   * @private
+   * @param {Number} time
+   * @returns {Promise} - Returns Number or null if the tip is before the time
+   */
+
+  async findLastHeightByTime(time) {
+    const lowest = this.getLowestHeight()
+    const mtpHeight = await this.findHeightByMedianTime(time)
+
+    let height = mtpHeight == null ? this.height : Math.min(mtpHeight + 1, this.height)
+
+    let header = await this.getHeader(height)
+    if (!header || header.time < time) return null
+
+    while (height > lowest) {
+      header = await this.getHeader(height - 1)
+      if (!header || header.time < time) break
+      height--
+    }
+
+    return height
+  }
+
+  /**
+   * Get the latest block time in a bucket of heights from the time index.
+   * Missing bounds are calculated from the headers and saved once every height
+   * in the bucket is indexed and deep enough to not be changed by a reorg
+   * @private
+   * @param {Number} bucket
+   * @returns {Promise} - Returns Number, -1 if there are no headers in the bucket
+   */
+
+  async getTimeBound(bucket) {
+    const data = await this.db.get(layout.T.encode(bucket))
+    if (data) return bio.readU32(data, 0)
+
+    const lowest = this.getLowestHeight()
+    const start = bucket * TIME_BUCKET_SIZE
+    const end = start + TIME_BUCKET_SIZE - 1
+
+    let bound = -1
+    for (let height = Math.max(start, lowest); height <= Math.min(end, this.height); height++) {
+      const header = await this.readHeader(height)
+      if (header && header.time > bound) bound = header.time
+    }
+
+    if (bound >= 0 && start >= lowest && end + TIME_INDEX_DEPTH <= this.height)
+      await this.db.put(layout.T.encode(bucket), fromU32(bound))
+
+    return bound
+  }
+
+  /**
+   * Check the integrity of the header index. Every stored header from the
+   * lowest height to the tip is checked for contiguous heights, prevBlock linkage,
+   * proof of work and consistency with the hash indexes. The saved start height
+   * and tip are also checked.
+   * @param {Object} [options]
+   * @param {Boolean} [options.repair=false] - truncate the index to
+   * the last good height so it can be resynced from there
+   * @returns {Promise} - Returns Object report
+   */
+
+  async verifyIndex(options) {
+    const unlock = await this.locker.lock()
+    try {
+      return await this._verifyIndex(options)
+    } finally {
+      unlock()
+    }
+  }
+
+  async _verifyIndex(options = {}) {
+    const repair = Boolean(options.repair)
+    const tip = this.height
+    const lowest = Math.max(this.getLowestHeight(), 1)
+    const errors = []
+
+    let total = 0
+    let firstBad = null
+
+    const fail = (height, type, message) => {
+      total++
+      if (errors.length < VERIFY_MAX_ERRORS) errors.push({ height, type, message })
+      if (height <= tip && (firstBad == null || height < firstBad)) firstBad = height
+    }
+
+    this.logger.info('Verifying header index from %d to %d', lowest, tip)
+
+    // the saved start height needs to match the start block
+    if (this.startHeight) {
+      const data = await this.db.get(layout.s.encode())
+      if (!data) fail(this.startHeight, 'start', 'Start height is missing from the index')
+      else if (bio.readU32(data, 0) !== this.startHeight)
+        fail(this.startHeight, 'start', `Saved start height ${bio.readU32(data, 0)} does not match ${this.startHeight}`)
+    }
+
+    // the chain from genesis links to the hard-coded genesis block
+    let prevHash = this.startHeight ? null : this.network.genesis.hash
+
+    // the caches are skipped so that problems on disk aren't hidden by earlier lookups
+    for (let height = lowest; height <= tip; height++) {
+      let header = null
+      try {
+        header = await this.readHeader(height)
+      } catch (e) {
+        fail(height, 'decode', e.message)
+      }
+
+      const hash = await this.readHash(height)
+
+      if (!hash) fail(height, 'hash', 'Missing hash for height')
+
+      if (!header) {
+        fail(height, 'header', 'Missing header for height')
+        prevHash = hash
+        continue
+      }
+
+      const headerHash = hashOf(header)
+
+      if (hash && !hash.equals(headerHash)) fail(height, 'hash', `Hash ${util.revHex(hash)} does not match header`)
+
+      if (ChainEntry.isChainEntry(header) && header.height !== height)
+        fail(height, 'height', `Entry is saved with height ${header.height}`)
+
+      if (prevHash && !header.prevBlock.equals(prevHash))
+        fail(height, 'prevBlock', 'Header does not link to the previous header')
+
+      const block = ChainEntry.isChainEntry(header) ? header.toHeaders() : header
+      if (!block.verifyPOW()) fail(height, 'pow', 'Header has invalid proof of work')
+
+      const indexed = await this.getHeightByHash(headerHash)
+      if (indexed !== height) fail(height, 'hashindex', `Hash index has height ${indexed} for header`)
+
+      prevHash = headerHash
+    }
+
+    // the sync state should point at the last header
+    const data = await this.db.get(layout.R.encode())
+    if (!data || bio.readU32(data, 0) !== tip) fail(tip, 'tip', 'Saved tip does not match the index height')
+
+    // anything above the tip is left over from a bad shutdown
+    let end = tip
+    while ((await this.db.has(layout.b.encode(end + 1))) || (await this.db.has(layout.h.encode(end + 1)))) end++
+
+    if (end > tip) fail(tip + 1, 'tip', `Found ${end - tip} headers above the tip`)
+
+    const lastGood = firstBad == null ? tip : firstBad - 1
+
+    const report = {
+      valid: total === 0,
+      startHeight: this.startHeight,
+      lowest,
+      tip,
+      lastGood,
+      errors,
+      total,
+      repaired: false
+    }
+
+    if (report.valid) this.logger.info('Header index verified from %d to %d', lowest, tip)
+    else this.logger.warning('Found %d problems in the header index. Last good height: %d', total, lastGood)
+
+    if (repair && !report.valid) {
+      // the start block can't be recovered from peers
+      if (lastGood < lowest || (this.startHeight && lastGood < this.startHeight))
+        throw new Error(
+          'Cannot repair a header index with a bad start block. The index needs to be deleted and resynced.'
+        )
+
+      await this.truncate(lastGood, end)
+      report.repaired = true
+    }
+
+    return report
+  }
+
+  /**
+   * Remove all headers above a height and set it as the tip
+   * so that the headers can be synced again. Resets the chain
+   * to the same height if it has the entry.
+   * @private
+   * @param {Number} height - new tip height
+   * @param {Number} end - highest height with saved data
+   * @returns {Promise}
+   */
+
+  async truncate(height, end) {
+    const tipHash = await this.readHash(height)
+    assert(tipHash, `Missing hash for new tip at ${height}`)
+
+    this.logger.warning('Truncating header index from %d to %d', end, height)
+
+    const batch = this.db.batch()
+
+    for (let i = height + 1; i <= end; i++) {
+      // remove the hash index for both the saved hash and the header's
+      // hash in case they don't match
+      const hashes = [await this.readHash(i)]
+      try {
+        const header = await this.readHeader(i)
+        if (header) {
+          hashes.push(hashOf(header))
+          batch.del(layout.m.encode(header.merkleRoot, i))
+        }
+      } catch (e) {
+        this.logger.debug('Could not decode header at %d to truncate: %s', i, e.message)
+      }
+
+      for (const hash of hashes) {
+        if (hash && (await this.getHeightByHash(hash)) > height) batch.del(layout.H.encode(hash))
+      }
+
+      batch.del(layout.b.encode(i))
+      batch.del(layout.h.encode(i))
+    }
+
+    for (let bucket = getTimeBucket(height + 1); bucket <= getTimeBucket(end); bucket++)
+      batch.del(layout.T.encode(bucket))
+
+    batch.put(layout.h.encode(height), tipHash)
+    batch.put(layout.R.encode(), fromU32(height))
+
+    // the snapshot is for the old tip
+    batch.del(layout.c.encode())
+
+    await batch.write()
+
+    for (let i = height + 1; i <= end; i++) this.invalidate(i)
+
+    this.height = height
+
+    if (!this.chain.opened || this.chain.height <= height) return
+
+    // once the chain is back at the new tip the headers
+    // above it will be synced again from peers
+    const entry = await this.chain.getEntry(height)
+    if (entry && entry.hash.equals(tipHash)) await this.chain.reset(height)
+    else this.logger.warning('Chain does not have the entry at %d. Restart the node to resync.', height)
+  }
+
+  /**
+   * Export headers from a height to the tip to a snapshot file of consecutive
+   * 80 byte headers followed by a {@link SnapshotTrailer}. The file is written
+   * to a temporary path first so a failed export doesn't leave a partial snapshot
+   * @param {String} file
+   * @param {Object} [options]
+   * @param {Number} [options.start] - height of the first header, defaults to the lowest header
+   * @param {Boolean} [options.force=false] - overwrite the file if it already exists
+   * @returns {Promise} - Returns Object with the start height, tip height and tip hash
+   */
+
+  async exportHeaders(file, options) {
+    const unlock = await this.locker.lock()
+    try {
+      return await this._exportHeaders(file, options)
+    } finally {
+      unlock()
+    }
+  }
+
+  async _exportHeaders(file, options = {}) {
+    assert(typeof file === 'string', 'Must pass a file to export headers to')
+
+    const force = Boolean(options.force)
+    const lowest = Math.max(this.getLowestHeight(), 1)
+    const tip = this.height
+
+    let { start } = options
+    if (start == null) start = lowest
+
+    assert(Number.isSafeInteger(start), 'Start height must be an integer')
+    if (start < lowest || start > tip) throw new Error(`Start height must be between ${lowest} and ${tip}`)
+
+    if (!force && (await fs.exists(file))) throw new Error(`${file} already exists`)
+
+    this.logger.info('Exporting headers from %d to %d to %s', start, tip, file)
+
+    // a temporary file left by another export is only replaced when forced
+    const tmp = `${file}.tmp`
+    const fd = await fs.open(tmp, force ? 'w' : 'wx')
+
+    let hash = null
+    try {
+      for (let height = start; height <= tip; height += SNAPSHOT_BATCH_SIZE) {
+        const end = Math.min(tip, height + SNAPSHOT_BATCH_SIZE - 1)
+        const chunk = Buffer.allocUnsafe((end - height + 1) * 80)
+
+        for (let i = height; i <= end; i++) {
+          const header = await this.getHeader(i)
+          if (!header) throw new Error(`Missing header at ${i}`)
+
+          const item = ChainEntry.isChainEntry(header) ? header.toHeaders() : header
+          item.toHead().copy(chunk, (i - height) * 80)
+          hash = hashOf(header)
+        }
+
+        await fs.write(fd, chunk, 0, chunk.length, null)
+      }
+
+      const trailer = new SnapshotTrailer({ magic: this.network.magic, startHeight: start, tip: hash }).toRaw()
+      await fs.write(fd, trailer, 0, trailer.length, null)
+    } catch (e) {
+      await fs.close(fd)
+      await fs.unlink(tmp)
+      throw e
+    }
+
+    await fs.close(fd)
+    await fs.rename(tmp, file)
+
+    this.logger.info('Exported %d headers to %s', tip - start + 1, file)
+
+    return { start, tip, hash: util.revHex(hash) }
+  }
+
+  /**
+   * Import headers from a snapshot file written by {@link HeaderIndexer#exportHeaders}.
+   * The snapshot has to connect to the index, and headers that are already indexed
+   * have to match. Every header is checked for linkage, proof of work, difficulty and
+   * checkpoints before anything is written, and the in-memory chain is initialized to the new tip.
+   * @param {String} file
+   * @returns {Promise} - Returns Object with the start height, tip height,
+   * tip hash and number of headers that were added
+   */
+
+  async importHeaders(file) {
+    const unlock = await this.locker.lock()
+    try {
+      return await this._importHeaders(file)
+    } finally {
+      unlock()
+    }
+  }
+
+  async _importHeaders(file) {
+    assert(typeof file === 'string', 'Must pass a file to import headers from')
+
+    const fd = await fs.open(file, 'r')
+    try {
+      return await this.importSnapshot(fd, file)
+    } finally {
+      await fs.close(fd)
+    }
+  }
+
+  /**
+   * Check and import the headers of an open snapshot file. The headers
+   * are read in batches so the whole snapshot is never held in memory
+   * @private
+   * @param {Number} fd - file descriptor of the snapshot
+   * @param {String} file
+   * @returns {Promise} - Returns Object with the start height, tip height,
+   * tip hash and number of headers that were added
+   */
+
+  async importSnapshot(fd, file) {
+    const { size: length } = await fs.fstat(fd)
+    const size = length - SnapshotTrailer.SIZE
+
+    if (size <= 0 || size % 80 !== 0) throw new Error(`${file} is not a header snapshot`)
+
+    const trailer = SnapshotTrailer.fromRaw(await readChunk(fd, size, SnapshotTrailer.SIZE))
+    const count = size / 80
+    const start = trailer.startHeight
+    const end = start + count - 1
+
+    if (trailer.magic !== this.network.magic)
+      throw new Error(`Snapshot is not for the ${this.network.type} network (magic ${trailer.magic})`)
+
+    if (start < 1 || start > this.height + 1)
+      throw new Error(`Snapshot starts at ${start} which does not connect to the header index tip at ${this.height}`)
+
+    this.logger.info('Checking %d headers from %d to %d in %s', count, start, end, file)
+
+    const { retargetInterval } = this.network.pow
+    const from = this.height + 1
+
+    // entries for the headers after the tip are only kept for a retarget window
+    // which is as far back as the difficulty checks look
+    const pending = new Map()
+    let entry = null
+    let prev = start === 1 ? this.network.genesis.hash : await this.getHash(start - 1)
+
+    for (let first = start; first <= end; first += SNAPSHOT_BATCH_SIZE) {
+      const headers = await readHeaders(fd, start, first, end)
+
+      for (const [i, header] of headers.entries()) {
+        const height = first + i
+        const hash = header.hash()
+
+        if (prev && !header.prevBlock.equals(prev))
+          throw new Error(`Header at ${height} does not link to the previous header`)
+
+        if (!header.verifyPOW()) throw new Error(`Header at ${height} has invalid proof of work`)
+
+        const checkpoint = this.network.checkpointMap[height]
+        if (checkpoint && !hash.equals(checkpoint)) throw new Error(`Header at ${height} does not match the checkpoint`)
+
+        if (height < from) {
+          // headers below the lowest height in the index can't be compared
+          const indexed = await this.getHash(height)
+          if (indexed && !indexed.equals(hash)) throw new Error(`Header at ${height} does not match the header index`)
+        } else {
+          if (!entry) entry = await this.getEntry(this.height)
+          assert(entry, `Missing entry for the tip at ${this.height}`)
+
+          if (!(await this.verifyTarget(header, entry, pending)))
+            throw new Error(`Header at ${height} has unexpected difficulty bits`)
+
+          entry = ChainEntry.fromBlock(header, entry)
+          pending.set(height, entry)
+          pending.delete(height - retargetInterval)
+        }
+
+        prev = hash
+      }
+    }
+
+    if (!prev.equals(trailer.tip)) throw new Error('Last header does not match the tip of the snapshot')
+
+    for (let height = from; height <= end; height += SNAPSHOT_BATCH_SIZE)
+      await this._addHeaders(await readHeaders(fd, start, height, end))
+
+    const imported = Math.max(0, end - from + 1)
+
+    // the chain needs the context of the new tip before it can sync from it
+    if (imported) await this._initializeChain()
+
+    this.logger.info('Imported %d headers from %s. Header index tip is %d', imported, file, this.height)
+
+    return { start, tip: end, hash: util.revHex(trailer.tip), imported }
   }
 
   /**
@@ -687,17 +2412,14 @@ class HeaderIndexer extends Indexer {
 
     if (height < 0) return null
 
-    // NOTE: indexer has no cache
     // this.getHash is replacing functionality normally done by the chain
-    // which does cacheing for performance improvement
-    // this would be a good target for future optimization of the header chain
+    // so it has its own cache like the chain's height cache
+    const cached = this.hashCache.get(height)
+    if (cached) return cached
 
-    // const entry = this.cacheHeight.get(height);
-
-    // if (entry)
-    //   return entry.hash;
-
-    return this.db.get(layout.h.encode(height))
+    const hash = await this.readHash(height)
+    this.hashCache.set(height, hash)
+    return hash
   }
 
   /**
@@ -725,4 +2447,84 @@ class HeaderIndexer extends Indexer {
   }
 }
 
+/**
+ * Header index db flags
+ * @enum {Number}
+ */
+
+HeaderIndexer.flags = {
+  COMPRESSED: 1 << 0
+}
+
+/*
+ * Constants
+ */
+
+// size of a serialized ChainEntry
+const ENTRY_SIZE = 116
+
+// max number of problems listed in an index verification report
+const VERIFY_MAX_ERRORS = 100
+
+// max number of heights to prune in a single batch
+const PRUNE_BATCH_SIZE = 2000
+
+// max number of heights to add to the merkle root index in a single batch
+const MERKLE_BATCH_SIZE = 2000
+
+// max number of headers read or written at once for a header snapshot
+const SNAPSHOT_BATCH_SIZE = 2000
+
+// number of heights in each bucket of the time index
+const TIME_BUCKET_SIZE = 2016
+
+// depth a bucket needs to be below the tip before it is saved in the time index
+const TIME_INDEX_DEPTH = 100
+
+/*
+ * Helpers
+ */
+
+// chain entries cache their hash while headers compute it
+function hashOf(header) {
+  return ChainEntry.isChainEntry(header) ? header.hash : header.hash()
+}
+
+function getTimeBucket(height) {
+  return Math.floor(height / TIME_BUCKET_SIZE)
+}
+
+function encodeBuildState(state) {
+  const bw = bio.write(8)
+  bw.writeU32(state.next)
+  bw.writeU32(state.end)
+  return bw.render()
+}
+
+function fromU32(num) {
+  const data = Buffer.allocUnsafe(4)
+  data.writeUInt32LE(num, 0)
+  return data
+}
+
+// read from a position in a file and fail if the file ends before the length
+async function readChunk(fd, position, length) {
+  const data = Buffer.allocUnsafe(length)
+  const bytes = await fs.read(fd, data, 0, length, position)
+  if (bytes !== length) throw new Error('Unexpected end of snapshot file')
+  return data
+}
+
+// read a batch of up to SNAPSHOT_BATCH_SIZE headers from a height of a
+// snapshot file that starts at `start` and ends at `end`
+async function readHeaders(fd, start, height, end) {
+  const count = Math.min(end - height + 1, SNAPSHOT_BATCH_SIZE)
+  const data = await readChunk(fd, (height - start) * 80, count * 80)
+  const headers = []
+
+  for (let i = 0; i < count; i++) headers.push(Headers.fromHead(data.slice(i * 80, i * 80 + 80)))
+
+  return headers
+}
+
 module.exports = HeaderIndexer
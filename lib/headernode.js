@@ -12,6 +12,15 @@ const HTTP = require('./http')
 const RPC = require('./rpc')
 const HeaderIndexer = require('./headerindexer')
 const HeaderPool = require('./headerpool')
+const HeaderBackfill = require('./backfill')
+const FilterHeaderIndexer = require('./filterheaderindexer')
+const TipMonitor = require('./tipmonitor')
+const StallWatchdog = require('./watchdog')
+const ParallelSync = require('./parallelsync')
+const RPCSync = require('./rpcsync')
+const HeaderFollower = require('./follower')
+const ProofVerifier = require('./verifier')
+const providers = require('./providers')
 
 /**
  * Header Node
@@ -67,6 +76,28 @@ class HeaderNode extends Node {
       spv: this.spv
     })
 
+    // source for start entries when only a start height is set
+    const providerOptions = {
+      network: this.network,
+      url: this.config.str('start-provider-url'),
+      apiKey: this.config.str('start-provider-api-key'),
+      file: this.config.path('start-provider-file')
+    }
+
+    let startProvider = null
+    this.startQuorum = null
+    if (this.config.array('start-providers')) {
+      // check the start entries against several sources
+      startProvider = new providers.QuorumProvider({
+        network: this.network,
+        providers: this.config.array('start-providers').map(spec => providers.fromSpec(spec, providerOptions)),
+        quorum: this.config.uint('start-quorum')
+      })
+      this.startQuorum = startProvider
+    } else if (this.config.str('start-provider')) {
+      startProvider = providers.create(this.config.str('start-provider'), providerOptions)
+    }
+
     this.headerindex = new HeaderIndexer({
       network: this.network,
       logger: this.logger,
@@ -75,9 +106,20 @@ class HeaderNode extends Node {
       memory: this.config.bool('memory'),
       prefix: this.config.filter('index').str('prefix') || this.config.prefix,
       startBlock: this.config.array('start-block'),
-      startHeight: this.config.int('start-height')
+      startHeight: this.config.int('start-height'),
+      startProvider,
+      compressHeaders: this.config.bool('compress-headers'),
+      pruneHeaders: this.config.uint('prune-headers'),
+      hashCacheSize: this.config.uint('index-hash-cache'),
+      headerCacheSize: this.config.uint('index-header-cache'),
+      entryCacheSize: this.config.uint('index-entry-cache'),
+      reorgLogMax: this.config.uint('reorg-log-max'),
+      reorgLogAge: this.config.uint('reorg-log-age'),
+      indexMerkleRoots: this.config.bool('index-merkle-roots')
     })
 
+    const serveHeaders = this.config.bool('serve-headers', false)
+
     this.pool = new HeaderPool({
       network: this.network,
       logger: this.logger,
@@ -99,12 +141,104 @@ class HeaderNode extends Node {
       publicPort: this.config.uint('public-port'),
       host: this.config.str('host'),
       port: this.config.uint('port'),
-      listen: false,
+      // inbound peers are only accepted to serve them headers
+      listen: serveHeaders,
+      serveHeaders,
       memory: this.config.bool('memory'),
       headerindex: this.headerindex,
       checkpoints: this.checkpoints
     })
 
+    // connected peers are also checked for a start block quorum. Since the start
+    // block is set before the pool connects, the sync waits for peers to check it
+    this.startCheckJob = null
+    this.checkingStart = false
+    this.wakeStartCheck = null
+    if (this.startQuorum) this.startQuorum.pool = this.pool
+
+    this.backfill = new HeaderBackfill({
+      logger: this.logger,
+      headerindex: this.headerindex,
+      pool: this.pool
+    })
+
+    // BIP157 filter headers are optional
+    this.filterheaders = null
+    if (this.config.bool('filter-headers')) {
+      this.filterheaders = new FilterHeaderIndexer({
+        logger: this.logger,
+        headerindex: this.headerindex,
+        pool: this.pool,
+        memory: this.config.bool('memory'),
+        prefix: this.config.filter('index').str('prefix') || this.config.prefix
+      })
+    }
+
+    // headers up to the last checkpoint can be downloaded from several peers at once
+    this.parallelsync = null
+    this.parallelSyncJob = null
+    if (this.config.bool('parallel-sync')) {
+      this.parallelsync = new ParallelSync({
+        logger: this.logger,
+        headerindex: this.headerindex,
+        pool: this.pool
+      })
+    }
+
+    // headers can be synced from a trusted node over json-rpc instead of from peers
+    this.rpcsync = null
+    if (this.config.str('rpc-sync-url')) {
+      const rpcSyncInterval = this.config.uint('rpc-sync-interval')
+      this.rpcsync = new RPCSync({
+        logger: this.logger,
+        headerindex: this.headerindex,
+        chain: this.chain,
+        url: this.config.str('rpc-sync-url'),
+        apiKey: this.config.str('rpc-sync-api-key'),
+        interval: rpcSyncInterval != null ? rpcSyncInterval * 1000 : null
+      })
+    }
+
+    // or replicated from another header node
+    this.follower = null
+    if (this.config.str('follow')) {
+      assert(!this.rpcsync, 'Cannot follow a header node and sync over rpc at the same time.')
+      this.follower = new HeaderFollower({
+        logger: this.logger,
+        headerindex: this.headerindex,
+        chain: this.chain,
+        url: this.config.str('follow'),
+        apiKey: this.config.str('follow-api-key')
+      })
+    }
+
+    // the source headers are synced from when it isn't the p2p network
+    this.upstream = this.rpcsync || this.follower
+
+    const tipCheckInterval = this.config.uint('tip-check-interval')
+
+    this.tipmonitor = new TipMonitor({
+      logger: this.logger,
+      headerindex: this.headerindex,
+      pool: this.pool,
+      interval: tipCheckInterval != null ? tipCheckInterval * 1000 : null,
+      threshold: this.config.uint('tip-check-threshold')
+    })
+
+    const stallCheckInterval = this.config.uint('stall-check-interval')
+
+    this.watchdog = new StallWatchdog({
+      logger: this.logger,
+      headerindex: this.headerindex,
+      pool: this.pool,
+      interval: stallCheckInterval != null ? stallCheckInterval * 1000 : null,
+      maxTipAge: this.config.uint('max-tip-age')
+    })
+
+    this.verifier = new ProofVerifier({
+      headerindex: this.headerindex
+    })
+
     this.rpc = new RPC(this)
 
     this.http = new HTTP({
@@ -139,6 +273,13 @@ class HeaderNode extends Node {
 
     if (this.headerindex) this.headerindex.on('error', err => this.error(err.stack))
 
+    this.backfill.on('error', err => this.error(err.stack))
+
+    if (this.filterheaders) this.filterheaders.on('error', err => this.error(err.stack))
+
+    this.tipmonitor.on('error', err => this.error(err.stack))
+    this.watchdog.on('error', err => this.error(err.stack))
+
     this.chain.on('block', block => this.emit('block', block))
 
     this.chain.on('connect', async (entry, block) => {
@@ -150,8 +291,9 @@ class HeaderNode extends Node {
       this.emit('disconnect', entry, block)
     })
 
-    this.chain.on('reorganize', (tip, competitor) => {
-      this.emit('reorganize', tip, competitor)
+    // the header index emits reorgs once the stale branch has been saved
+    this.headerindex.on('reorganize', (disconnected, connected, fork) => {
+      this.emit('reorganize', disconnected, connected, fork)
     })
 
     this.chain.on('reset', tip => this.emit('reset', tip))
@@ -172,6 +314,10 @@ class HeaderNode extends Node {
     await this.chain.open()
     await this.headerindex.open()
     await this.pool.open()
+    await this.openBackfill()
+    if (this.filterheaders) await this.filterheaders.open()
+    this.tipmonitor.open()
+    this.watchdog.open()
     await this.openPlugins()
     await this.http.open()
     await this.handleOpen()
@@ -192,6 +338,13 @@ class HeaderNode extends Node {
     if (this.http.opened) await this.http.close()
 
     await this.closePlugins()
+    await this.backfill.close()
+    await this.stopStartCheck()
+    await this.stopParallelSync()
+    if (this.upstream) await this.upstream.stop()
+    await this.tipmonitor.close()
+    await this.watchdog.close()
+    if (this.filterheaders) await this.filterheaders.close()
     await this.headerindex.close()
     await this.pool.close()
     await this.chain.close()
@@ -199,12 +352,98 @@ class HeaderNode extends Node {
     await this.handleClose()
   }
 
+  /**
+   * Resume an unfinished backfill or start
+   * one if a backfill height is configured
+   * @private
+   * @returns {Promise}
+   */
+
+  async openBackfill() {
+    await this.backfill.open()
+
+    const height = this.config.uint('backfill-height')
+    if (height != null) await this.backfill.start(height)
+  }
+
+  /**
+   * Verify the header index without connecting to the network.
+   * Opens only what is needed to load the index
+   * @param {Object} [options]
+   * @param {Boolean} [options.repair=false]
+   * @returns {Promise} - Returns Object report
+   */
+
+  async verifyDB(options) {
+    assert(!this.opened, 'Cannot verify the header index while the node is open.')
+    return this.withHeaderIndex(() => this.headerindex.verifyIndex(options))
+  }
+
+  /**
+   * Export the header index to a header snapshot file.
+   * Can be run while the node is open or without connecting to the network
+   * @param {String} file
+   * @param {Object} [options] - see {@link HeaderIndexer#exportHeaders}
+   * @returns {Promise} - Returns Object
+   */
+
+  async exportHeaders(file, options) {
+    if (this.opened) return this.headerindex.exportHeaders(file, options)
+    return this.withHeaderIndex(() => this.headerindex.exportHeaders(file, options))
+  }
+
+  /**
+   * Import a header snapshot file into the header index. When the node
+   * is open and syncing, the sync is stopped while the snapshot is imported
+   * @param {String} file
+   * @returns {Promise} - Returns Object
+   */
+
+  async importHeaders(file) {
+    if (!this.opened) return this.withHeaderIndex(() => this.headerindex.importHeaders(file))
+
+    const syncing = this.upstream
+      ? this.upstream.running
+      : this.pool.syncing || Boolean(this.parallelSyncJob || this.startCheckJob)
+    if (syncing) await this.stopSync()
+
+    try {
+      return await this.headerindex.importHeaders(file)
+    } finally {
+      if (syncing) await this.startSync()
+    }
+  }
+
+  /**
+   * Open only what is needed to load the header index,
+   * run a task with it and close everything again
+   * @private
+   * @param {Function} task
+   * @returns {Promise}
+   */
+
+  async withHeaderIndex(task) {
+    await this.blocks.open()
+    await this.chain.open()
+    await this.headerindex.open()
+
+    try {
+      return await task()
+    } finally {
+      await this.headerindex.close()
+      await this.chain.close()
+      await this.blocks.close()
+    }
+  }
+
   /**
    * Connect to the network.
    * @returns {Promise}
    */
 
   connect() {
+    // there are no peers to connect to when syncing from an upstream
+    if (this.upstream) return Promise.resolve()
     return this.pool.connect()
   }
 
@@ -223,17 +462,139 @@ class HeaderNode extends Node {
 
   async startSync() {
     this.headerindex.sync()
+
+    if (this.upstream) return this.upstream.start()
+
+    // a start block that was accepted before the pool had peers is checked with them first
+    if (this.startQuorum && this.startQuorum.pending) {
+      if (!this.startCheckJob) this.startCheckJob = this.runStartCheck()
+      return
+    }
+
+    if (this.parallelsync) {
+      if (!this.parallelSyncJob) this.parallelSyncJob = this.runParallelSync()
+      return
+    }
+
     return this.pool.startSync()
   }
 
   /**
-   * Stop syncing the blockchain.
+   * Stop syncing the blockchain. A running parallel sync
+   * is waited for so the sync can be started again right away
+   * @returns {Promise}
    */
 
-  stopSync() {
+  async stopSync() {
+    if (this.upstream) return this.upstream.stop()
+    await this.stopStartCheck()
+    await this.stopParallelSync()
     return this.pool.stopSync()
   }
 
+  /**
+   * Wait for peers to check the start block with the start block
+   * quorum and then start syncing. Nothing is synced from a start
+   * block that the peers don't agree with
+   * @private
+   * @returns {Promise}
+   */
+
+  async runStartCheck() {
+    this.checkingStart = true
+
+    let verified = false
+    try {
+      while (this.checkingStart && !verified) {
+        verified = await this.startQuorum.verifyPeers()
+        if (!verified) await this.waitForPeer()
+      }
+    } catch (e) {
+      this.error(e.stack)
+    }
+
+    this.startCheckJob = null
+
+    // the sync was stopped
+    if (!verified || !this.checkingStart) return
+
+    this.checkingStart = false
+    await this.startSync()
+  }
+
+  /**
+   * Wait for a peer to connect. Resolves early if the start check is stopped
+   * @private
+   * @returns {Promise}
+   */
+
+  waitForPeer() {
+    return new Promise(resolve => {
+      const onOpen = () => this.wakeStartCheck()
+
+      this.wakeStartCheck = () => {
+        this.pool.removeListener('peer open', onOpen)
+        this.wakeStartCheck = null
+        resolve()
+      }
+
+      this.pool.on('peer open', onOpen)
+    })
+  }
+
+  /**
+   * Stop waiting for peers to check the start block
+   * @private
+   * @returns {Promise}
+   */
+
+  async stopStartCheck() {
+    if (!this.startCheckJob) return
+    this.checkingStart = false
+    if (this.wakeStartCheck) this.wakeStartCheck()
+    await this.startCheckJob
+  }
+
+  /**
+   * Download the headers up to the last checkpoint with the parallel
+   * sync and then let the pool sync the rest of the chain. The pool
+   * also syncs everything if the parallel sync fails
+   * @private
+   * @returns {Promise}
+   */
+
+  async runParallelSync() {
+    let done = false
+    try {
+      done = await this.parallelsync.run()
+      // the in-memory chain needs to catch up to the index before the pool can sync
+      if (done) await this.headerindex.initializeChain()
+    } catch (e) {
+      this.error(e.stack)
+      done = this.opened
+    }
+
+    this.parallelSyncJob = null
+
+    // the sync was stopped
+    if (!done) return
+
+    await this.pool.startSync()
+  }
+
+  /**
+   * Stop a running parallel sync and wait for it to finish
+   * @private
+   * @returns {Promise}
+   */
+
+  async stopParallelSync() {
+    if (!this.parallelSyncJob) return
+    this.parallelsync.stop()
+    await this.parallelSyncJob
+    this.parallelSyncJob = null
+  }
+
   /**
    * Retrieve a block header from the header index.
    * @param {Height} height
@@ -261,6 +622,15 @@ class HeaderNode extends Node {
   getStartHeight() {
     return this.headerindex.startHeight
   }
+
+  /**
+   * Get the source the start entries were retrieved from
+   * @returns {Promise} - Returns String or null.
+   */
+
+  getStartSource() {
+    return this.headerindex.getStartSource()
+  }
 }
 
 /*
@@ -5,7 +5,11 @@
 'use strict'
 
 const assert = require('bsert')
-const { Pool } = require('bcoin')
+const {
+  Pool,
+  ChainEntry,
+  net: { packets }
+} = require('bcoin')
 
 /**
  * Need a custom Pool object to deal with certain edge cases
@@ -22,6 +26,164 @@ class HeaderPool extends Pool {
       assert(typeof options.headerindex === 'object')
       this.headerindex = options.headerindex
     }
+
+    // peers with a pending tip check from the tip monitor
+    this.tipChecks = new Set()
+
+    // headers are served to inbound peers from the header index. Network
+    // services are not advertised since blocks can't be served
+    this.serveHeaders = false
+    if (options.serveHeaders != null) {
+      assert(typeof options.serveHeaders === 'boolean')
+      this.serveHeaders = options.serveHeaders
+    }
+
+    if (this.serveHeaders) assert(this.headerindex, 'Serving headers requires a header index')
+
+    // the pool options never listen for spv chains so the listen option is applied
+    // again here. A proxy still can't listen like with the pool options
+    if (options.listen != null) {
+      assert(typeof options.listen === 'boolean')
+      this.options.listen = options.listen && !this.options.proxy
+    }
+
+    this.bound = []
+  }
+
+  /**
+   * Open the pool and announce new headers
+   * to inbound peers when serving headers
+   * @returns {Promise}
+   */
+
+  async open() {
+    await super.open()
+
+    if (!this.serveHeaders) return
+
+    const listener = entry => this.announceHeader(entry)
+    this.bound.push(['connect', listener])
+    this.chain.on('connect', listener)
+  }
+
+  /**
+   * Close the pool and stop listening to the chain
+   * @returns {Promise}
+   */
+
+  async close() {
+    for (const [event, listener] of this.bound) this.chain.removeListener(event, listener)
+    this.bound.length = 0
+
+    return super.close()
+  }
+
+  /**
+   * Handle a packet from a peer. BIP157 responses and headers for
+   * tip checks are left to the filter header indexer and tip monitor
+   * @method
+   * @private
+   * @param {Peer} peer
+   * @param {Packet} packet
+   * @returns {Promise}
+   */
+
+  async handlePacket(peer, packet) {
+    if (FILTER_RESPONSES.has(packet.cmd)) return
+    if (packet.cmd === 'headers' && this.tipChecks.has(peer)) return
+    return super.handlePacket(peer, packet)
+  }
+
+  /**
+   * Handle `getheaders` packet. Headers are served from the header
+   * index so that heights older than the in-memory chain can be synced
+   * @method
+   * @private
+   * @param {Peer} peer
+   * @param {GetHeadersPacket} packet
+   * @returns {Promise}
+   */
+
+  async handleGetHeaders(peer, packet) {
+    if (!this.serveHeaders) return
+
+    if (!this.chain.synced) return
+
+    let height
+    if (packet.locator.length > 0) {
+      height = (await this.findLocatorHeight(packet.locator)) + 1
+    } else {
+      // without a locator only the stop header is requested
+      height = await this.headerindex.getHeightByHash(packet.stop)
+      if (height == null) return
+    }
+
+    const headers = []
+
+    for (; height <= this.headerindex.height; height++) {
+      const header = await this.headerindex.getHeader(height)
+
+      // headers below a custom start height or pruned headers can't be served
+      if (!header) break
+
+      const item = ChainEntry.isChainEntry(header) ? header.toHeaders() : header
+      headers.push(item)
+
+      if (packet.stop && item.hash().equals(packet.stop)) break
+
+      if (headers.length === 2000) break
+    }
+
+    peer.sendHeaders(headers)
+  }
+
+  /**
+   * Find the height of the first hash in a locator that is
+   * in the main chain. Falls back to genesis if none are found
+   * @private
+   * @param {Hash[]} locator
+   * @returns {Promise} - Returns Number
+   */
+
+  async findLocatorHeight(locator) {
+    for (const hash of locator) {
+      if (hash.equals(this.network.genesis.hash)) return 0
+
+      const height = await this.headerindex.getHeightByHash(hash)
+      if (height != null) return height
+    }
+
+    return 0
+  }
+
+  /**
+   * Handle `getdata` packet. Header nodes don't have
+   * blocks or transactions so nothing is ever served
+   * @method
+   * @private
+   * @param {Peer} peer
+   * @param {GetDataPacket} packet
+   */
+
+  async handleGetData(peer, packet) {
+    this.logger.debug('Peer requested %d items that are not served (%s).', packet.items.length, peer.hostname())
+    peer.send(new packets.NotFoundPacket(packet.items))
+  }
+
+  /**
+   * Announce a new header to inbound peers that asked for
+   * announcements as headers with `sendheaders` (BIP130)
+   * @private
+   * @param {ChainEntry} entry
+   */
+
+  announceHeader(entry) {
+    if (!this.chain.synced) return
+
+    for (let peer = this.peers.head(); peer; peer = peer.next) {
+      if (peer.outbound || !peer.handshake || !peer.preferHeaders) continue
+      peer.sendHeaders([entry.toHeaders()])
+    }
   }
   /**
    * Send a sync to each peer.
@@ -50,6 +212,22 @@ class HeaderPool extends Pool {
     }
   }
 
+  /**
+   * Disconnect the loader peer. Once it is removed
+   * the pool makes another outbound peer the loader
+   * @returns {Peer|null} the old loader
+   */
+
+  rotateLoader() {
+    const loader = this.peers.load
+    if (!loader) return null
+
+    this.logger.info('Rotating loader peer (%s).', loader.hostname())
+    loader.destroy()
+
+    return loader
+  }
+
   /**
    * Start syncing from peer.
    * @method
@@ -124,6 +302,13 @@ class HeaderPool extends Pool {
   }
 }
 
+/*
+ * Constants
+ */
+
+// responses to BIP157 requests
+const FILTER_RESPONSES = new Set(['cfilter', 'cfheaders', 'cfcheckpt'])
+
 /*
  * Expose
  */
@@ -85,6 +85,9 @@ class HeaderHTTP extends HTTP {
           tip: this.chain.tip.rhash(),
           progress: this.chain.getProgress()
         },
+        headerindex: {
+          height: this.headerindex.height
+        },
         pool: {
           host: addr.host,
           port: addr.port,
@@ -93,6 +96,8 @@ class HeaderHTTP extends HTTP {
           outbound: this.pool.peers.outbound,
           inbound: this.pool.peers.inbound
         },
+        tipconsensus: this.node.tipmonitor.getStatus(),
+        stall: this.node.watchdog.getStatus(),
         time: {
           uptime: this.node.uptime(),
           system: util.now(),
@@ -107,6 +112,171 @@ class HeaderHTTP extends HTTP {
     this.get('/block/:height', (req, res) => this.getBlockHeader(req, res))
     this.get('/header/:height', (req, res) => this.getBlockHeader(req, res))
 
+    // consecutive raw headers from a height, used by followers to copy the header index
+    this.get('/headers/:height', async (req, res) => {
+      const valid = Validator.fromRequest(req)
+      const height = valid.uint('height')
+      const count = valid.uint('count', MAX_HEADERS)
+
+      enforce(height != null, 'Height required.')
+      enforce(count > 0 && count <= MAX_HEADERS, `Count must be between 1 and ${MAX_HEADERS}.`)
+
+      const headers = []
+      const end = Math.min(this.headerindex.height, height + count - 1)
+
+      for (let i = height; i <= end; i++) {
+        const header = await this.headerindex.getHeader(i)
+
+        // headers below a custom start height or pruned headers can't be served
+        if (!header) break
+
+        headers.push(
+          Headers.fromBlock(header)
+            .toHead()
+            .toString('hex')
+        )
+      }
+
+      if (!headers.length) {
+        res.json(404)
+        return
+      }
+
+      res.json(200, { height, tip: this.headerindex.height, headers })
+    })
+
+    // Header by hash, resolved through the header index's hash index
+    this.get('/header/hash/:hash', async (req, res) => {
+      const valid = Validator.fromRequest(req)
+      const hash = valid.brhash('hash')
+
+      enforce(hash != null, 'Hash required.')
+
+      const entry = await this.headerindex.getEntryByHash(hash)
+
+      if (!entry) {
+        res.json(404)
+        return
+      }
+
+      res.json(200, entry.toJSON())
+    })
+
+    // header by merkle root, resolved through the optional merkle root index
+    this.get('/header/merkleroot/:root', async (req, res) => {
+      const valid = Validator.fromRequest(req)
+      const root = valid.brhash('root')
+
+      enforce(root != null, 'Merkle root required.')
+      enforce(this.headerindex.indexMerkleRoots, 'Merkle root index is not enabled.')
+
+      const height = await this.headerindex.getHeightByMerkleRoot(root)
+
+      if (height == null) {
+        res.json(404)
+        return
+      }
+
+      res.json(200, await this.getHeaderJSON(height))
+    })
+
+    // first and last headers at or after a time
+    this.get('/header/time/:timestamp', async (req, res) => {
+      const valid = Validator.fromRequest(req)
+      const timestamp = valid.u32('timestamp')
+      const mode = valid.str('mode', 'time')
+
+      enforce(timestamp != null, 'Timestamp required.')
+      enforce(mode === 'time' || mode === 'mtp', 'Mode must be time or mtp.')
+
+      const { first, last } = await this.headerindex.findHeightsByTime(timestamp, mode)
+
+      if (first == null && last == null) {
+        res.json(404)
+        return
+      }
+
+      res.json(200, {
+        timestamp,
+        mode,
+        first: await this.getHeaderJSON(first),
+        last: await this.getHeaderJSON(last)
+      })
+    })
+
+    // BIP157 filter header by height
+    this.get('/filterheader/:height', async (req, res) => {
+      const valid = Validator.fromRequest(req)
+      const height = valid.u32('height')
+
+      enforce(height != null, 'Height required.')
+      enforce(this.node.filterheaders, 'Filter header index is not enabled.')
+
+      const record = await this.node.filterheaders.getFilterHeader(height)
+
+      if (!record) {
+        res.json(404)
+        return
+      }
+
+      res.json(200, record.toJSON())
+    })
+
+    // check a merkle proof against the indexed headers
+    this.post('/verify/merkleproof', async (req, res) => {
+      const valid = Validator.fromRequest(req)
+      const proof = valid.buf('proof')
+      const height = valid.u32('height')
+      const hash = valid.brhash('hash')
+
+      enforce(proof != null, 'Proof required.')
+
+      const options = { height, hash }
+      res.json(200, await this.verify(() => this.node.verifier.verifyMerkleProof(proof, options)))
+    })
+
+    // check the bitcoin anchors of a chainpoint proof against the indexed headers
+    this.post('/verify/chainpoint', async (req, res) => {
+      const valid = Validator.fromRequest(req)
+      // the proof can also be posted as the body
+      const proof = valid.has('proof') ? valid.get('proof') : req.body
+
+      enforce(proof != null, 'Proof required.')
+      enforce(typeof proof === 'string' || typeof proof === 'object', 'Proof must be JSON or base64.')
+
+      res.json(200, await this.verify(() => this.node.verifier.verifyChainpoint(proof)))
+    })
+
+    // check the bitcoin attestations of an opentimestamps proof
+    this.post('/verify/ots', async (req, res) => {
+      const valid = Validator.fromRequest(req)
+      const proof = valid.str('proof')
+
+      enforce(proof != null, 'Proof required.')
+
+      let raw
+      try {
+        raw = util.fromHexOrBase64(proof)
+      } catch (e) {
+        enforce(false, 'Proof must be hex or base64.')
+      }
+
+      res.json(200, await this.verify(() => this.node.verifier.verifyOTS(raw)))
+    })
+
+    // reorgs saved in the audit log, optionally since a unix time
+    this.get('/reorgs', async (req, res) => {
+      const valid = Validator.fromRequest(req)
+      const since = valid.uint('since', 0)
+
+      const reorgs = await this.headerindex.getReorgs(since)
+
+      res.json(
+        200,
+        reorgs.map(reorg => reorg.toJSON())
+      )
+    })
+
     // get the start block
     this.get('/start', async (req, res) => {
       const start = this.headerindex.startHeight
@@ -123,10 +293,62 @@ class HeaderHTTP extends HTTP {
       // convert to header since this is what is expected by the API
       const header = Headers.fromBlock(entry)
       const json = header.getJSON(this.network, null, start)
+      json.source = await this.headerindex.getStartSource()
       res.json(200, json)
     })
   }
 
+  /**
+   * Handle new auth'd websocket. Adds a channel
+   * for new headers and reorgs of the header index
+   * @private
+   * @param {WebSocket} socket
+   */
+
+  handleAuth(socket) {
+    super.handleAuth(socket)
+
+    socket.hook('watch headers', () => {
+      socket.join('headers')
+      return null
+    })
+
+    socket.hook('unwatch headers', () => {
+      socket.leave('headers')
+      return null
+    })
+  }
+
+  /**
+   * Bind to chain and header index events.
+   * @private
+   */
+
+  initSockets() {
+    super.initSockets()
+
+    // this is called by the parent constructor before the header index is set
+    const { headerindex } = this.node
+
+    headerindex.on('connect', async meta => {
+      if (!this.channel('headers')) return
+
+      try {
+        const header = await headerindex.getHeader(meta.height)
+        this.to('headers', 'header connect', meta.height, Headers.fromBlock(header).toHead())
+      } catch (e) {
+        this.emit('error', e)
+      }
+    })
+
+    headerindex.on('reorganize', (disconnected, connected, fork) => {
+      if (!this.channel('headers')) return
+
+      const headers = connected.map(entry => Headers.fromBlock(entry).toHead())
+      this.to('headers', 'header reorganize', fork.height, headers)
+    })
+  }
+
   /*
    * Get a block header by height.
    * This method is used by two paths so pulling out as helper method
@@ -145,8 +367,46 @@ class HeaderHTTP extends HTTP {
     }
     res.json(200, header.toJSON())
   }
+
+  /*
+   * Run a proof verification. Problems with the proof are returned as bad requests
+   * while any other error, e.g. from the database, is left as a server error
+   * @param {Function} verify
+   * @returns {Promise}
+   */
+  async verify(verify) {
+    try {
+      return await verify()
+    } catch (e) {
+      if (e.type !== 'ProofError') throw e
+      enforce(false, e.message)
+    }
+  }
+
+  /*
+   * Get a header as JSON with its height and median time past
+   * @param {Number|null} height
+   * @returns {Promise} - Returns Object or null if there is no height
+   */
+  async getHeaderJSON(height) {
+    if (height == null) return null
+
+    const header = await this.headerindex.getHeader(height)
+    enforce(header != null, `Could not find header for height ${height}`)
+
+    const json = Headers.fromBlock(header).getJSON(this.network, null, height)
+    json.mediantime = await this.headerindex.getMedianTime(height)
+    return json
+  }
 }
 
+/*
+ * Constants
+ */
+
+// max number of headers returned by `/headers/:height`, like a `headers` packet
+const MAX_HEADERS = 2000
+
 /*
  * Helpers
  */
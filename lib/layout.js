@@ -16,7 +16,17 @@ const bdb = require('bdb')
  *  R -> chain sync state
  *  b[height] -> block header
  *  h[height] -> recent block hash
+ *  H[hash] -> block height
  *  s -> starting block height
+ *  S -> starting block source
+ *  c -> chain context snapshot
+ *  f -> backfill target height
+ *  t[hash] -> stale header
+ *  r[id] -> reorg record
+ *  i -> last reorg id
+ *  T[bucket] -> latest block time in a bucket of heights
+ *  m[root][height] -> dummy (merkle root index)
+ *  M -> merkle root index build state
  */
 
 const layout = {
@@ -25,7 +35,17 @@ const layout = {
   R: bdb.key('R'),
   b: bdb.key('b', ['uint32']),
   h: bdb.key('h', ['uint32']),
-  s: bdb.key('s')
+  H: bdb.key('H', ['hash256']),
+  s: bdb.key('s'),
+  S: bdb.key('S'),
+  c: bdb.key('c'),
+  f: bdb.key('f'),
+  t: bdb.key('t', ['hash256']),
+  r: bdb.key('r', ['uint32']),
+  i: bdb.key('i'),
+  T: bdb.key('T', ['uint32']),
+  m: bdb.key('m', ['hash256', 'uint32']),
+  M: bdb.key('M')
 }
 
 /*
@@ -0,0 +1,261 @@
+/*!
+ * ots.js - parse OpenTimestamps proofs
+ * Copyright (c) 2019-, Tierion Inc (MIT License).
+ * https://github.com/chainpoint/bitcoin-header-node
+ */
+
+'use strict'
+
+const assert = require('bsert')
+const sha1 = require('bcrypto/lib/sha1')
+const sha256 = require('bcrypto/lib/sha256')
+const ripemd160 = require('bcrypto/lib/ripemd160')
+const keccak256 = require('bcrypto/lib/keccak256')
+
+/**
+ * Magic bytes at the start of a detached timestamp (.ots) file
+ * @const {Buffer}
+ */
+
+const MAGIC = Buffer.from('004f70656e54696d657374616d7073000050726f6f6600bf89e2e884e89294', 'hex')
+
+/**
+ * Major version of the file format
+ * @const {Number}
+ */
+
+const VERSION = 1
+
+/**
+ * Hash operations by tag with the size of their digest
+ * @const {Object}
+ */
+
+const hashOps = {
+  0x02: { name: 'sha1', size: 20, digest: data => sha1.digest(data) },
+  0x03: { name: 'ripemd160', size: 20, digest: data => ripemd160.digest(data) },
+  0x08: { name: 'sha256', size: 32, digest: data => sha256.digest(data) },
+  0x67: { name: 'keccak256', size: 32, digest: data => keccak256.digest(data) }
+}
+
+/**
+ * Tags of the other operations
+ * @enum {Number}
+ */
+
+const opTags = {
+  APPEND: 0xf0,
+  PREPEND: 0xf1,
+  REVERSE: 0xf2,
+  HEXLIFY: 0xf3
+}
+
+/**
+ * Attestation types by their 8 byte tag
+ * @const {Object}
+ */
+
+const attestationTags = {
+  '0588960d73d71901': 'bitcoin',
+  '06869a0d73d71b45': 'litecoin',
+  '83dfe30d2ef90c8e': 'pending'
+}
+
+// limits from the reference implementation
+const MAX_MSG_LENGTH = 4096
+const MAX_PAYLOAD_SIZE = 8192
+const MAX_DEPTH = 256
+
+/**
+ * Parse a detached timestamp (.ots) file
+ * @param {Buffer} data
+ * @returns {Object} with the file's hash operation, digest and timestamp tree
+ */
+
+function parse(data) {
+  assert(Buffer.isBuffer(data), 'OpenTimestamps proof must be a buffer')
+
+  const reader = new Reader(data)
+
+  assert(reader.readBytes(MAGIC.length).equals(MAGIC), 'Not an OpenTimestamps proof')
+
+  const version = reader.readVarint()
+  assert(version === VERSION, `Unsupported OpenTimestamps version: ${version}`)
+
+  const hashOp = hashOps[reader.readU8()]
+  assert(hashOp, 'Unsupported OpenTimestamps file hash operation')
+
+  const digest = reader.readBytes(hashOp.size)
+  const timestamp = readTimestamp(reader, digest, 0)
+
+  assert(reader.left() === 0, 'Unexpected data after OpenTimestamps proof')
+
+  return {
+    version,
+    hashOp: hashOp.name,
+    digest,
+    timestamp
+  }
+}
+
+/**
+ * Get every attestation in a timestamp tree with the message it commits to.
+ * For bitcoin attestations this is the merkle root of the block in internal byte order
+ * @param {Object} timestamp
+ * @returns {Object[]} attestations with their type, message and height, uri or payload
+ */
+
+function getAttestations(timestamp) {
+  const attestations = timestamp.attestations.map(attestation => ({ ...attestation, msg: timestamp.msg }))
+
+  for (const { timestamp: next } of timestamp.ops) attestations.push(...getAttestations(next))
+
+  return attestations
+}
+
+/*
+ * Helpers
+ */
+
+/**
+ * Read a timestamp and the operations and attestations that follow it.
+ * Every item but the last is prefixed with 0xff
+ * @private
+ * @param {Reader} reader
+ * @param {Buffer} msg - message the timestamp is for
+ * @param {Number} depth
+ * @returns {Object}
+ */
+
+function readTimestamp(reader, msg, depth) {
+  assert(depth < MAX_DEPTH, 'OpenTimestamps proof is too deep')
+
+  const timestamp = { msg, attestations: [], ops: [] }
+
+  let tag = reader.readU8()
+  while (tag === 0xff) {
+    readItem(reader, timestamp, reader.readU8(), depth)
+    tag = reader.readU8()
+  }
+
+  readItem(reader, timestamp, tag, depth)
+
+  return timestamp
+}
+
+function readItem(reader, timestamp, tag, depth) {
+  if (tag === 0x00) {
+    timestamp.attestations.push(readAttestation(reader))
+    return
+  }
+
+  const { op, arg, result } = readOp(reader, tag, timestamp.msg)
+  timestamp.ops.push({ op, arg, timestamp: readTimestamp(reader, result, depth + 1) })
+}
+
+function readOp(reader, tag, msg) {
+  let result, arg
+
+  if (hashOps[tag]) {
+    const hashOp = hashOps[tag]
+    return { op: hashOp.name, arg: null, result: hashOp.digest(msg) }
+  }
+
+  switch (tag) {
+    case opTags.APPEND:
+      arg = reader.readVarBytes(MAX_MSG_LENGTH)
+      result = Buffer.concat([msg, arg])
+      return { op: 'append', arg, result: checkLength(result) }
+    case opTags.PREPEND:
+      arg = reader.readVarBytes(MAX_MSG_LENGTH)
+      result = Buffer.concat([arg, msg])
+      return { op: 'prepend', arg, result: checkLength(result) }
+    case opTags.REVERSE:
+      return { op: 'reverse', arg: null, result: Buffer.from(msg).reverse() }
+    case opTags.HEXLIFY:
+      return { op: 'hexlify', arg: null, result: checkLength(Buffer.from(msg.toString('hex'), 'ascii')) }
+  }
+
+  throw new Error(`Unknown OpenTimestamps operation: 0x${tag.toString(16)}`)
+}
+
+function checkLength(msg) {
+  assert(msg.length <= MAX_MSG_LENGTH, 'OpenTimestamps message is too long')
+  return msg
+}
+
+function readAttestation(reader) {
+  const tag = reader.readBytes(8).toString('hex')
+  const payload = reader.readVarBytes(MAX_PAYLOAD_SIZE)
+  const type = attestationTags[tag] || 'unknown'
+  const payloadReader = new Reader(payload)
+
+  switch (type) {
+    case 'bitcoin':
+    case 'litecoin':
+      return { type, height: payloadReader.readVarint() }
+    case 'pending':
+      return { type, uri: payloadReader.readVarBytes(1000).toString('ascii') }
+  }
+
+  return { type, tag, payload }
+}
+
+/**
+ * Reader for the OpenTimestamps serialization
+ * which uses LEB128 varints
+ * @private
+ */
+
+class Reader {
+  constructor(data) {
+    this.data = data
+    this.offset = 0
+  }
+
+  left() {
+    return this.data.length - this.offset
+  }
+
+  readU8() {
+    assert(this.left() >= 1, 'Unexpected end of OpenTimestamps proof')
+    return this.data[this.offset++]
+  }
+
+  readBytes(size) {
+    assert(this.left() >= size, 'Unexpected end of OpenTimestamps proof')
+    const data = this.data.slice(this.offset, this.offset + size)
+    this.offset += size
+    return data
+  }
+
+  readVarint() {
+    let value = 0
+    let shift = 0
+
+    for (;;) {
+      const byte = this.readU8()
+      value += (byte & 0x7f) * Math.pow(2, shift)
+      if (!(byte & 0x80)) break
+      shift += 7
+      assert(shift <= 49, 'OpenTimestamps varint is too large')
+    }
+
+    return value
+  }
+
+  readVarBytes(max) {
+    const size = this.readVarint()
+    assert(size <= max, 'OpenTimestamps value is too large')
+    return this.readBytes(size)
+  }
+}
+
+/*
+ * Expose
+ */
+
+exports.parse = parse
+exports.getAttestations = getAttestations
+
+module.exports = exports
@@ -0,0 +1,359 @@
+/*!
+ * parallelsync.js - download historical headers from several peers at once
+ * Copyright (c) 2019-, Tierion Inc (MIT License).
+ * https://github.com/chainpoint/bitcoin-header-node
+ */
+
+'use strict'
+
+const assert = require('bsert')
+const EventEmitter = require('events')
+const { packets } = require('bcoin')
+
+/**
+ * Parallel Sync
+ * Headers-first sync from a single loader peer is slow for the historical
+ * part of the chain. The range from the tip of the header index to the last
+ * checkpoint is split into segments that end at each checkpoint, and each
+ * segment is requested with `getheaders` from a different outbound peer.
+ * A segment is only accepted if its headers connect from its start to the
+ * checkpoint hash at its end, and segments are added to the header
+ * index in order so the index never has gaps.
+ * @extends EventEmitter
+ */
+
+class ParallelSync extends EventEmitter {
+  /**
+   * Create a parallel sync
+   * @constructor
+   * @param {Object} options
+   */
+
+  constructor(options) {
+    super()
+
+    assert(options && typeof options === 'object', 'Parallel sync requires options')
+    assert(options.headerindex, 'Parallel sync requires a header index')
+    assert(options.pool, 'Parallel sync requires a pool')
+
+    this.network = options.headerindex.network
+    this.logger = options.logger ? options.logger.context('parallelsync') : options.headerindex.logger
+    this.headerindex = options.headerindex
+    this.pool = options.pool
+
+    this.running = false
+    this.segments = []
+    this.next = 0
+    this.timer = null
+    this.wake = null
+
+    // ms to wait for headers from a peer
+    this.timeout = 30000
+    // ms to wait before retrying when there are no peers
+    this.retryInterval = 5000
+    // max number of segments downloaded ahead of the next one to add to the index
+    this.maxPending = 8
+
+    if (options.timeout != null) {
+      assert(Number.isSafeInteger(options.timeout) && options.timeout > 0)
+      this.timeout = options.timeout
+    }
+
+    if (options.retryInterval != null) {
+      assert(Number.isSafeInteger(options.retryInterval) && options.retryInterval > 0)
+      this.retryInterval = options.retryInterval
+    }
+
+    if (options.maxPending != null) {
+      assert(Number.isSafeInteger(options.maxPending) && options.maxPending > 0)
+      this.maxPending = options.maxPending
+    }
+  }
+
+  /**
+   * Get the segments from the tip of the header index to the last checkpoint
+   * @returns {Promise} - Returns Object[] with the start and end of each segment
+   */
+
+  async getSegments() {
+    const tip = this.headerindex.height
+    const hash = tip === 0 ? this.network.genesis.hash : await this.headerindex.getHash(tip)
+    assert(hash, `Missing hash for the header index tip at ${tip}`)
+
+    const checkpoints = this.network.checkpoints
+      .filter(checkpoint => checkpoint.height > tip)
+      .sort((a, b) => a.height - b.height)
+
+    const segments = []
+    let start = { height: tip, hash }
+
+    for (const end of checkpoints) {
+      segments.push({ start, end, headers: null, source: null, peer: null, failed: new Set() })
+      start = end
+    }
+
+    return segments
+  }
+
+  /**
+   * Download and add the segments to the header index
+   * @returns {Promise} - Returns Boolean true if the index reached the last checkpoint
+   */
+
+  async run() {
+    assert(!this.running, 'Parallel sync is already running')
+
+    this.segments = await this.getSegments()
+    this.next = 0
+    this.running = true
+
+    if (this.segments.length)
+      this.logger.info(
+        'Downloading headers from %d to %d in %d segments',
+        this.headerindex.height + 1,
+        this.segments[this.segments.length - 1].end.height,
+        this.segments.length
+      )
+
+    const downloads = new Set()
+
+    while (this.running && this.next < this.segments.length) {
+      for (const download of this.assign()) {
+        const job = download.then(() => downloads.delete(job))
+        downloads.add(job)
+      }
+
+      if (downloads.size) {
+        await Promise.race(downloads)
+      } else {
+        // wait for peers or before retrying segments with the peers that failed them
+        await this.sleep()
+        for (const segment of this.segments) segment.failed.clear()
+      }
+
+      try {
+        await this.commit()
+      } catch (e) {
+        // the segment is downloaded again from another peer
+        this.logger.warning('Could not add headers to the index: %s', e.message)
+      }
+    }
+
+    await Promise.all(downloads)
+
+    const done = this.next === this.segments.length
+    this.running = false
+
+    if (done) this.emit('complete', this.headerindex.height)
+
+    return done
+  }
+
+  /**
+   * Stop downloading. Segments that were
+   * already added to the index are kept
+   */
+
+  stop() {
+    this.running = false
+    if (this.wake) this.wake()
+  }
+
+  /**
+   * Get the status of the parallel sync
+   * @returns {Object}
+   */
+
+  getStatus() {
+    const last = this.segments[this.segments.length - 1]
+    return {
+      running: this.running,
+      height: this.headerindex.height,
+      target: last ? last.end.height : this.headerindex.height,
+      segments: this.segments.length,
+      remaining: this.segments.length - this.next,
+      downloading: this.segments.filter(segment => segment.peer).length
+    }
+  }
+
+  /**
+   * Start downloading segments with peers that are not busy. Only segments
+   * close to the next one to be added to the index are downloaded so
+   * finished segments don't pile up in memory
+   * @private
+   * @returns {Promise[]} downloads that were started
+   */
+
+  assign() {
+    const busy = new Set(this.segments.map(segment => segment.peer).filter(Boolean))
+    const peers = this.getPeers().filter(peer => !busy.has(peer))
+    const end = Math.min(this.segments.length, this.next + this.maxPending)
+    const downloads = []
+
+    for (let i = this.next; i < end && peers.length; i++) {
+      const segment = this.segments[i]
+      if (segment.headers || segment.peer) continue
+
+      // try other peers before retrying one that failed to send the segment
+      const index = peers.findIndex(peer => !segment.failed.has(peer))
+      if (index === -1) continue
+
+      const [peer] = peers.splice(index, 1)
+      downloads.push(this.download(segment, peer))
+    }
+
+    return downloads
+  }
+
+  /**
+   * Download the headers of a segment from a peer
+   * @private
+   * @param {Object} segment
+   * @param {Peer} peer
+   * @returns {Promise}
+   */
+
+  async download(segment, peer) {
+    segment.peer = peer
+    try {
+      segment.headers = await this.getSegment(peer, segment.start, segment.end)
+      segment.source = peer
+    } catch (e) {
+      if (!this.running) return
+      this.logger.warning(
+        'Could not get headers from %d to %d from %s: %s',
+        segment.start.height + 1,
+        segment.end.height,
+        peer.hostname(),
+        e.message
+      )
+      segment.failed.add(peer)
+    } finally {
+      segment.peer = null
+    }
+  }
+
+  /**
+   * Request the headers between two checkpoints from a peer and check that
+   * they connect from the start hash to the end hash with valid proof of work
+   * @private
+   * @param {Peer} peer
+   * @param {Object} start - height and hash of the block before the segment
+   * @param {Object} end - height and hash of the checkpoint at the end
+   * @returns {Promise} - Returns {@link Headers}[]
+   */
+
+  async getSegment(peer, start, end) {
+    const count = end.height - start.height
+    const headers = []
+
+    this.logger.debug('Requesting headers from %d to %d from %s', start.height + 1, end.height, peer.hostname())
+
+    let locator = start.hash
+    while (headers.length < count && this.running) {
+      const items = await this.getHeaders(peer, locator, end.hash)
+
+      if (!items.length) throw new Error('Peer did not return any headers')
+
+      for (const header of items) {
+        if (!header.prevBlock.equals(locator)) throw new Error('Headers do not connect')
+        if (!header.verifyPOW()) throw new Error(`Header ${header.rhash()} has invalid proof of work`)
+        locator = header.hash()
+      }
+
+      headers.push(...items)
+
+      if (locator.equals(end.hash)) break
+    }
+
+    if (!this.running) throw new Error('Parallel sync was stopped')
+
+    if (headers.length !== count || !locator.equals(end.hash)) {
+      peer.increaseBan(100)
+      throw new Error(`Headers do not match the checkpoint at ${end.height}`)
+    }
+
+    return headers
+  }
+
+  /**
+   * Add the downloaded segments that are next in order to the header index
+   * @private
+   * @returns {Promise}
+   */
+
+  async commit() {
+    while (this.next < this.segments.length && this.segments[this.next].headers) {
+      const segment = this.segments[this.next]
+
+      try {
+        await this.headerindex.addHeaders(segment.headers)
+      } catch (e) {
+        segment.failed.add(segment.source)
+        throw e
+      } finally {
+        segment.headers = null
+        segment.source = null
+      }
+
+      this.next++
+
+      this.logger.info('Added headers to the index up to checkpoint at %d', segment.end.height)
+      this.emit('progress', segment.end.height)
+    }
+  }
+
+  /**
+   * Get the outbound peers to download from
+   * @returns {Peer[]}
+   */
+
+  getPeers() {
+    const peers = []
+
+    for (let peer = this.pool.peers.head(); peer; peer = peer.next) {
+      if (peer.handshake && peer.outbound) peers.push(peer)
+    }
+
+    return peers
+  }
+
+  /**
+   * Request headers from a peer
+   * @param {Peer} peer
+   * @param {Hash} locator
+   * @param {Hash} stop
+   * @returns {Promise} - Returns {@link Headers}[]
+   */
+
+  async getHeaders(peer, locator, stop) {
+    const wait = peer.wait(packets.types.HEADERS, this.timeout)
+    peer.sendGetHeaders([locator], stop)
+    const packet = await wait
+    return packet.items
+  }
+
+  /**
+   * Wait for peers. Resolves early if the sync is stopped
+   * @private
+   * @returns {Promise}
+   */
+
+  sleep() {
+    return new Promise(resolve => {
+      this.wake = () => {
+        clearTimeout(this.timer)
+        this.timer = null
+        this.wake = null
+        resolve()
+      }
+      this.timer = setTimeout(this.wake, this.retryInterval)
+    })
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = ParallelSync
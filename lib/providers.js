@@ -0,0 +1,601 @@
+/*!
+ * providers.js - start block providers for header node
+ * Copyright (c) 2019-, Tierion Inc (MIT License).
+ * https://github.com/chainpoint/bitcoin-header-node
+ */
+
+'use strict'
+
+const assert = require('bsert')
+const bcurl = require('bcurl')
+const fs = require('bfile')
+const {
+  Headers,
+  ChainEntry,
+  packets,
+  protocol: { Network }
+} = require('bcoin')
+const { fromRev, getRemoteBlockEntries, convertEsploraMeta, sourceURL, batchRPC } = require('./util')
+
+/**
+ * Start Provider
+ * Base class for sources of the start block entries
+ * used to initialize a header index from a custom start height.
+ * Implementations need to override `getEntries`.
+ */
+
+class StartProvider {
+  /**
+   * Create a start provider
+   * @constructor
+   * @param {Object} options
+   */
+
+  constructor(options = {}) {
+    assert(options && typeof options === 'object', 'Start provider requires options')
+    this.network = Network.get(options.network)
+    this.name = 'unknown'
+    // whether a long range of entries can be retrieved without a request per height
+    this.bulk = true
+  }
+
+  /**
+   * Get a description of where the start block came from.
+   * This is saved in the header index so it should
+   * never include any credentials
+   * @returns {String}
+   */
+
+  getSource() {
+    return this.name
+  }
+
+  /**
+   * Retrieve serialized chain entries for a list of heights
+   * @param {Number[]} heights
+   * @returns {Promise} - Returns Buffer[] of raw chain entries in the same order as heights
+   */
+
+  async getEntries() {
+    throw new Error(`Start provider ${this.name} has not implemented getEntries`)
+  }
+}
+
+/**
+ * Blockcypher Provider
+ * Retrieves start blocks from the blockcypher.com api.
+ * Only supports mainnet and testnet. Blocks are requested one at a time
+ * so only a few entries can be retrieved within the api's rate limit.
+ * @extends StartProvider
+ */
+
+class BlockcypherProvider extends StartProvider {
+  constructor(options) {
+    super(options)
+    this.name = 'blockcypher'
+    this.bulk = false
+
+    assert(
+      this.network.type === 'main' || this.network.type === 'testnet',
+      'Can only get starting block data from blockcypher for mainnet or testnet. Use a different `start-provider` \
+      or `startBlock` with raw block data instead for other networks'
+    )
+  }
+
+  async getEntries(heights) {
+    if (heights.length > BlockcypherProvider.MAX_ENTRIES)
+      throw new Error(
+        `Cannot retrieve ${heights.length} entries from blockcypher without exceeding its rate limit. \
+Use the esplora, rpc or file \`start-provider\` or pass the entries with \`startBlock\` instead.`
+      )
+
+    return getRemoteBlockEntries(this.network.type, ...heights)
+  }
+}
+
+/**
+ * Max number of entries requested from blockcypher at once
+ * @const {Number}
+ */
+
+BlockcypherProvider.MAX_ENTRIES = 10
+
+/**
+ * Esplora Provider
+ * Retrieves start blocks from an Esplora style REST api
+ * (e.g. blockstream.info or a self-hosted instance)
+ * @extends StartProvider
+ */
+
+class EsploraProvider extends StartProvider {
+  constructor(options) {
+    super(options)
+    this.name = 'esplora'
+
+    let url = options.url
+    if (!url) url = EsploraProvider.urls[this.network.type]
+
+    assert(typeof url === 'string', `An esplora url is required for the ${this.network.type} network`)
+
+    this.url = url
+    this.client = bcurl.client({ url })
+  }
+
+  getSource() {
+    return `${this.name}:${sourceURL(this.client)}`
+  }
+
+  async getEntries(heights) {
+    const blocks = new Map()
+
+    // the blocks endpoint returns the ten blocks at and below a height
+    // so start at the top to minimize the number of requests
+    const sorted = [...heights].sort((a, b) => b - a)
+
+    for (const height of sorted) {
+      if (blocks.has(height)) continue
+
+      const list = await this.client.get(`/blocks/${height}`)
+
+      if (!Array.isArray(list) || !list.length)
+        throw new Error(`No block returned for height ${height} on ${this.network.type} network from ${this.url}.`)
+
+      for (const meta of list) blocks.set(meta.height, meta)
+    }
+
+    return heights.map(height => {
+      const meta = blocks.get(height)
+      assert(meta, `No block returned for height ${height} from ${this.url}`)
+      return ChainEntry.fromOptions(convertEsploraMeta(meta)).toRaw()
+    })
+  }
+}
+
+/**
+ * Default Esplora urls
+ * @const {Object}
+ */
+
+EsploraProvider.urls = {
+  main: 'https://blockstream.info/api',
+  testnet: 'https://blockstream.info/testnet/api'
+}
+
+/**
+ * RPC Provider
+ * Retrieves start blocks from a bitcoind or bcoin
+ * JSON-RPC endpoint with `getblockhash` and `getblockheader`
+ * @extends StartProvider
+ */
+
+class RPCProvider extends StartProvider {
+  constructor(options) {
+    super(options)
+    this.name = 'rpc'
+
+    assert(typeof options.url === 'string', 'A url is required for the rpc start provider')
+
+    this.client = bcurl.client({
+      url: options.url,
+      apiKey: options.apiKey
+    })
+  }
+
+  getSource() {
+    return `${this.name}:${sourceURL(this.client)}`
+  }
+
+  async getEntries(heights) {
+    // every hash and then every header is requested in a single batch
+    const hashes = await batchRPC(
+      this.client,
+      'getblockhash',
+      heights.map(height => [height])
+    )
+
+    hashes.forEach((hash, i) => {
+      if (!hash) throw new Error(`No block hash returned for height ${heights[i]} from rpc start provider.`)
+    })
+
+    // non-verbose returns the raw 80 byte header for both bitcoind and bcoin
+    const raws = await batchRPC(
+      this.client,
+      'getblockheader',
+      hashes.map(hash => [hash, false])
+    )
+
+    return raws.map((raw, i) => {
+      const header = Headers.fromHead(Buffer.from(raw, 'hex'))
+      assert(header.hash().equals(fromRev(hashes[i])), `Header returned for ${hashes[i]} does not match its hash`)
+      return fromHeader(header, heights[i]).toRaw()
+    })
+  }
+}
+
+/**
+ * File Provider
+ * Reads start blocks from a local file. The file can either be
+ * a JSON array, with items that are raw chain entries as hex or
+ * objects with a `height` and a raw 80 byte `header` as hex,
+ * or a text file with a raw chain entry as hex on each line.
+ * @extends StartProvider
+ */
+
+class FileProvider extends StartProvider {
+  constructor(options) {
+    super(options)
+    this.name = 'file'
+
+    assert(typeof options.file === 'string', 'A file path is required for the file start provider')
+    this.file = options.file
+  }
+
+  getSource() {
+    return `${this.name}:${this.file}`
+  }
+
+  async getEntries(heights) {
+    const data = await fs.readFile(this.file, 'utf8')
+    const entries = new Map()
+
+    for (const entry of parseEntries(data)) entries.set(entry.height, entry)
+
+    return heights.map(height => {
+      const entry = entries.get(height)
+      assert(entry, `No entry for height ${height} in start block file ${this.file}`)
+      return entry.toRaw()
+    })
+  }
+}
+
+/**
+ * Quorum Provider
+ * Checks the start entries against several sources, and any peers connected
+ * to the pool, before accepting them. Every entry has to match. Entries that were
+ * accepted before the pool had any peers are kept so they can be checked with
+ * {@link QuorumProvider#verifyPeers} once peers connect.
+ * @extends StartProvider
+ */
+
+class QuorumProvider extends StartProvider {
+  constructor(options) {
+    super(options)
+    this.name = 'quorum'
+
+    assert(Array.isArray(options.providers) && options.providers.length, 'Quorum provider requires providers')
+
+    this.providers = options.providers
+    this.pool = options.pool || null
+    this.quorum = 0
+    this.maxPeers = 3
+    this.timeout = 10000
+
+    // the sources' results for entries that still need to be checked with peers
+    this.pending = null
+
+    if (options.quorum != null) {
+      assert(Number.isSafeInteger(options.quorum) && options.quorum > 0, 'Quorum must be a positive integer')
+      this.quorum = options.quorum
+    }
+
+    if (options.maxPeers != null) {
+      assert(Number.isSafeInteger(options.maxPeers) && options.maxPeers > 0)
+      this.maxPeers = options.maxPeers
+    }
+
+    if (options.timeout != null) {
+      assert(Number.isSafeInteger(options.timeout) && options.timeout > 0)
+      this.timeout = options.timeout
+    }
+  }
+
+  getSource() {
+    const sources = this.providers.map(provider => provider.getSource())
+    if (this.pool) sources.push('p2p')
+    return `${this.name}:${sources.join(',')}`
+  }
+
+  async getEntries(heights) {
+    assert(heights.length >= 2, 'Quorum requires the start height and its previous height')
+
+    const results = []
+
+    for (const provider of this.providers) {
+      const result = { source: provider.getSource() }
+      try {
+        result.entries = (await provider.getEntries(heights)).map(raw => ChainEntry.fromRaw(raw))
+        assert(result.entries.length === heights.length, 'Wrong number of entries returned')
+      } catch (e) {
+        result.error = e.message
+      }
+      results.push(result)
+    }
+
+    const candidate = getCandidate(results)
+    const entries = candidate ? candidate.entries : null
+
+    // peers can only confirm a candidate since getheaders needs a locator to start from
+    const peers = entries ? await this.getPeerResults(entries) : []
+
+    this.checkQuorum([...results, ...peers], entries)
+
+    // the entries are checked again once the pool has peers
+    this.pending = this.pool && !peers.length ? { results, entries } : null
+
+    return entries.map(entry => entry.toRaw())
+  }
+
+  /**
+   * Check entries that were accepted before any peers were connected
+   * with the peers that are connected now. The sources' results count
+   * toward the quorum again along with the peers'
+   * @returns {Promise} - Returns Boolean false if there are no peers to ask yet
+   */
+
+  async verifyPeers() {
+    if (!this.pending) return true
+
+    const { results, entries } = this.pending
+    const peers = await this.getPeerResults(entries)
+
+    if (!peers.length) return false
+
+    this.checkQuorum([...results, ...peers], entries)
+    this.pending = null
+
+    return true
+  }
+
+  /**
+   * Throw with a report of every source's result unless
+   * enough sources agree with the candidate entries
+   * @private
+   * @param {Object[]} results
+   * @param {ChainEntry[]|null} entries - candidate entries
+   */
+
+  checkQuorum(results, entries) {
+    const agreed = entries ? results.filter(result => matches(result, entries)).length : 0
+    const quorum = this.quorum || Math.floor(results.length / 2) + 1
+
+    if (agreed < quorum)
+      throw new Error(
+        `Start block sources did not reach a quorum of ${quorum} (${agreed} agreed):\n${formatReport(results, entries)}`
+      )
+  }
+
+  /**
+   * Ask connected peers for the headers of the candidate entries
+   * @private
+   * @param {ChainEntry[]} entries - candidate entries
+   * @returns {Promise} - Returns Object[] of results for each peer
+   */
+
+  async getPeerResults(entries) {
+    if (!this.pool) return []
+
+    const peers = []
+    for (let peer = this.pool.peers.head(); peer; peer = peer.next) {
+      if (peers.length >= this.maxPeers) break
+
+      // the loader's headers are used for syncing so avoid confusing it with our own request
+      if (!peer.handshake || !peer.outbound || (peer.loader && this.pool.syncing)) continue
+
+      peers.push(peer)
+    }
+
+    return Promise.all(
+      peers.map(async peer => {
+        const result = { source: `peer:${peer.hostname()}` }
+        try {
+          result.entries = await this.getPeerEntries(peer, entries)
+        } catch (e) {
+          result.error = e.message
+        }
+        return result
+      })
+    )
+  }
+
+  /**
+   * Request the headers for a list of entries from a peer. Peers send
+   * at most 2000 headers at a time so long lists take several requests
+   * @private
+   * @param {Peer} peer
+   * @param {ChainEntry[]} entries
+   * @returns {Promise} - Returns ChainEntry[]
+   */
+
+  async getPeerEntries(peer, entries) {
+    const stop = entries[entries.length - 1].hash
+    const result = []
+    let locator = entries[0].prevBlock
+
+    while (result.length < entries.length) {
+      const wait = peer.wait(packets.types.HEADERS, this.timeout)
+      peer.sendGetHeaders([locator], stop)
+      const { items } = await wait
+
+      // if the peer doesn't know the locator it will send headers from genesis
+      if (!items.length || !items[0].prevBlock.equals(locator))
+        throw new Error('Headers did not connect to the locator')
+
+      for (const header of items.slice(0, entries.length - result.length))
+        result.push(fromHeader(header, entries[0].height + result.length))
+
+      locator = result[result.length - 1].hash
+    }
+
+    return result
+  }
+}
+
+/*
+ * Helpers
+ */
+
+/**
+ * Create a start provider from a spec of the form `name` or `name=value`
+ * where the value is the url for esplora and rpc or the path for file
+ * @param {String} spec
+ * @param {Object} options
+ * @returns {StartProvider}
+ */
+
+function fromSpec(spec, options) {
+  assert(typeof spec === 'string', 'Must pass a start provider spec')
+
+  const index = spec.indexOf('=')
+  if (index === -1) return create(spec, options)
+
+  const name = spec.slice(0, index)
+  const value = spec.slice(index + 1)
+
+  if (name === 'file') return create(name, { ...options, file: value })
+
+  return create(name, { ...options, url: value })
+}
+
+/**
+ * Create a start provider by name
+ * @param {String} name - blockcypher, esplora, rpc or file
+ * @param {Object} options
+ * @returns {StartProvider}
+ */
+
+function create(name, options) {
+  assert(typeof name === 'string', 'Must pass a start provider name')
+
+  switch (name) {
+    case 'blockcypher':
+      return new BlockcypherProvider(options)
+    case 'esplora':
+      return new EsploraProvider(options)
+    case 'rpc':
+      return new RPCProvider(options)
+    case 'file':
+      return new FileProvider(options)
+    default:
+      throw new Error(`Unknown start provider: ${name}. Must be one of blockcypher, esplora, rpc or file.`)
+  }
+}
+
+/**
+ * Get the entries returned by the most sources
+ * @param {Object[]} results
+ * @returns {Object|null} - the first result with the most agreeing sources
+ */
+
+function getCandidate(results) {
+  let best = null
+  let votes = 0
+
+  for (const result of results) {
+    if (!result.entries) continue
+
+    const count = results.filter(other => matches(other, result.entries)).length
+
+    if (count > votes) {
+      best = result
+      votes = count
+    }
+  }
+
+  return best
+}
+
+/**
+ * Check if a source returned the same hashes as a list of entries
+ * @param {Object} result
+ * @param {ChainEntry[]} entries
+ * @returns {Boolean}
+ */
+
+function matches(result, entries) {
+  if (!result.entries || result.entries.length !== entries.length) return false
+  return result.entries.every((entry, i) => entry.hash.equals(entries[i].hash))
+}
+
+/**
+ * Format a report of what each source returned. The start block and
+ * its previous block are listed for every source along with the
+ * first earlier entry that differs from the candidate
+ * @param {Object[]} results
+ * @param {ChainEntry[]|null} candidate - candidate entries
+ * @returns {String}
+ */
+
+function formatReport(results, candidate) {
+  return results
+    .map(({ source, entries, error }) => {
+      if (error) return `  ${source}: error (${error})`
+
+      const shown = entries.slice(-2)
+      const index = candidate
+        ? entries.findIndex((entry, i) => !candidate[i] || !entry.hash.equals(candidate[i].hash))
+        : -1
+      if (index !== -1 && index < entries.length - 2) shown.unshift(entries[index])
+
+      return `  ${source}: ${shown.map(entry => `${entry.height}=${entry.rhash()}`).join(', ')}`
+    })
+    .join('\n')
+}
+
+/**
+ * Create a chain entry from a header and its height
+ * @param {Headers} header
+ * @param {Number} height
+ * @returns {ChainEntry}
+ */
+
+function fromHeader(header, height) {
+  return ChainEntry.fromOptions({
+    hash: header.hash(),
+    version: header.version,
+    prevBlock: header.prevBlock,
+    merkleRoot: header.merkleRoot,
+    time: header.time,
+    bits: header.bits,
+    nonce: header.nonce,
+    height
+  })
+}
+
+/**
+ * Parse chain entries from the contents of a start block file
+ * @param {String} data - JSON or newline separated hex
+ * @returns {ChainEntry[]}
+ */
+
+function parseEntries(data) {
+  const text = data.trim()
+
+  if (text[0] !== '[') return text.split(/\s+/).map(hex => ChainEntry.fromRaw(Buffer.from(hex, 'hex')))
+
+  const items = JSON.parse(text)
+
+  return items.map(item => {
+    if (typeof item === 'string') return ChainEntry.fromRaw(Buffer.from(item, 'hex'))
+
+    assert(item && typeof item.header === 'string', 'Start block file items must have a raw header')
+    assert(Number.isSafeInteger(item.height), 'Start block file items must have a height')
+
+    return fromHeader(Headers.fromHead(Buffer.from(item.header, 'hex')), item.height)
+  })
+}
+
+/*
+ * Expose
+ */
+
+exports.StartProvider = StartProvider
+exports.BlockcypherProvider = BlockcypherProvider
+exports.EsploraProvider = EsploraProvider
+exports.RPCProvider = RPCProvider
+exports.FileProvider = FileProvider
+exports.QuorumProvider = QuorumProvider
+exports.create = create
+exports.fromSpec = fromSpec
+exports.parseEntries = parseEntries
+
+module.exports = exports
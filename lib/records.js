@@ -6,7 +6,9 @@
  */
 'use strict'
 const assert = require('bsert')
-const { protocol } = require('bcoin')
+const bio = require('bufio')
+const { protocol, Headers, ChainEntry } = require('bcoin')
+const { revHex } = require('./util')
 const { ZERO_HASH } = protocol.consensus
 
 /**
@@ -45,10 +47,684 @@ class BlockMeta {
   }
 }
 
+/**
+ * Header Record
+ * Compressed serialization of a block header (or chain entry) for the header index.
+ * The prevBlock is left out when it can be derived from the hash of the previous
+ * height and the version, bits and time are packed relative to an anchor record
+ * which is always stored in full.
+ */
+
+class HeaderRecord {
+  constructor() {
+    this.flags = 0
+    this.version = 0
+    this.prevBlock = null
+    this.merkleRoot = ZERO_HASH
+    this.time = 0
+    this.timeOffset = 0
+    this.bits = 0
+    this.nonce = 0
+    this.chainwork = null
+  }
+
+  /**
+   * Inject properties from a header or chain entry
+   * @private
+   * @param {Headers|ChainEntry} header
+   */
+
+  fromHeader(header) {
+    this.version = header.version
+    this.prevBlock = header.prevBlock
+    this.merkleRoot = header.merkleRoot
+    this.time = header.time
+    this.bits = header.bits
+    this.nonce = header.nonce
+
+    // chain entries also need to keep their chainwork which is
+    // serialized after the 80 byte header and 4 byte height
+    if (ChainEntry.isChainEntry(header)) this.chainwork = header.toRaw().slice(84, 116)
+
+    return this
+  }
+
+  /**
+   * Instantiate a header record from a header or chain entry
+   * @param {Headers|ChainEntry} header
+   * @returns {HeaderRecord}
+   */
+
+  static fromHeader(header) {
+    return new this().fromHeader(header)
+  }
+
+  /**
+   * Test whether any fields need the anchor record to be decoded
+   * @returns {Boolean}
+   */
+
+  hasAnchor() {
+    return (
+      (this.flags &
+        (HeaderRecord.flags.TIME_OFFSET | HeaderRecord.flags.SAME_BITS | HeaderRecord.flags.SAME_VERSION)) !==
+      0
+    )
+  }
+
+  /**
+   * Fill in the fields that were packed relative to the anchor record
+   * @param {HeaderRecord} anchor
+   * @returns {HeaderRecord}
+   */
+
+  applyAnchor(anchor) {
+    const { TIME_OFFSET, SAME_BITS, SAME_VERSION } = HeaderRecord.flags
+
+    if (this.flags & SAME_VERSION) this.version = anchor.version
+    if (this.flags & SAME_BITS) this.bits = anchor.bits
+    if (this.flags & TIME_OFFSET) this.time = anchor.time + this.timeOffset
+
+    return this
+  }
+
+  /**
+   * Serialize the record, omitting any fields that can be derived
+   * @param {HeaderRecord?} anchor - anchor record to pack fields against
+   * @param {Boolean?} omitPrev - whether the prevBlock can be left out
+   * @returns {Buffer}
+   */
+
+  toRaw(anchor, omitPrev) {
+    const { PREV_BLOCK, TIME_OFFSET, SAME_BITS, SAME_VERSION, CHAINWORK } = HeaderRecord.flags
+    let flags = 0
+
+    if (!omitPrev) flags |= PREV_BLOCK
+    if (this.chainwork) flags |= CHAINWORK
+
+    if (anchor) {
+      if (this.version === anchor.version) flags |= SAME_VERSION
+      if (this.bits === anchor.bits) flags |= SAME_BITS
+      // block times are not monotonic so only pack offsets after the anchor
+      if (this.time >= anchor.time) flags |= TIME_OFFSET
+    }
+
+    const bw = bio.write()
+
+    bw.writeU8(flags)
+
+    if (!(flags & SAME_VERSION)) bw.writeU32(this.version)
+    if (flags & PREV_BLOCK) bw.writeHash(this.prevBlock)
+
+    bw.writeHash(this.merkleRoot)
+
+    if (flags & TIME_OFFSET) bw.writeVarint2(this.time - anchor.time)
+    else bw.writeU32(this.time)
+
+    if (!(flags & SAME_BITS)) bw.writeU32(this.bits)
+
+    bw.writeU32(this.nonce)
+
+    if (flags & CHAINWORK) bw.writeBytes(this.chainwork)
+
+    return bw.render()
+  }
+
+  /**
+   * Inject properties from serialized data
+   * @private
+   * @param {Buffer} data
+   */
+
+  fromRaw(data) {
+    const { PREV_BLOCK, TIME_OFFSET, SAME_BITS, SAME_VERSION, CHAINWORK } = HeaderRecord.flags
+    const br = bio.read(data)
+
+    this.flags = br.readU8()
+
+    if (!(this.flags & SAME_VERSION)) this.version = br.readU32()
+    if (this.flags & PREV_BLOCK) this.prevBlock = br.readHash()
+
+    this.merkleRoot = br.readHash()
+
+    if (this.flags & TIME_OFFSET) this.timeOffset = br.readVarint2()
+    else this.time = br.readU32()
+
+    if (!(this.flags & SAME_BITS)) this.bits = br.readU32()
+
+    this.nonce = br.readU32()
+
+    if (this.flags & CHAINWORK) this.chainwork = br.readBytes(32)
+
+    return this
+  }
+
+  /**
+   * Instantiate a header record from serialized data
+   * @param {Buffer} data
+   * @returns {HeaderRecord}
+   */
+
+  static fromRaw(data) {
+    return new this().fromRaw(data)
+  }
+
+  /**
+   * Convert a fully decoded record back to a header or chain entry
+   * @param {Number} height - height of the record
+   * @returns {Headers|ChainEntry}
+   */
+
+  toHeader(height) {
+    assert(this.prevBlock, 'Cannot convert a header record without a prevBlock')
+
+    const bw = bio.write(this.chainwork ? 116 : 80)
+
+    bw.writeU32(this.version)
+    bw.writeHash(this.prevBlock)
+    bw.writeHash(this.merkleRoot)
+    bw.writeU32(this.time)
+    bw.writeU32(this.bits)
+    bw.writeU32(this.nonce)
+
+    if (!this.chainwork) return Headers.fromHead(bw.render())
+
+    bw.writeU32(height)
+    bw.writeBytes(this.chainwork)
+
+    return ChainEntry.fromRaw(bw.render())
+  }
+}
+
+/**
+ * Header record flags
+ * @enum {Number}
+ */
+
+HeaderRecord.flags = {
+  // prevBlock is serialized rather than derived from the previous height
+  PREV_BLOCK: 1 << 0,
+  // time is serialized as an offset from the anchor's time
+  TIME_OFFSET: 1 << 1,
+  // bits are the same as the anchor's
+  SAME_BITS: 1 << 2,
+  // version is the same as the anchor's
+  SAME_VERSION: 1 << 3,
+  // record is a chain entry and includes chainwork
+  CHAINWORK: 1 << 4
+}
+
+/**
+ * Interval at which header records are stored in full.
+ * Matches the mainnet retarget interval so that bits can
+ * almost always be packed against the anchor
+ * @const {Number}
+ */
+
+HeaderRecord.ANCHOR_INTERVAL = 2016
+
+/**
+ * Chain Context
+ * Snapshot of the minimal set of chain entries the in-memory chain needs
+ * for contextual checks (the last retarget window and median time past window).
+ * The last entry is the tip of the snapshot.
+ */
+
+class ChainContext {
+  constructor(entries) {
+    this.entries = entries || []
+
+    assert(Array.isArray(this.entries))
+  }
+
+  /**
+   * Get the tip of the snapshot
+   * @returns {ChainEntry|null}
+   */
+
+  getTip() {
+    if (!this.entries.length) return null
+    return this.entries[this.entries.length - 1]
+  }
+
+  /**
+   * Serialize the chain context
+   * @returns {Buffer}
+   */
+
+  toRaw() {
+    const bw = bio.write(4 + this.entries.length * 116)
+
+    bw.writeU32(this.entries.length)
+
+    for (const entry of this.entries) bw.writeBytes(entry.toRaw())
+
+    return bw.render()
+  }
+
+  /**
+   * Inject properties from serialized data
+   * @private
+   * @param {Buffer} data
+   */
+
+  fromRaw(data) {
+    const br = bio.read(data)
+    const count = br.readU32()
+
+    for (let i = 0; i < count; i++) this.entries.push(ChainEntry.fromRaw(br.readBytes(116)))
+
+    return this
+  }
+
+  /**
+   * Instantiate a chain context from serialized data
+   * @param {Buffer} data
+   * @returns {ChainContext}
+   */
+
+  static fromRaw(data) {
+    return new this().fromRaw(data)
+  }
+}
+
+/**
+ * Stale Record
+ * A header that was disconnected from the main chain in a reorg, saved
+ * as a chain entry along with the height of the block its branch forked from.
+ * Entries for historical heights are saved with a zero chainwork.
+ */
+
+class StaleRecord {
+  constructor(entry, fork) {
+    this.entry = entry || new ChainEntry()
+    this.fork = fork || 0
+
+    assert(ChainEntry.isChainEntry(this.entry))
+    assert(Number.isInteger(this.fork))
+  }
+
+  /**
+   * Get the number of blocks between the fork point and this header
+   * @returns {Number}
+   */
+
+  getBranchLength() {
+    return this.entry.height - this.fork
+  }
+
+  /**
+   * Inject properties from a header or chain entry
+   * @private
+   * @param {Headers|ChainEntry} header
+   * @param {Number} height
+   * @param {Number} fork - height of the fork point
+   */
+
+  fromHeader(header, height, fork) {
+    if (ChainEntry.isChainEntry(header)) {
+      this.entry = header
+    } else {
+      const bw = bio.write(116)
+      bw.writeBytes(header.toHead())
+      bw.writeU32(height)
+      bw.fill(0x00, 32)
+      this.entry = ChainEntry.fromRaw(bw.render())
+    }
+
+    this.fork = fork
+    return this
+  }
+
+  /**
+   * Instantiate a stale record from a header or chain entry
+   * @param {Headers|ChainEntry} header
+   * @param {Number} height
+   * @param {Number} fork - height of the fork point
+   * @returns {StaleRecord}
+   */
+
+  static fromHeader(header, height, fork) {
+    return new this().fromHeader(header, height, fork)
+  }
+
+  /**
+   * Serialize the stale record
+   * @returns {Buffer}
+   */
+
+  toRaw() {
+    const bw = bio.write(4 + 116)
+    bw.writeU32(this.fork)
+    bw.writeBytes(this.entry.toRaw())
+    return bw.render()
+  }
+
+  /**
+   * Inject properties from serialized data
+   * @private
+   * @param {Buffer} data
+   */
+
+  fromRaw(data) {
+    const br = bio.read(data)
+    this.fork = br.readU32()
+    this.entry = ChainEntry.fromRaw(br.readBytes(116))
+    return this
+  }
+
+  /**
+   * Instantiate a stale record from serialized data
+   * @param {Buffer} data
+   * @returns {StaleRecord}
+   */
+
+  static fromRaw(data) {
+    return new this().fromRaw(data)
+  }
+}
+
+/**
+ * Reorg Record
+ * Audit log entry for a reorg processed by the header index. Saves the
+ * headers that were removed from and added to the main chain after the fork point.
+ */
+
+class ReorgRecord {
+  constructor() {
+    this.id = 0
+    this.time = 0
+    this.forkHeight = 0
+    this.forkHash = ZERO_HASH
+    this.removed = []
+    this.added = []
+  }
+
+  /**
+   * Inject properties from the entries of a reorg
+   * @private
+   * @param {Number} time - unix time in seconds
+   * @param {ChainEntry} fork - fork point entry
+   * @param {ChainEntry[]} disconnected - in order of height
+   * @param {ChainEntry[]} connected - in order of height
+   */
+
+  fromEntries(time, fork, disconnected, connected) {
+    assert(Number.isSafeInteger(time) && time >= 0)
+    this.time = time
+    this.forkHeight = fork.height
+    this.forkHash = fork.hash
+    this.removed = disconnected.map(entry => entry.toHeaders())
+    this.added = connected.map(entry => entry.toHeaders())
+    return this
+  }
+
+  /**
+   * Instantiate a reorg record from the entries of a reorg
+   * @param {Number} time - unix time in seconds
+   * @param {ChainEntry} fork - fork point entry
+   * @param {ChainEntry[]} disconnected - in order of height
+   * @param {ChainEntry[]} connected - in order of height
+   * @returns {ReorgRecord}
+   */
+
+  static fromEntries(time, fork, disconnected, connected) {
+    return new this().fromEntries(time, fork, disconnected, connected)
+  }
+
+  /**
+   * Get the number of blocks that were removed from the main chain
+   * @returns {Number}
+   */
+
+  getDepth() {
+    return this.removed.length
+  }
+
+  /**
+   * Serialize the reorg record. The id is
+   * saved in the key and isn't serialized
+   * @returns {Buffer}
+   */
+
+  toRaw() {
+    const size = 8 + 4 + 32 + 8 + (this.removed.length + this.added.length) * 80
+    const bw = bio.write(size)
+
+    bw.writeU64(this.time)
+    bw.writeU32(this.forkHeight)
+    bw.writeHash(this.forkHash)
+
+    for (const list of [this.removed, this.added]) {
+      bw.writeU32(list.length)
+      for (const header of list) bw.writeBytes(header.toHead())
+    }
+
+    return bw.render()
+  }
+
+  /**
+   * Inject properties from serialized data
+   * @private
+   * @param {Buffer} data
+   * @param {Number} id
+   */
+
+  fromRaw(data, id) {
+    const br = bio.read(data)
+
+    this.id = id || 0
+    this.time = br.readU64()
+    this.forkHeight = br.readU32()
+    this.forkHash = br.readHash()
+
+    for (const list of [this.removed, this.added]) {
+      const count = br.readU32()
+      for (let i = 0; i < count; i++) list.push(Headers.fromHead(br.readBytes(80)))
+    }
+
+    return this
+  }
+
+  /**
+   * Instantiate a reorg record from serialized data
+   * @param {Buffer} data
+   * @param {Number} id
+   * @returns {ReorgRecord}
+   */
+
+  static fromRaw(data, id) {
+    return new this().fromRaw(data, id)
+  }
+
+  /**
+   * Get the reorg as JSON. Hashes are in reverse byte order
+   * like the rest of the api and headers are returned as raw hex
+   * @returns {Object}
+   */
+
+  toJSON() {
+    const toItem = (header, i) => ({
+      height: this.forkHeight + i + 1,
+      hash: header.rhash(),
+      header: header.toHead().toString('hex')
+    })
+
+    const removed = this.removed.map(toItem)
+    const added = this.added.map(toItem)
+    const fork = { height: this.forkHeight, hash: revHex(this.forkHash) }
+
+    return {
+      id: this.id,
+      time: this.time,
+      depth: this.getDepth(),
+      fork,
+      oldTip: removed.length ? removed[removed.length - 1] : fork,
+      newTip: added.length ? added[added.length - 1] : fork,
+      removed,
+      added
+    }
+  }
+}
+
+/**
+ * Filter Header Record
+ * BIP157 filter header for a block with the hash of its filter
+ */
+
+class FilterHeaderRecord {
+  constructor(options) {
+    this.height = 0
+    this.blockHash = ZERO_HASH
+    this.filterHash = ZERO_HASH
+    this.header = ZERO_HASH
+
+    if (options) {
+      assert(Number.isSafeInteger(options.height) && options.height >= 0)
+      this.height = options.height
+      this.blockHash = options.blockHash
+      this.filterHash = options.filterHash
+      this.header = options.header
+    }
+  }
+
+  /**
+   * Serialize the filter header record. The height
+   * is saved in the key and isn't serialized
+   * @returns {Buffer}
+   */
+
+  toRaw() {
+    const bw = bio.write(96)
+    bw.writeHash(this.blockHash)
+    bw.writeHash(this.filterHash)
+    bw.writeHash(this.header)
+    return bw.render()
+  }
+
+  /**
+   * Inject properties from serialized data
+   * @private
+   * @param {Buffer} data
+   * @param {Number} height
+   */
+
+  fromRaw(data, height) {
+    const br = bio.read(data)
+    this.height = height
+    this.blockHash = br.readHash()
+    this.filterHash = br.readHash()
+    this.header = br.readHash()
+    return this
+  }
+
+  /**
+   * Instantiate a filter header record from serialized data
+   * @param {Buffer} data
+   * @param {Number} height
+   * @returns {FilterHeaderRecord}
+   */
+
+  static fromRaw(data, height) {
+    return new this().fromRaw(data, height)
+  }
+
+  /**
+   * Get the filter header as JSON. Hashes are in
+   * reverse byte order like bitcoind's `getblockfilter`
+   * @returns {Object}
+   */
+
+  toJSON() {
+    return {
+      height: this.height,
+      blockhash: revHex(this.blockHash),
+      filterhash: revHex(this.filterHash),
+      header: revHex(this.header)
+    }
+  }
+}
+
+/**
+ * Snapshot Trailer
+ * Metadata at the end of a header snapshot, which is a flat file of
+ * consecutive 80 byte headers: the magic of the network, the height of
+ * the first header and the hash of the last one, followed by a marker
+ */
+
+class SnapshotTrailer {
+  constructor(options) {
+    this.magic = 0
+    this.startHeight = 0
+    this.tip = ZERO_HASH
+
+    if (options) {
+      assert(Number.isSafeInteger(options.magic) && options.magic >= 0)
+      assert(Number.isSafeInteger(options.startHeight) && options.startHeight >= 0)
+      assert(Buffer.isBuffer(options.tip) && options.tip.length === 32)
+      this.magic = options.magic
+      this.startHeight = options.startHeight
+      this.tip = options.tip
+    }
+  }
+
+  /**
+   * Serialize the snapshot trailer
+   * @returns {Buffer}
+   */
+
+  toRaw() {
+    const bw = bio.write(SnapshotTrailer.SIZE)
+    bw.writeU32(this.magic)
+    bw.writeU32(this.startHeight)
+    bw.writeHash(this.tip)
+    bw.writeBytes(SNAPSHOT_MARKER)
+    return bw.render()
+  }
+
+  /**
+   * Inject properties from serialized data
+   * @private
+   * @param {Buffer} data
+   */
+
+  fromRaw(data) {
+    assert(data.length === SnapshotTrailer.SIZE, 'Invalid snapshot trailer size')
+    assert(data.slice(-SNAPSHOT_MARKER.length).equals(SNAPSHOT_MARKER), 'File is not a header snapshot')
+
+    const br = bio.read(data)
+    this.magic = br.readU32()
+    this.startHeight = br.readU32()
+    this.tip = br.readHash()
+    return this
+  }
+
+  /**
+   * Instantiate a snapshot trailer from serialized data
+   * @param {Buffer} data
+   * @returns {SnapshotTrailer}
+   */
+
+  static fromRaw(data) {
+    return new this().fromRaw(data)
+  }
+}
+
+// marks the end of a header snapshot
+const SNAPSHOT_MARKER = Buffer.from('bhns', 'ascii')
+
+SnapshotTrailer.SIZE = 44
+
 /*
  * Expose
  */
 
 exports.BlockMeta = BlockMeta
+exports.HeaderRecord = HeaderRecord
+exports.ChainContext = ChainContext
+exports.StaleRecord = StaleRecord
+exports.ReorgRecord = ReorgRecord
+exports.FilterHeaderRecord = FilterHeaderRecord
+exports.SnapshotTrailer = SnapshotTrailer
 
 module.exports = exports
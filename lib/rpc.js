@@ -6,6 +6,7 @@
 
 'use strict'
 
+const path = require('path')
 const Validator = require('bval')
 const assert = require('bsert')
 const {
@@ -19,7 +20,10 @@ const util = require('./util')
 // constants from base implementation
 const errs = {
   // General application defined errors
-  MISC_ERROR: -1
+  MISC_ERROR: -1,
+
+  // Invalid, missing or duplicate parameter
+  INVALID_PARAMETER: -8
 }
 
 class HeaderRPC extends RPC {
@@ -40,6 +44,12 @@ class HeaderRPC extends RPC {
       protocolversion: this.pool.options.version,
       blocks: this.headerindex.height,
       startheight: this.headerindex.startHeight ? this.headerindex.startHeight : undefined,
+      startsource: this.headerindex.startHeight ? await this.headerindex.getStartSource() : undefined,
+      headercache: this.headerindex.getCacheStats(),
+      filterheaders: this.node.filterheaders ? this.node.filterheaders.getStatus() : undefined,
+      tipconsensus: this.node.tipmonitor.getStatus(),
+      rpcsync: this.node.rpcsync ? this.node.rpcsync.getStatus() : undefined,
+      follower: this.node.follower ? this.node.follower.getStatus() : undefined,
       timeoffset: this.network.time.offset,
       connections: this.pool.peers.size(),
       proxy: '',
@@ -56,6 +66,16 @@ class HeaderRPC extends RPC {
     super.init()
     this.add('getheaderbyheight', this.getHeaderByHeight)
     this.add('getstartheader', this.getStartHeader)
+    this.add('backfillheaders', this.backfillHeaders)
+    this.add('verifyheaderindex', this.verifyHeaderIndex)
+    this.add('exportheaders', this.exportHeaders)
+    this.add('importheaders', this.importHeaders)
+    this.add('getreorghistory', this.getReorgHistory)
+    this.add('getheaderbytime', this.getHeaderByTime)
+    this.add('getheaderbymerkleroot', this.getHeaderByMerkleRoot)
+    this.add('verifytxoutproof', this.verifyTXOutProof)
+    this.add('verifyots', this.verifyOTS)
+    this.add('getcfilterheader', this.getCFilterHeader)
   }
 
   async help(args) {
@@ -85,6 +105,217 @@ class HeaderRPC extends RPC {
     return json
   }
 
+  async backfillHeaders(args, help) {
+    if (help || args.length !== 1) throw new RPCError(errs.MISC_ERROR, 'backfillheaders "height"')
+
+    const valid = new Validator(args)
+    const height = valid.u32(0)
+
+    if (height == null || height < 1) throw new RPCError(errs.INVALID_PARAMETER, 'Invalid backfill height.')
+
+    if (!this.node.getStartHeight()) throw new RPCError(errs.MISC_ERROR, 'No custom start height to backfill from.')
+
+    if (this.headerindex.pruneHeaders)
+      throw new RPCError(errs.MISC_ERROR, 'Cannot backfill headers when pruning the header index.')
+
+    await this.node.backfill.start(height)
+
+    return this.node.backfill.getStatus()
+  }
+
+  async verifyHeaderIndex(args, help) {
+    if (help || args.length > 1) throw new RPCError(errs.MISC_ERROR, 'verifyheaderindex ( repair )')
+
+    const valid = new Validator(args)
+    const repair = valid.bool(0, false)
+
+    try {
+      return await this.headerindex.verifyIndex({ repair })
+    } catch (e) {
+      throw new RPCError(errs.MISC_ERROR, e.message)
+    }
+  }
+
+  async exportHeaders(args, help) {
+    if (help || args.length < 1 || args.length > 3)
+      throw new RPCError(errs.MISC_ERROR, 'exportheaders "file" ( start force )')
+
+    const valid = new Validator(args)
+    const file = this.getSnapshotPath(valid.str(0))
+    const start = valid.u32(1)
+    const force = valid.bool(2, false)
+
+    try {
+      return await this.node.exportHeaders(file, { start, force })
+    } catch (e) {
+      throw new RPCError(errs.MISC_ERROR, e.message)
+    }
+  }
+
+  async importHeaders(args, help) {
+    if (help || args.length !== 1) throw new RPCError(errs.MISC_ERROR, 'importheaders "file"')
+
+    const valid = new Validator(args)
+    const file = this.getSnapshotPath(valid.str(0))
+
+    try {
+      return await this.node.importHeaders(file)
+    } catch (e) {
+      throw new RPCError(errs.MISC_ERROR, e.message)
+    }
+  }
+
+  /**
+   * Resolve a header snapshot file in the node prefix. Only relative
+   * paths inside the prefix can be used so rpc clients can't read or
+   * write other files the node has access to
+   * @private
+   * @param {String} file
+   * @returns {String}
+   */
+
+  getSnapshotPath(file) {
+    if (!file) throw new RPCError(errs.INVALID_PARAMETER, 'Invalid file.')
+
+    if (path.isAbsolute(file) || file.split(/[\\/]/).includes('..'))
+      throw new RPCError(errs.INVALID_PARAMETER, 'Snapshot file must be a relative path inside the node prefix.')
+
+    return this.node.config.location(file)
+  }
+
+  async getChainTips(args, help) {
+    if (help || args.length !== 0) throw new RPCError(errs.MISC_ERROR, 'getchaintips')
+
+    const tips = await this.headerindex.getChainTips()
+
+    return tips.map(tip => ({ ...tip, hash: util.revHex(tip.hash) }))
+  }
+
+  async getHeaderByTime(args, help) {
+    if (help || args.length < 1 || args.length > 2)
+      throw new RPCError(errs.MISC_ERROR, 'getheaderbytime "timestamp" ( "time"|"mtp" )')
+
+    const valid = new Validator(args)
+    const timestamp = valid.u32(0)
+    const mode = valid.str(1, 'time')
+
+    if (timestamp == null) throw new RPCError(errs.INVALID_PARAMETER, 'Invalid timestamp.')
+
+    if (mode !== 'time' && mode !== 'mtp') throw new RPCError(errs.INVALID_PARAMETER, 'Mode must be time or mtp.')
+
+    const { first, last } = await this.headerindex.findHeightsByTime(timestamp, mode)
+
+    // the chain can't calculate the median time for historical headers
+    const toJSON = async height => {
+      if (height == null) return null
+      const json = await this.headerToJSON(await this.headerindex.getEntry(height))
+      json.mediantime = await this.headerindex.getMedianTime(height)
+      return json
+    }
+
+    return {
+      first: await toJSON(first),
+      last: await toJSON(last)
+    }
+  }
+
+  async getHeaderByMerkleRoot(args, help) {
+    if (help || args.length < 1 || args.length > 2)
+      throw new RPCError(errs.MISC_ERROR, 'getheaderbymerkleroot "merkleroot" ( verbose )')
+
+    const valid = new Validator(args)
+    const root = valid.brhash(0)
+    const verbose = valid.bool(1, true)
+
+    if (!root) throw new RPCError(errs.INVALID_PARAMETER, 'Invalid merkle root.')
+
+    if (!this.headerindex.indexMerkleRoots) throw new RPCError(errs.MISC_ERROR, 'Merkle root index is not enabled.')
+
+    const height = await this.headerindex.getHeightByMerkleRoot(root)
+
+    if (height == null) {
+      // older headers might not be indexed yet
+      if (!this.headerindex.isMerkleIndexReady())
+        throw new RPCError(errs.MISC_ERROR, 'Block not found. The merkle root index is still being built.')
+      throw new RPCError(errs.MISC_ERROR, 'Block not found')
+    }
+
+    const entry = await this.headerindex.getEntry(height)
+
+    if (!verbose) return entry.toRaw().toString('hex', 0, 80)
+
+    const json = await this.headerToJSON(entry)
+    json.mediantime = await this.headerindex.getMedianTime(height)
+    return json
+  }
+
+  async verifyTXOutProof(args, help) {
+    if (help || args.length < 1 || args.length > 2)
+      throw new RPCError(errs.MISC_ERROR, 'verifytxoutproof "proof" ( height|"blockhash" )')
+
+    const valid = new Validator(args)
+    const proof = valid.buf(0)
+
+    if (!proof) throw new RPCError(errs.INVALID_PARAMETER, 'Invalid proof.')
+
+    // the header to check against can be given by height or hash
+    const options = {}
+    if (typeof args[1] === 'number') options.height = valid.u32(1)
+    else if (args[1] != null) options.hash = valid.brhash(1)
+
+    if (args[1] != null && options.height == null && options.hash == null)
+      throw new RPCError(errs.INVALID_PARAMETER, 'Invalid height or block hash.')
+
+    try {
+      return await this.node.verifier.verifyMerkleProof(proof, options)
+    } catch (e) {
+      throw new RPCError(errs.MISC_ERROR, e.message)
+    }
+  }
+
+  async getCFilterHeader(args, help) {
+    if (help || args.length !== 1) throw new RPCError(errs.MISC_ERROR, 'getcfilterheader height|"blockhash"')
+
+    if (!this.node.filterheaders) throw new RPCError(errs.MISC_ERROR, 'Filter header index is not enabled.')
+
+    const valid = new Validator(args)
+    const key = typeof args[0] === 'number' ? valid.u32(0) : valid.brhash(0)
+
+    if (key == null) throw new RPCError(errs.INVALID_PARAMETER, 'Invalid height or block hash.')
+
+    const record = await this.node.filterheaders.getFilterHeader(key)
+
+    if (!record) throw new RPCError(errs.MISC_ERROR, 'Filter header not found')
+
+    return record.toJSON()
+  }
+
+  async verifyOTS(args, help) {
+    if (help || args.length !== 1) throw new RPCError(errs.MISC_ERROR, 'verifyots "proof"')
+
+    const valid = new Validator(args)
+    const data = valid.str(0)
+
+    if (!data) throw new RPCError(errs.INVALID_PARAMETER, 'Invalid proof.')
+
+    try {
+      return await this.node.verifier.verifyOTS(util.fromHexOrBase64(data))
+    } catch (e) {
+      throw new RPCError(errs.MISC_ERROR, e.message)
+    }
+  }
+
+  async getReorgHistory(args, help) {
+    if (help || args.length > 1) throw new RPCError(errs.MISC_ERROR, 'getreorghistory ( since )')
+
+    const valid = new Validator(args)
+    const since = valid.u32(0, 0)
+
+    const reorgs = await this.headerindex.getReorgs(since)
+
+    return reorgs.map(reorg => reorg.toJSON())
+  }
+
   async getHeaderByHeight(args, help) {
     if (help || args.length < 1 || args.length > 2)
       throw new RPCError(errs.MISC_ERROR, 'getheaderbyheight "height" ( verbose )')
@@ -93,7 +324,7 @@ class HeaderRPC extends RPC {
     const height = valid.u32(0)
     const verbose = valid.bool(1, true)
 
-    if (height == null || height > this.chain.height || height < this.node.getStartHeight())
+    if (height == null || height > this.headerindex.height || height < this.headerindex.getLowestHeight())
       throw new RPCError(errs.MISC_ERROR, 'Block height out of range.')
 
     const entry = await this.node.headerindex.getEntry(height)
@@ -105,6 +336,47 @@ class HeaderRPC extends RPC {
     return await this.headerToJSON(entry)
   }
 
+  /*
+   * Block lookups
+   * These override the parent methods so that lookups go
+   * through the header index rather than the in-memory chain
+   */
+
+  async getBlockHash(args, help) {
+    if (help || args.length !== 1) throw new RPCError(errs.MISC_ERROR, 'getblockhash index')
+
+    const valid = new Validator(args)
+    const height = valid.u32(0)
+
+    if (height == null || height > this.headerindex.height || height < this.headerindex.getLowestHeight())
+      throw new RPCError(errs.INVALID_PARAMETER, 'Block height out of range.')
+
+    const hash = await this.headerindex.getHash(height)
+
+    if (!hash) throw new RPCError(errs.MISC_ERROR, 'Not found.')
+
+    return util.revHex(hash)
+  }
+
+  async getBlockHeader(args, help) {
+    if (help || args.length < 1 || args.length > 2)
+      throw new RPCError(errs.MISC_ERROR, 'getblockheader "hash" ( verbose )')
+
+    const valid = new Validator(args)
+    const hash = valid.brhash(0)
+    const verbose = valid.bool(1, true)
+
+    if (!hash) throw new RPCError(errs.MISC_ERROR, 'Invalid block hash.')
+
+    const entry = await this.headerindex.getEntryByHash(hash)
+
+    if (!entry) throw new RPCError(errs.MISC_ERROR, 'Block not found')
+
+    if (!verbose) return entry.toRaw().toString('hex', 0, 80)
+
+    return await this.headerToJSON(entry)
+  }
+
   // slightly different from the parent since the next lookup won't always work
   // and we probably wont' have the chainwork for a historical block
   async headerToJSON(entry) {
@@ -123,7 +395,7 @@ class HeaderRPC extends RPC {
       bits: entry.bits,
       difficulty: toDifficulty(entry.bits),
       previousblockhash: !entry.prevBlock.equals(consensus.ZERO_HASH) ? util.revHex(entry.prevBlock) : null,
-      nextblockhash: next.hash ? util.revHex(next.hash) : null
+      nextblockhash: next ? util.revHex(next.hash) : null
     }
   }
 }
@@ -0,0 +1,92 @@
+/*!
+ * rpcsync.js - sync headers from a trusted node over json-rpc
+ * Copyright (c) 2019-, Tierion Inc (MIT License).
+ * https://github.com/chainpoint/bitcoin-header-node
+ */
+
+'use strict'
+
+const assert = require('bsert')
+const bcurl = require('bcurl')
+const { Headers } = require('bcoin')
+const UpstreamSync = require('./upstreamsync')
+const { fromRev, sourceURL, batchRPC } = require('./util')
+
+/**
+ * RPC Sync
+ * Syncs headers from a bitcoind or bcoin JSON-RPC endpoint instead of
+ * from peers. Headers are requested with `getblockhash` and `getblockheader`
+ * in batches and validated and indexed like headers from peers.
+ * @extends UpstreamSync
+ */
+
+class RPCSync extends UpstreamSync {
+  /**
+   * Create an rpc sync
+   * @constructor
+   * @param {Object} options
+   */
+
+  constructor(options) {
+    super(options)
+
+    assert(options.client || typeof options.url === 'string', 'RPC sync requires a url')
+
+    if (options.logger) this.logger = options.logger.context('rpcsync')
+
+    // credentials can be in the url for bitcoind or passed as an api key for bcoin
+    this.client = options.client || bcurl.client({ url: options.url, apiKey: options.apiKey })
+  }
+
+  getSource() {
+    return sourceURL(this.client)
+  }
+
+  async getTipHeight() {
+    return this.client.execute('/', 'getblockcount', [])
+  }
+
+  async getHash(height) {
+    const [hash] = await this.batch('getblockhash', [[height]])
+    return hash ? fromRev(hash) : null
+  }
+
+  async getHeaders(start, end) {
+    const heights = []
+    for (let height = start; height <= end; height++) heights.push([height])
+
+    const hashes = await this.batch('getblockhash', heights)
+    // non-verbose returns the raw 80 byte header for both bitcoind and bcoin
+    const raws = await this.batch(
+      'getblockheader',
+      hashes.map(hash => [hash, false])
+    )
+
+    return raws.map((raw, i) => {
+      const header = Headers.fromHead(Buffer.from(raw, 'hex'))
+
+      if (!header.hash().equals(fromRev(hashes[i])))
+        throw new Error(`Header returned for ${hashes[i]} does not match its hash`)
+
+      return header
+    })
+  }
+
+  /**
+   * Call a method with several sets of params in a single JSON-RPC batch
+   * @private
+   * @param {String} method
+   * @param {Array[]} params - params for each call
+   * @returns {Promise} - Returns Array of results in the same order as params
+   */
+
+  async batch(method, params) {
+    return batchRPC(this.client, method, params)
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = RPCSync
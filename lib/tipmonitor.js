@@ -0,0 +1,361 @@
+/*!
+ * tipmonitor.js - cross-check the tip of the header index with peers
+ * Copyright (c) 2019-, Tierion Inc (MIT License).
+ * https://github.com/chainpoint/bitcoin-header-node
+ */
+
+'use strict'
+
+const assert = require('bsert')
+const EventEmitter = require('events')
+const { ChainEntry } = require('bcoin')
+
+/**
+ * Tip Monitor
+ * The pool syncs from a single loader peer, so a node that is only connected
+ * to peers on a stale or fake chain (eclipsed) has no way to notice. Once the
+ * node is synced, the monitor periodically sends `getheaders` with the header
+ * index's locator to every outbound peer other than the loader and compares
+ * the headers they send with the index. Peers more than `threshold` blocks behind or on a
+ * divergent branch with less work are disconnected so the pool connects
+ * to others. Peers ahead of the index or with more work on another branch
+ * are flagged, since the node isn't following the best chain they know of.
+ * @extends EventEmitter
+ */
+
+class TipMonitor extends EventEmitter {
+  /**
+   * Create a tip monitor
+   * @constructor
+   * @param {Object} options
+   */
+
+  constructor(options) {
+    super()
+
+    assert(options && typeof options === 'object', 'Tip monitor requires options')
+    assert(options.headerindex, 'Tip monitor requires a header index')
+    assert(options.pool, 'Tip monitor requires a pool')
+
+    this.logger = options.logger ? options.logger.context('tipmonitor') : options.headerindex.logger
+    this.network = options.headerindex.network
+    this.headerindex = options.headerindex
+    this.pool = options.pool
+    this.chain = options.pool.chain
+
+    // ms between checks
+    this.interval = 5 * 60 * 1000
+    // ms to wait for a peer's headers
+    this.timeout = 30000
+    // number of blocks peers can be apart before they disagree
+    this.threshold = 3
+
+    if (options.interval != null) {
+      assert(Number.isSafeInteger(options.interval) && options.interval > 0)
+      this.interval = options.interval
+    }
+
+    if (options.timeout != null) {
+      assert(Number.isSafeInteger(options.timeout) && options.timeout > 0)
+      this.timeout = options.timeout
+    }
+
+    if (options.threshold != null) {
+      assert(Number.isSafeInteger(options.threshold) && options.threshold >= 0)
+      this.threshold = options.threshold
+    }
+
+    this.timer = null
+    this.checking = null
+    this.lastCheck = -1
+    this.results = []
+  }
+
+  /**
+   * Start checking peers on an interval
+   */
+
+  open() {
+    assert(!this.timer, 'Tip monitor is already open')
+    this.timer = setInterval(() => this.check(), this.interval)
+  }
+
+  /**
+   * Stop checking peers and wait for a running check to finish
+   * @returns {Promise}
+   */
+
+  async close() {
+    clearInterval(this.timer)
+    this.timer = null
+    await this.checking
+  }
+
+  /**
+   * Get the peer consensus from the last check. Peers that timed out or sent
+   * invalid headers neither agree nor disagree. `flagged` is true if any peer
+   * has a chain with more work than the index
+   * @returns {Object}
+   */
+
+  getStatus() {
+    const count = status => this.results.filter(result => result.status === status).length
+    const agreeing = count('synced')
+    const disagreeing = count('ahead') + count('behind') + count('divergent') + count('better')
+
+    return {
+      lastCheck: this.lastCheck,
+      height: this.headerindex.height,
+      threshold: this.threshold,
+      peers: this.results.length,
+      agreeing,
+      disagreeing,
+      flagged: count('ahead') + count('better') > 0,
+      results: this.results
+    }
+  }
+
+  /**
+   * Check the tip of every outbound peer. Checks are skipped until
+   * the chain is synced and don't overlap
+   * @returns {Promise} - Returns Object status of the check or null if it was skipped
+   */
+
+  async check() {
+    if (this.checking || !this.chain.synced) return null
+
+    this.checking = this._check()
+    try {
+      return await this.checking
+    } catch (e) {
+      this.emit('error', e)
+      return null
+    } finally {
+      this.checking = null
+    }
+  }
+
+  async _check() {
+    const locator = await this.headerindex.getLocator()
+    const peers = []
+
+    for (let peer = this.pool.peers.head(); peer; peer = peer.next) {
+      // the loader is skipped since the pool can't tell its sync
+      // headers apart from the response to a tip check
+      if (peer === this.pool.peers.load) continue
+      if (peer.outbound && peer.handshake) peers.push(peer)
+    }
+
+    const results = await Promise.all(peers.map(peer => this.checkPeer(peer, locator)))
+
+    this.results = results
+    this.lastCheck = Date.now()
+
+    const status = this.getStatus()
+
+    if (status.flagged) {
+      this.logger.warning(
+        'Peers disagree with the tip at %d: %d of %d peers have a chain with more work.',
+        status.height,
+        results.filter(result => result.status === 'ahead' || result.status === 'better').length,
+        results.length
+      )
+      this.emit('disagreement', status)
+    } else {
+      this.logger.debug('%d of %d peers agree with the tip at %d.', status.agreeing, status.peers, status.height)
+    }
+
+    return status
+  }
+
+  /**
+   * Request a peer's headers after the locator and compare them with the index
+   * @private
+   * @param {Peer} peer
+   * @param {Hash[]} locator
+   * @returns {Promise} - Returns Object with the peer's status
+   */
+
+  async checkPeer(peer, locator) {
+    const result = {
+      id: peer.id,
+      hostname: peer.hostname(),
+      height: -1,
+      status: 'unknown'
+    }
+
+    let headers
+    try {
+      headers = await this.requestHeaders(peer, locator)
+    } catch (e) {
+      this.logger.debug('Could not check the tip of %s: %s', peer.hostname(), e.message)
+      result.status = 'timeout'
+      return result
+    }
+
+    try {
+      const { status, height } = await this.compare(peer, headers)
+      result.status = status
+      result.height = height
+    } catch (e) {
+      // the headers don't connect to the index or have invalid proof of work
+      this.logger.warning('Peer %s sent invalid headers: %s', peer.hostname(), e.message)
+      result.status = 'invalid'
+      peer.increaseBan(100)
+      return result
+    }
+
+    if (result.status === 'behind' || result.status === 'divergent') {
+      this.logger.info('Disconnecting %s with a %s chain at %d.', peer.hostname(), result.status, result.height)
+      peer.destroy()
+    }
+
+    return result
+  }
+
+  /**
+   * Compare the headers a peer sent for the locator with the index.
+   * A peer that sends no headers is at one of the locator's hashes, which
+   * is assumed to be the tip unless the peer announced a lower height
+   * @private
+   * @param {Peer} peer
+   * @param {Headers[]} headers
+   * @returns {Promise} - Returns Object with the peer's height and status
+   */
+
+  async compare(peer, headers) {
+    const tip = this.headerindex.height
+
+    if (!headers.length) {
+      const height = peer.bestHeight >= 0 ? Math.min(peer.bestHeight, tip) : tip
+      return { height, status: tip - height > this.threshold ? 'behind' : 'synced' }
+    }
+
+    const prevBlock = headers[0].prevBlock
+    let fork = prevBlock.equals(this.network.genesis.hash) ? 0 : await this.headerindex.getHeightByHash(prevBlock)
+    if (fork == null) throw new Error(`Headers do not connect to the index at ${headers[0].rhash()}`)
+
+    // skip the headers that are already in the index
+    let index = 0
+    for (; index < headers.length && fork < tip; index++) {
+      const hash = await this.headerindex.getHash(fork + 1)
+      if (!hash || !hash.equals(headers[index].hash())) break
+      fork++
+    }
+
+    const branch = headers.slice(index)
+    const height = fork + branch.length
+
+    for (let i = 0; i < branch.length; i++) {
+      const prev = i === 0 ? await this.headerindex.getHash(fork) : branch[i - 1].hash()
+      if (!branch[i].prevBlock.equals(prev)) throw new Error(`Header ${branch[i].rhash()} does not connect`)
+      if (!branch[i].verify()) throw new Error(`Header ${branch[i].rhash()} has invalid proof of work`)
+    }
+
+    // the peer's tip is in the index
+    if (!branch.length) return { height, status: tip - height > this.threshold ? 'behind' : 'synced' }
+
+    // the peer's chain extends the index
+    if (fork === tip) return { height, status: height - tip > this.threshold ? 'ahead' : 'synced' }
+
+    // the peer is on another branch. Competing tips are common
+    // so short branches are only flagged if they have more work
+    const work = getWork(branch)
+    const ours = getWork(await this.getHeaders(fork + 1, tip))
+
+    if (work.gt(ours)) return { height, status: 'better' }
+
+    return { height, status: tip - fork > this.threshold ? 'divergent' : 'synced' }
+  }
+
+  /**
+   * Get the headers in the index for a range of heights
+   * @private
+   * @param {Number} start
+   * @param {Number} end
+   * @returns {Promise} - Returns Headers[]
+   */
+
+  async getHeaders(start, end) {
+    const headers = []
+    for (let height = start; height <= end; height++) {
+      const header = await this.headerindex.getHeader(height)
+      if (!header) throw new Error(`Missing header at ${height}`)
+      headers.push(header)
+    }
+    return headers
+  }
+
+  /**
+   * Send `getheaders` to a peer and wait for its `headers`
+   * @private
+   * @param {Peer} peer
+   * @param {Hash[]} locator
+   * @returns {Promise} - Returns Headers[]
+   */
+
+  requestHeaders(peer, locator) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timer)
+        this.pool.tipChecks.delete(peer)
+        peer.removeListener('packet', onPacket)
+        peer.removeListener('close', onClose)
+      }
+
+      const onPacket = packet => {
+        if (packet.cmd !== 'headers') return
+        cleanup()
+        resolve(packet.items)
+      }
+
+      const onClose = () => {
+        cleanup()
+        reject(new Error('Peer disconnected'))
+      }
+
+      const timer = setTimeout(() => {
+        cleanup()
+        reject(new Error('Timed out waiting for headers'))
+      }, this.timeout)
+
+      // the pool leaves the response to the monitor
+      this.pool.tipChecks.add(peer)
+      peer.on('packet', onPacket)
+      peer.once('close', onClose)
+      peer.sendGetHeaders(locator)
+    })
+  }
+}
+
+/*
+ * Helpers
+ */
+
+/**
+ * Get the total proof of work of a list of headers
+ * @private
+ * @param {Headers[]} headers
+ * @returns {BN}
+ */
+
+function getWork(headers) {
+  assert(headers.length > 0)
+
+  const entry = new ChainEntry()
+  let work = null
+
+  for (const header of headers) {
+    entry.bits = header.bits
+    const proof = entry.getProof()
+    work = work ? work.iadd(proof) : proof
+  }
+
+  return work
+}
+
+/*
+ * Expose
+ */
+
+module.exports = TipMonitor
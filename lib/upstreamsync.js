@@ -0,0 +1,300 @@
+/*!
+ * upstreamsync.js - sync headers from a trusted upstream instead of peers
+ * Copyright (c) 2019-, Tierion Inc (MIT License).
+ * https://github.com/chainpoint/bitcoin-header-node
+ */
+
+'use strict'
+
+const assert = require('bsert')
+const EventEmitter = require('events')
+
+/**
+ * Upstream Sync
+ * Base class for syncing headers from a single trusted source instead of
+ * from peers. Headers are added to the chain one at a time, so they are
+ * validated and indexed the same way as headers from peers. The upstream
+ * is polled for a new tip, and when its chain no longer matches the header
+ * index the headers after the fork are added to the chain, which
+ * reorganizes once the new branch has more work.
+ * Implementations need to override `getSource`, `getTipHeight`,
+ * `getHash` and `getHeaders`.
+ * @extends EventEmitter
+ */
+
+class UpstreamSync extends EventEmitter {
+  /**
+   * Create an upstream sync
+   * @constructor
+   * @param {Object} options
+   */
+
+  constructor(options) {
+    super()
+
+    assert(options && typeof options === 'object', 'Upstream sync requires options')
+    assert(options.headerindex, 'Upstream sync requires a header index')
+
+    this.network = options.headerindex.network
+    this.logger = options.headerindex.logger
+    this.headerindex = options.headerindex
+    this.chain = options.chain || options.headerindex.chain
+
+    // ms between polls for a new tip
+    this.interval = 10000
+    // max number of headers requested at once
+    this.batchSize = 500
+
+    if (options.interval != null) {
+      assert(Number.isSafeInteger(options.interval) && options.interval > 0)
+      this.interval = options.interval
+    }
+
+    if (options.batchSize != null) {
+      assert(Number.isSafeInteger(options.batchSize) && options.batchSize > 0)
+      this.batchSize = options.batchSize
+    }
+
+    this.running = false
+    this.notified = false
+    this.job = null
+    this.timer = null
+    this.wake = null
+    this.lastPoll = -1
+    this.upstreamHeight = -1
+    this.reorgs = 0
+  }
+
+  /**
+   * Get a description of the upstream without any credentials
+   * @returns {String}
+   */
+
+  getSource() {
+    throw new Error('Upstream sync has not implemented getSource')
+  }
+
+  /**
+   * Get the height of the upstream tip
+   * @returns {Promise} - Returns Number
+   */
+
+  async getTipHeight() {
+    throw new Error(`Upstream sync from ${this.getSource()} has not implemented getTipHeight`)
+  }
+
+  /**
+   * Get the hash of the upstream block at a height
+   * @param {Number} height
+   * @returns {Promise} - Returns Hash or null
+   */
+
+  async getHash() {
+    throw new Error(`Upstream sync from ${this.getSource()} has not implemented getHash`)
+  }
+
+  /**
+   * Get a range of headers from the upstream
+   * @param {Number} start
+   * @param {Number} end
+   * @returns {Promise} - Returns {@link Headers}[]
+   */
+
+  async getHeaders() {
+    throw new Error(`Upstream sync from ${this.getSource()} has not implemented getHeaders`)
+  }
+
+  /**
+   * Start polling the upstream
+   */
+
+  start() {
+    if (this.running) return
+    this.running = true
+    this.job = this.run()
+  }
+
+  /**
+   * Stop polling and wait for the current poll to finish
+   * @returns {Promise}
+   */
+
+  async stop() {
+    this.running = false
+    if (this.wake) this.wake()
+    await this.job
+    this.job = null
+  }
+
+  /**
+   * Sync again without waiting for the next poll,
+   * e.g. when the upstream announced a new tip
+   */
+
+  notify() {
+    this.notified = true
+    if (this.wake) this.wake()
+  }
+
+  /**
+   * Get the status of the sync
+   * @returns {Object}
+   */
+
+  getStatus() {
+    return {
+      running: this.running,
+      upstream: this.getSource(),
+      height: this.headerindex.height,
+      upstreamHeight: this.upstreamHeight,
+      lastPoll: this.lastPoll,
+      reorgs: this.reorgs
+    }
+  }
+
+  /**
+   * Sync on an interval until stopped. A failed sync is
+   * logged and tried again on the next poll
+   * @private
+   * @returns {Promise}
+   */
+
+  async run() {
+    this.logger.info('Syncing headers from %s', this.getSource())
+
+    while (this.running) {
+      this.notified = false
+
+      try {
+        await this.sync()
+      } catch (e) {
+        this.logger.warning('Could not sync headers from %s: %s', this.getSource(), e.message)
+      }
+
+      if (this.running && !this.notified) await this.sleep()
+    }
+  }
+
+  /**
+   * Add the headers from the upstream after the
+   * last height where its chain matches the header index
+   * @returns {Promise} - Returns Number the height of the header index
+   */
+
+  async sync() {
+    this.lastPoll = Date.now()
+
+    const best = await this.getTipHeight()
+    assert(Number.isSafeInteger(best) && best >= 0, `Invalid tip height from ${this.getSource()}`)
+    this.upstreamHeight = best
+
+    let height = await this.findFork(best)
+
+    if (height < Math.min(best, this.headerindex.height)) {
+      this.reorgs++
+      this.logger.warning('Upstream chain forked from the header index at height %d', height)
+    }
+
+    while (this.running && height < best) {
+      const end = Math.min(best, height + this.batchSize)
+      const headers = await this.getHeaders(height + 1, end)
+
+      checkHeaders(headers, height + 1, end)
+
+      for (const header of headers) await this.addHeader(header)
+
+      height = end
+      this.emit('progress', height)
+    }
+
+    return this.headerindex.height
+  }
+
+  /**
+   * Find the last height where the upstream chain matches the header index
+   * @private
+   * @param {Number} best - height of the upstream tip
+   * @returns {Promise} - Returns Number
+   */
+
+  async findFork(best) {
+    const lowest = this.headerindex.getLowestHeight()
+
+    for (let height = Math.min(best, this.headerindex.height); height >= lowest; height--) {
+      const hash = height === 0 ? this.network.genesis.hash : await this.headerindex.getHash(height)
+      const upstream = await this.getHash(height)
+
+      if (hash && upstream && hash.equals(upstream)) return height
+    }
+
+    throw new Error(`Upstream chain does not match the header index above height ${lowest}`)
+  }
+
+  /**
+   * Add a header to the chain, which validates it
+   * and emits the events the header index syncs from
+   * @private
+   * @param {Headers} header
+   * @returns {Promise}
+   */
+
+  async addHeader(header) {
+    let entry
+    try {
+      entry = await this.chain.add(header)
+    } catch (e) {
+      // headers of a branch the chain already has
+      if (e.type === 'VerifyError' && e.reason === 'duplicate') return
+      throw e
+    }
+
+    if (!entry) throw new Error(`Header ${header.rhash()} does not connect to the chain`)
+  }
+
+  /**
+   * Wait for the next poll. Resolves early if
+   * the sync is stopped or notified
+   * @private
+   * @returns {Promise}
+   */
+
+  sleep() {
+    return new Promise(resolve => {
+      this.wake = () => {
+        clearTimeout(this.timer)
+        this.timer = null
+        this.wake = null
+        resolve()
+      }
+      this.timer = setTimeout(this.wake, this.interval)
+    })
+  }
+}
+
+/*
+ * Helpers
+ */
+
+/**
+ * Check that headers from an upstream are the requested range and
+ * link to each other. The upstream chain can reorganize between requests
+ * @param {Headers[]} headers
+ * @param {Number} start
+ * @param {Number} end
+ */
+
+function checkHeaders(headers, start, end) {
+  if (headers.length !== end - start + 1)
+    throw new Error(`Expected ${end - start + 1} headers from ${start} but got ${headers.length}`)
+
+  for (let i = 1; i < headers.length; i++) {
+    if (!headers[i].prevBlock.equals(headers[i - 1].hash()))
+      throw new Error(`Upstream chain changed while downloading headers at ${start + i}`)
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = UpstreamSync
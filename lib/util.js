@@ -102,10 +102,82 @@ function convertBlockcypherMeta(meta) {
   return block
 }
 
+/**
+ * Convert the block data returned from an Esplora api
+ * to the bcoin JSON structure
+ * @param {Object} meta - esplora returned metadata for one block
+ * @returns {Object} block - the bcoin conforming block object
+ */
+function convertEsploraMeta(meta) {
+  const block = {}
+
+  block.hash = fromRev(meta.id)
+  block.version = meta.version
+  block.prevBlock = meta.previousblockhash ? fromRev(meta.previousblockhash) : Buffer.alloc(32, 0x00)
+  block.merkleRoot = fromRev(meta.merkle_root)
+  block.time = meta.timestamp
+  block.bits = meta.bits
+  block.nonce = meta.nonce
+  block.height = meta.height
+
+  return block
+}
+
+/**
+ * Decode a hex or base64 string
+ * @param {String} str
+ * @returns {Buffer}
+ */
+function fromHexOrBase64(str) {
+  assert(typeof str === 'string')
+
+  if (str.length % 2 === 0 && /^[0-9a-fA-F]*$/.test(str)) return Buffer.from(str, 'hex')
+
+  assert(/^[A-Za-z0-9+/]*={0,2}$/.test(str), 'String must be hex or base64')
+  return Buffer.from(str, 'base64')
+}
+
+/**
+ * Get a url for a client without any credentials
+ * @param {Client} client - bcurl client
+ * @returns {String}
+ */
+function sourceURL(client) {
+  return `${client.ssl ? 'https' : 'http'}://${client.host}:${client.port}${client.path}`
+}
+
+/**
+ * Call a JSON-RPC method with several sets of params in a single batch
+ * @param {Client} client - bcurl client
+ * @param {String} method
+ * @param {Array[]} params - params for each call
+ * @returns {Promise} - Returns Array of results in the same order as params
+ */
+async function batchRPC(client, method, params) {
+  const calls = params.map((items, id) => ({ jsonrpc: '1.0', id, method, params: items }))
+  const responses = await client.post('/', calls)
+
+  assert(Array.isArray(responses), `Upstream did not return a batch response for ${method}`)
+
+  const results = new Map()
+  for (const response of responses) results.set(response.id, response)
+
+  return calls.map(({ id }) => {
+    const response = results.get(id)
+    if (!response) throw new Error(`Upstream did not return a result for ${method}`)
+    if (response.error) throw new Error(`${method} failed: ${response.error.message}`)
+    return response.result
+  })
+}
+
 exports.revHex = revHex
 exports.fromRev = fromRev
 exports.getRemoteBlockEntries = getRemoteBlockEntries
 exports.convertBlockcypherMeta = convertBlockcypherMeta
+exports.convertEsploraMeta = convertEsploraMeta
 exports.now = now
+exports.fromHexOrBase64 = fromHexOrBase64
+exports.sourceURL = sourceURL
+exports.batchRPC = batchRPC
 
 module.exports = exports
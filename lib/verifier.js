@@ -0,0 +1,287 @@
+/*!
+ * verifier.js - verify proofs against the header index
+ * Copyright (c) 2019-, Tierion Inc (MIT License).
+ * https://github.com/chainpoint/bitcoin-header-node
+ */
+
+'use strict'
+
+const assert = require('bsert')
+const { MerkleBlock } = require('bcoin')
+const { revHex } = require('./util')
+const chainpoint = require('./chainpoint')
+const ots = require('./ots')
+
+/**
+ * Proof Verifier
+ * Checks inclusion proofs against the headers
+ * stored in the header index
+ */
+
+class ProofVerifier {
+  /**
+   * Create a proof verifier
+   * @constructor
+   * @param {Object} options
+   */
+
+  constructor(options) {
+    assert(options && options.headerindex, 'Proof verifier requires a header index')
+
+    this.headerindex = options.headerindex
+    this.network = options.headerindex.network
+  }
+
+  /**
+   * Verify a merkle proof in the format returned by bitcoind's `gettxoutproof`
+   * (a serialized {@link MerkleBlock}). The merkle branch is checked against
+   * the merkle root of the indexed header at the given height or hash,
+   * or for the proof's block hash if neither is given
+   * @param {Buffer} raw - serialized merkle block
+   * @param {Object} [options]
+   * @param {Number} [options.height]
+   * @param {Buffer} [options.hash]
+   * @returns {Promise} - Returns Object[] with the txid, block hash, height and confirmations
+   * of each tx in the proof. The list is empty if the proof doesn't match the header
+   */
+
+  async verifyMerkleProof(raw, options = {}) {
+    if (!Buffer.isBuffer(raw)) throw new ProofError('Merkle proof must be a buffer')
+
+    let block
+    try {
+      block = MerkleBlock.fromRaw(raw)
+    } catch (e) {
+      throw new ProofError(`Could not decode merkle proof: ${e.message}`)
+    }
+
+    const height = await this.getProofHeight(block.hash(), options)
+    const header = await this.headerindex.getHeader(height)
+
+    if (!header) throw new ProofError(`Block at height ${height} not found in header index`)
+
+    let tree
+    try {
+      tree = block.extractTree()
+    } catch (e) {
+      throw new ProofError(`Invalid merkle proof: ${e.message}`)
+    }
+
+    if (!tree.root.equals(header.merkleRoot)) return []
+
+    const blockhash = revHex(await this.headerindex.getHash(height))
+    const confirmations = this.headerindex.height - height + 1
+
+    return tree.matches.map(hash => ({
+      txid: revHex(hash),
+      blockhash,
+      height,
+      confirmations
+    }))
+  }
+
+  /**
+   * Verify the bitcoin anchors of a Chainpoint v3 or v4 proof. The operations
+   * of each branch are replayed from the proof's hash to get the merkle root of
+   * the anchor block, which is compared to the indexed header at the anchor height
+   * @param {Object|String|Buffer} input - JSON proof or base64 binary proof
+   * @returns {Promise} - Returns Object with the proof's hash, version and the result for each anchor
+   */
+
+  async verifyChainpoint(input) {
+    let proof, anchors
+    try {
+      proof = chainpoint.parse(input)
+      anchors = chainpoint.getAnchors(proof)
+    } catch (e) {
+      throw new ProofError(`Invalid Chainpoint proof: ${e.message}`)
+    }
+
+    const results = []
+    for (const anchor of anchors) {
+      if (anchor.type !== 'btc' && anchor.type !== 'tbtc') continue
+      results.push(await this.verifyAnchor(anchor))
+    }
+
+    return {
+      hash: proof.hash,
+      version: proof.version,
+      anchors: results
+    }
+  }
+
+  /**
+   * Check a bitcoin anchor's calculated merkle root against the indexed header
+   * @private
+   * @param {Object} anchor - anchor from {@link chainpoint.getAnchors}
+   * @returns {Promise} - Returns Object with the verified status and confirmations.
+   * Anchors that can't be verified include a reason
+   */
+
+  async verifyAnchor(anchor) {
+    const result = {
+      branch: anchor.label,
+      type: anchor.type,
+      anchorId: anchor.anchorId,
+      height: null,
+      merkleRoot: revHex(anchor.value),
+      verified: false,
+      confirmations: 0
+    }
+
+    const height = Number(anchor.anchorId)
+    const mainnet = this.network.type === 'main'
+
+    if (!/^\d+$/.test(anchor.anchorId) || !Number.isSafeInteger(height)) {
+      result.reason = 'Anchor id is not a block height'
+      return result
+    }
+
+    result.height = height
+
+    if ((anchor.type === 'btc') !== mainnet) {
+      result.reason = `Anchor type ${anchor.type} is not for ${this.network.type}`
+      return result
+    }
+
+    const header = height <= this.headerindex.height ? await this.headerindex.getHeader(height) : null
+
+    if (!header) {
+      result.reason = 'Header not found in header index'
+      return result
+    }
+
+    if (!header.merkleRoot.equals(anchor.value)) {
+      result.reason = 'Merkle root does not match the header'
+      return result
+    }
+
+    result.verified = true
+    result.confirmations = this.headerindex.height - height + 1
+
+    return result
+  }
+
+  /**
+   * Verify the bitcoin attestations of an OpenTimestamps (.ots) proof. The commitment
+   * operations are replayed from the file's digest and the resulting merkle root of each
+   * bitcoin attestation is compared to the indexed header at the attested height
+   * @param {Buffer} raw - detached timestamp file
+   * @returns {Promise} - Returns Object with the file's digest and the result for each attestation
+   */
+
+  async verifyOTS(raw) {
+    let proof
+    try {
+      proof = ots.parse(raw)
+    } catch (e) {
+      throw new ProofError(`Invalid OpenTimestamps proof: ${e.message}`)
+    }
+
+    const results = []
+    for (const attestation of ots.getAttestations(proof.timestamp))
+      results.push(await this.verifyAttestation(attestation))
+
+    return {
+      hashOp: proof.hashOp,
+      digest: proof.digest.toString('hex'),
+      attestations: results
+    }
+  }
+
+  /**
+   * Check an OpenTimestamps attestation against the indexed header.
+   * Only bitcoin attestations can be verified
+   * @private
+   * @param {Object} attestation - attestation from {@link ots.getAttestations}
+   * @returns {Promise} - Returns Object with the verified status, attested time from the
+   * header and confirmations. Attestations that can't be verified include a reason
+   */
+
+  async verifyAttestation(attestation) {
+    const result = {
+      type: attestation.type,
+      verified: false,
+      confirmations: 0
+    }
+
+    if (attestation.type === 'pending') result.uri = attestation.uri
+
+    if (attestation.type !== 'bitcoin') {
+      result.reason = `Can not verify ${attestation.type} attestations`
+      return result
+    }
+
+    const { height, msg } = attestation
+
+    result.height = height
+    result.merkleRoot = msg.length === 32 ? revHex(msg) : msg.toString('hex')
+    result.time = null
+
+    const header = height <= this.headerindex.height ? await this.headerindex.getHeader(height) : null
+
+    if (!header) {
+      result.reason = 'Header not found in header index'
+      return result
+    }
+
+    if (!header.merkleRoot.equals(msg)) {
+      result.reason = 'Merkle root does not match the header'
+      return result
+    }
+
+    result.verified = true
+    result.time = header.time
+    result.confirmations = this.headerindex.height - height + 1
+
+    return result
+  }
+
+  /**
+   * Get the height of the header a proof should be checked against
+   * @private
+   * @param {Buffer} hash - block hash from the proof
+   * @param {Object} options
+   * @returns {Promise} - Returns Number
+   */
+
+  async getProofHeight(hash, options) {
+    if (options.height != null) {
+      if (!Number.isSafeInteger(options.height) || options.height < 0)
+        throw new ProofError('Height must be a non-negative integer')
+      if (options.height > this.headerindex.height) throw new ProofError(`Height ${options.height} is after the tip`)
+      return options.height
+    }
+
+    if (options.hash != null) hash = options.hash
+
+    const height = await this.headerindex.getHeightByHash(hash)
+
+    if (height == null) throw new ProofError(`Block ${revHex(hash)} not found in header index`)
+
+    return height
+  }
+}
+
+/**
+ * Proof Error
+ * Thrown for proofs that are malformed or can't be checked against the
+ * header index, as opposed to errors reading the header index itself
+ * @extends Error
+ */
+
+class ProofError extends Error {
+  constructor(message) {
+    super(message)
+    this.type = 'ProofError'
+    this.name = 'ProofError'
+  }
+}
+
+/*
+ * Expose
+ */
+
+ProofVerifier.ProofError = ProofError
+
+module.exports = ProofVerifier
@@ -0,0 +1,196 @@
+/*!
+ * watchdog.js - detect a stale tip and recover the sync
+ * Copyright (c) 2019-, Tierion Inc (MIT License).
+ * https://github.com/chainpoint/bitcoin-header-node
+ */
+
+'use strict'
+
+const assert = require('bsert')
+const EventEmitter = require('events')
+
+/**
+ * Stall Watchdog
+ * The pool keeps waiting on its loader even if the loader (or every peer)
+ * stopped relaying blocks. While the pool is syncing, the watchdog checks if
+ * the tip of the header index has moved since the last check. If it hasn't,
+ * and peers announced a higher height or the tip's time is older than
+ * `maxTipAge` compared to network-adjusted time, the sync is stalled.
+ * The watchdog then resends the sync to every peer with `resync(true)`,
+ * disconnects the loader so another peer is used and emits `stall`.
+ * @extends EventEmitter
+ */
+
+class StallWatchdog extends EventEmitter {
+  /**
+   * Create a stall watchdog
+   * @constructor
+   * @param {Object} options
+   */
+
+  constructor(options) {
+    super()
+
+    assert(options && typeof options === 'object', 'Stall watchdog requires options')
+    assert(options.headerindex, 'Stall watchdog requires a header index')
+    assert(options.pool, 'Stall watchdog requires a pool')
+
+    this.network = options.headerindex.network
+    this.logger = options.logger ? options.logger.context('watchdog') : options.headerindex.logger
+    this.headerindex = options.headerindex
+    this.pool = options.pool
+
+    // ms between checks
+    this.interval = 10 * 60 * 1000
+    // seconds the tip can be behind adjusted time before it is stale.
+    // there is a gap of 90 minutes between blocks about once every two months
+    this.maxTipAge = 90 * 60
+
+    if (options.interval != null) {
+      assert(Number.isSafeInteger(options.interval) && options.interval > 0)
+      this.interval = options.interval
+    }
+
+    if (options.maxTipAge != null) {
+      assert(Number.isSafeInteger(options.maxTipAge) && options.maxTipAge > 0)
+      this.maxTipAge = options.maxTipAge
+    }
+
+    this.timer = null
+    this.checking = null
+    this.lastCheck = -1
+    this.lastHeight = -1
+    this.stall = null
+  }
+
+  /**
+   * Start checking the tip on an interval
+   */
+
+  open() {
+    assert(!this.timer, 'Stall watchdog is already open')
+    this.timer = setInterval(() => this.check(), this.interval)
+  }
+
+  /**
+   * Stop checking the tip and wait for a running check to finish
+   * @returns {Promise}
+   */
+
+  async close() {
+    clearInterval(this.timer)
+    this.timer = null
+    await this.checking
+  }
+
+  /**
+   * Get the stall state. `since` is the time in ms the sync stalled and
+   * `recoveries` the number of times the sync was restarted since then
+   * @returns {Object}
+   */
+
+  getStatus() {
+    return {
+      stalled: this.stall != null,
+      lastCheck: this.lastCheck,
+      maxTipAge: this.maxTipAge,
+      ...this.stall
+    }
+  }
+
+  /**
+   * Check the tip and restart the sync if it is stale.
+   * Checks are skipped if the pool isn't syncing and don't overlap
+   * @returns {Promise} - Returns Object status or null if the check was skipped
+   */
+
+  async check() {
+    if (this.checking || !this.pool.syncing) return null
+
+    this.checking = this._check()
+    try {
+      return await this.checking
+    } catch (e) {
+      this.emit('error', e)
+      return null
+    } finally {
+      this.checking = null
+    }
+  }
+
+  async _check() {
+    const height = this.headerindex.height
+    const header = await this.headerindex.getHeader(height)
+    assert(header, `Missing header for the tip at ${height}`)
+
+    const tipAge = this.network.now() - header.time
+    const bestHeight = this.getBestHeight()
+
+    // the tip gets a full interval to move before it can be stale
+    const moved = height > this.lastHeight
+
+    this.lastHeight = height
+    this.lastCheck = Date.now()
+
+    let reason = null
+    if (!moved && bestHeight > height) reason = `peers announced height ${bestHeight}`
+    else if (!moved && tipAge > this.maxTipAge) reason = `tip is ${tipAge} seconds old`
+
+    if (!reason) {
+      if (this.stall) this.logger.info('Sync recovered at height %d.', height)
+      this.stall = null
+      return this.getStatus()
+    }
+
+    this.stall = {
+      since: this.stall ? this.stall.since : this.lastCheck,
+      height,
+      bestHeight,
+      tipAge,
+      reason,
+      recoveries: this.stall ? this.stall.recoveries + 1 : 1
+    }
+
+    this.logger.warning('Sync stalled at height %d (%s). Resyncing with a new loader.', height, reason)
+
+    await this.recover()
+
+    const status = this.getStatus()
+    this.emit('stall', status)
+
+    return status
+  }
+
+  /**
+   * Resend the sync to every peer and disconnect the
+   * loader so that the pool syncs from another peer
+   * @private
+   * @returns {Promise}
+   */
+
+  async recover() {
+    await this.pool.resync(true)
+    this.pool.rotateLoader()
+  }
+
+  /**
+   * Get the best height announced by the outbound peers
+   * @returns {Number} -1 if no peer announced a height
+   */
+
+  getBestHeight() {
+    let best = -1
+
+    for (let peer = this.pool.peers.head(); peer; peer = peer.next) {
+      if (peer.outbound && peer.handshake) best = Math.max(best, peer.bestHeight)
+    }
+
+    return best
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = StallWatchdog
@@ -0,0 +1,115 @@
+'use strict'
+
+const assert = require('bsert')
+const zlib = require('zlib')
+const crypto = require('crypto')
+const chainpoint = require('../lib/chainpoint')
+
+const sha256 = data =>
+  crypto
+    .createHash('sha256')
+    .update(data)
+    .digest()
+
+// minimal msgpack encoder for the types used in a proof
+function encodeMsgpack(value) {
+  if (Array.isArray(value)) return Buffer.concat([Buffer.from([0x90 | value.length]), ...value.map(encodeMsgpack)])
+
+  if (typeof value === 'object') {
+    const keys = Object.keys(value)
+    const items = keys.map(key => Buffer.concat([encodeMsgpack(key), encodeMsgpack(value[key])]))
+    return Buffer.concat([Buffer.from([0x80 | keys.length]), ...items])
+  }
+
+  const data = Buffer.from(value, 'utf8')
+  assert(data.length < 256)
+  return Buffer.concat([Buffer.from([0xd9, data.length]), data])
+}
+
+describe('chainpoint', () => {
+  let proof, calRoot, btcRoot
+
+  before(() => {
+    const hash = sha256(Buffer.from('chainpoint')).toString('hex')
+    const right = sha256(Buffer.from('right')).toString('hex')
+    const left = sha256(Buffer.from('left')).toString('hex')
+
+    // values are prepended or appended as hex if they are hex and as utf8 otherwise
+    calRoot = sha256(
+      Buffer.concat([
+        sha256(Buffer.concat([Buffer.from('node_id:1234'), Buffer.from(hash, 'hex')])),
+        Buffer.from(right, 'hex')
+      ])
+    )
+    btcRoot = sha256(sha256(Buffer.concat([Buffer.from(left, 'hex'), calRoot])))
+
+    proof = {
+      '@context': 'https://w3id.org/chainpoint/v3',
+      type: 'Chainpoint',
+      hash,
+      branches: [
+        {
+          label: 'cal_anchor_branch',
+          ops: [
+            { l: 'node_id:1234' },
+            { op: 'sha-256' },
+            { r: right },
+            { op: 'sha-256' },
+            { anchors: [{ type: 'cal', anchor_id: '1000', uris: ['https://a.chainpoint.org/calendar/1000/hash'] }] }
+          ],
+          branches: [
+            {
+              label: 'btc_anchor_branch',
+              ops: [{ l: left }, { op: 'sha-256-x2' }, { anchors: [{ type: 'tbtc', anchor_id: '10' }] }]
+            }
+          ]
+        }
+      ]
+    }
+  })
+
+  it('should replay the operations of each branch to its anchors', () => {
+    const anchors = chainpoint.getAnchors(chainpoint.parse(proof))
+
+    assert.equal(anchors.length, 2)
+    assert.deepEqual(
+      anchors.map(anchor => [anchor.label, anchor.type, anchor.anchorId]),
+      [
+        ['cal_anchor_branch', 'cal', '1000'],
+        ['btc_anchor_branch', 'tbtc', '10']
+      ]
+    )
+    assert.bufferEqual(anchors[0].value, calRoot)
+    assert.bufferEqual(anchors[1].value, btcRoot)
+  })
+
+  it('should parse v3 and v4 proofs as JSON and base64 binary', () => {
+    const json = chainpoint.parse(JSON.stringify(proof))
+    assert.equal(json.version, 3)
+
+    const v4 = { ...proof, '@context': 'https://w3id.org/chainpoint/v4' }
+    const binary = zlib.deflateSync(encodeMsgpack(v4)).toString('base64')
+    const parsed = chainpoint.parse(binary)
+
+    assert.equal(parsed.version, 4)
+    assert.deepEqual(parsed.branches, proof.branches)
+    assert.bufferEqual(chainpoint.getAnchors(parsed)[1].value, btcRoot)
+  })
+
+  it('should reject unsupported proofs and operations', () => {
+    assert.throws(() => chainpoint.parse({ ...proof, '@context': 'https://w3id.org/chainpoint/v2' }), /Unsupported/)
+    assert.throws(() => chainpoint.parse({ ...proof, type: 'Other' }), /Not a Chainpoint proof/)
+    assert.throws(() => chainpoint.parse('bm90IGEgcHJvb2Y='), /Could not inflate/)
+
+    // binary proofs that inflate to more than a proof could be are rejected
+    const bomb = zlib.deflateSync(Buffer.alloc(8 << 20))
+    assert(bomb.length < 100000)
+    assert.throws(() => chainpoint.parse(bomb), /Could not inflate/)
+
+    const polluted = JSON.parse(`{"__proto__": {"type": "Chainpoint"}}`)
+    assert.throws(() => chainpoint.decodeBinary(zlib.deflateSync(encodeMsgpack(polluted))), /__proto__/)
+
+    const bad = { ...proof, branches: [{ ops: [{ op: 'md5' }] }] }
+    assert.throws(() => chainpoint.getAnchors(chainpoint.parse(bad)), /Unsupported Chainpoint hash operation/)
+  })
+})
@@ -0,0 +1,212 @@
+'use strict'
+
+const assert = require('bsert')
+const EventEmitter = require('events')
+const bio = require('bufio')
+const hash256 = require('bcrypto/lib/hash256')
+const { protocol } = require('bcoin')
+
+const FilterHeaderIndexer = require('../lib/filterheaderindexer')
+const { revHex } = require('../lib/util')
+
+const { Network } = protocol
+const network = Network.get('regtest')
+
+const logger = { info() {}, debug() {}, warning() {} }
+
+/**
+ * Header index with a chain of made up block hashes
+ */
+
+class MockHeaderIndex extends EventEmitter {
+  constructor(height) {
+    super()
+    this.network = network
+    this.logger = logger
+    this.hashes = [network.genesis.hash]
+    this.height = 0
+    this.extend(height)
+  }
+
+  extend(height, seed = 0) {
+    for (let i = this.height + 1; i <= height; i++) this.hashes[i] = hash256.digest(Buffer.from(`${seed}:${i}`))
+    this.height = height
+  }
+
+  reorg(forkHeight, height) {
+    this.hashes.length = forkHeight + 1
+    this.height = forkHeight
+    this.extend(height, 1)
+    this.emit('reorganize', null, null, { height: forkHeight })
+  }
+
+  getLowestHeight() {
+    return 0
+  }
+
+  async getHash(height) {
+    return height <= this.height ? this.hashes[height] : null
+  }
+
+  async getHeightByHash(hash) {
+    const height = this.hashes.findIndex(item => item.equals(hash))
+    return height === -1 ? null : height
+  }
+}
+
+/**
+ * Peer that answers getcfheaders and getcfcheckpt
+ * for the chain in a header index
+ */
+
+class MockPeer extends EventEmitter {
+  constructor(headerindex, name) {
+    super()
+    this.headerindex = headerindex
+    this.name = name
+    this.handshake = true
+    this.outbound = true
+    this.services = 1 << 6
+    this.next = null
+    this.requests = []
+    // send a wrong filter hash at a height in cfheaders
+    this.badHeight = -1
+  }
+
+  hostname() {
+    return this.name
+  }
+
+  getFilterHash(height) {
+    const hash = this.headerindex.hashes[height]
+    return height === this.badHeight ? hash256.digest(hash) : hash
+  }
+
+  // the filter hash of each block is its block hash
+  getHeader(height) {
+    let header = Buffer.alloc(32, 0x00)
+    for (let i = 0; i <= height; i++) header = hash256.root(this.headerindex.hashes[i], header)
+    return header
+  }
+
+  sendRaw(cmd, body) {
+    const br = bio.read(body)
+    const type = br.readU8()
+    const start = cmd === 'getcfheaders' ? br.readU32() : 0
+    const stopHash = br.readHash()
+    const stopHeight = this.headerindex.hashes.findIndex(hash => hash.equals(stopHash))
+
+    this.requests.push([cmd, start, stopHeight])
+
+    const bw = bio.write(1 << 20)
+    bw.writeU8(type)
+    bw.writeHash(stopHash)
+
+    if (cmd === 'getcfheaders') {
+      bw.writeHash(start ? this.getHeader(start - 1) : Buffer.alloc(32, 0x00))
+      bw.writeVarint(stopHeight - start + 1)
+      for (let i = start; i <= stopHeight; i++) bw.writeHash(this.getFilterHash(i))
+    } else {
+      const count = Math.floor(stopHeight / 1000)
+      bw.writeVarint(count)
+      for (let i = 1; i <= count; i++) bw.writeHash(this.getHeader(i * 1000))
+    }
+
+    const raw = bw.slice()
+    setImmediate(() => this.emit('packet', { cmd: cmd.slice(3), toRaw: () => raw }))
+  }
+}
+
+function createPool(peers) {
+  for (let i = 0; i < peers.length - 1; i++) peers[i].next = peers[i + 1]
+  return { peers: { head: () => peers[0] || null } }
+}
+
+async function waitForHeight(indexer, height) {
+  while (indexer.height < height) await new Promise(resolve => indexer.once('progress', resolve))
+}
+
+describe('FilterHeaderIndexer', () => {
+  let headerindex, peers, indexer
+
+  beforeEach(async () => {
+    headerindex = new MockHeaderIndex(2500)
+    peers = [new MockPeer(headerindex, 'peer1'), new MockPeer(headerindex, 'peer2')]
+    indexer = new FilterHeaderIndexer({
+      headerindex,
+      pool: createPool(peers),
+      memory: true,
+      timeout: 1000,
+      retryInterval: 50
+    })
+  })
+
+  afterEach(async () => {
+    await indexer.close()
+  })
+
+  it('should sync filter headers in segments that end at the checkpoints', async () => {
+    await indexer.open()
+    await waitForHeight(indexer, 2500)
+
+    const segments = peers[0].requests.filter(([cmd]) => cmd === 'getcfheaders').map(request => request.slice(1))
+    assert.deepEqual(segments, [
+      [0, 1000],
+      [1001, 2000],
+      [2001, 2500]
+    ])
+
+    const record = await indexer.getFilterHeader(1500)
+    assert.equal(record.height, 1500)
+    assert.bufferEqual(record.blockHash, headerindex.hashes[1500])
+    assert.bufferEqual(record.filterHash, peers[0].getFilterHash(1500))
+    assert.bufferEqual(record.header, peers[0].getHeader(1500))
+
+    const byHash = await indexer.getFilterHeader(headerindex.hashes[1500])
+    assert.deepEqual(byHash.toJSON(), {
+      height: 1500,
+      blockhash: revHex(headerindex.hashes[1500]),
+      filterhash: revHex(record.filterHash),
+      header: revHex(record.header)
+    })
+
+    assert.strictEqual(await indexer.getFilterHeader(2501), null)
+  })
+
+  it('should not save filter headers that do not match the checkpoint', async () => {
+    // both peers agree on the checkpoints but the first sends a bad filter hash
+    peers[0].badHeight = 500
+
+    await indexer.open()
+    await waitForHeight(indexer, 2500)
+
+    // the segment was requested from the other peer after the first failed
+    const first = peers[0].requests.filter(([cmd]) => cmd === 'getcfheaders')
+    const second = peers[1].requests.filter(([cmd]) => cmd === 'getcfheaders')
+    assert.deepEqual(first, [['getcfheaders', 0, 1000]])
+    assert.deepEqual(second[0], ['getcfheaders', 0, 1000])
+
+    const record = await indexer.getFilterHeader(500)
+    assert.bufferEqual(record.filterHash, headerindex.hashes[500])
+  })
+
+  it('should roll back and resync filter headers when the header index reorgs', async () => {
+    await indexer.open()
+    await waitForHeight(indexer, 2500)
+
+    const old = await indexer.getFilterHeader(2450)
+
+    headerindex.reorg(2400, 2600)
+    await waitForHeight(indexer, 2600)
+
+    const record = await indexer.getFilterHeader(2450)
+    assert.bufferEqual(record.blockHash, headerindex.hashes[2450])
+    assert.notBufferEqual(record.header, old.header)
+    assert.bufferEqual(record.header, peers[0].getHeader(2450))
+
+    const kept = await indexer.getFilterHeader(2400)
+    assert.bufferEqual(kept.header, peers[0].getHeader(2400))
+
+    assert.strictEqual(await indexer.getFilterHeader(old.blockHash), null)
+  })
+})
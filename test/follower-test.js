@@ -0,0 +1,243 @@
+'use strict'
+
+const assert = require('bsert')
+const EventEmitter = require('events')
+const { protocol } = require('bcoin')
+
+const HeaderFollower = require('../lib/follower')
+const { revHex } = require('../lib/util')
+const { mineHeaders } = require('./util/common')
+
+const { Network } = protocol
+const network = Network.get('regtest')
+
+const logger = { info() {}, debug() {}, warning() {} }
+
+/**
+ * Header index with the hashes of the main chain
+ */
+
+class MockHeaderIndex {
+  constructor() {
+    this.network = network
+    this.logger = logger
+    this.hashes = [network.genesis.hash]
+    this.height = 0
+  }
+
+  getLowestHeight() {
+    return 0
+  }
+
+  async getHash(height) {
+    return this.hashes[height] || null
+  }
+}
+
+/**
+ * Chain that keeps every branch and makes the longest one the
+ * main chain of the header index, like a reorg on more work
+ */
+
+class MockChain {
+  constructor(headerindex) {
+    this.headerindex = headerindex
+    this.entries = new Map([[network.genesis.hash.toString('hex'), { hash: network.genesis.hash, height: 0 }]])
+  }
+
+  async add(header) {
+    const key = header.hash().toString('hex')
+    if (this.entries.has(key)) throw Object.assign(new Error('duplicate'), { type: 'VerifyError', reason: 'duplicate' })
+
+    const prev = this.entries.get(header.prevBlock.toString('hex'))
+    if (!prev) return null
+
+    const entry = { hash: header.hash(), height: prev.height + 1, prev }
+    this.entries.set(key, entry)
+
+    if (entry.height > this.headerindex.height) {
+      this.headerindex.height = entry.height
+      for (let item = entry; item.prev; item = item.prev) this.headerindex.hashes[item.height] = item.hash
+      this.headerindex.hashes.length = entry.height + 1
+    }
+
+    return entry
+  }
+}
+
+/**
+ * Client for the api of an upstream header node with a chain of headers
+ */
+
+class MockClient extends EventEmitter {
+  constructor(headers) {
+    super()
+    this.ssl = false
+    this.host = '127.0.0.1'
+    this.port = 8332
+    this.path = '/'
+    this.headers = headers
+    this.opened = false
+    this.requests = []
+    this.calls = []
+    this.bound = new Map()
+  }
+
+  async open() {
+    this.opened = true
+    setImmediate(() => this.emit('connect'))
+  }
+
+  async close() {
+    this.opened = false
+  }
+
+  bind(event, handler) {
+    this.bound.set(event, [...(this.bound.get(event) || []), handler])
+  }
+
+  unbind(event, handler) {
+    const handlers = this.bound.get(event).filter(item => item !== handler)
+    if (handlers.length) this.bound.set(event, handlers)
+    else this.bound.delete(event)
+  }
+
+  async call(name) {
+    this.calls.push(name)
+  }
+
+  async getInfo() {
+    // the chain can be ahead of the header index
+    return { chain: { height: this.headers.length + 5 }, headerindex: { height: this.headers.length } }
+  }
+
+  async get(path, params) {
+    const [, route, value] = path.split('/')
+    const height = parseInt(value, 10)
+
+    if (route === 'header')
+      return { hash: height === 0 ? revHex(network.genesis.hash) : this.headers[height - 1].rhash() }
+
+    this.requests.push([height, params.count])
+    const items = this.headers.slice(height - 1, height - 1 + Math.min(params.count, 3))
+    return { height, tip: this.headers.length, headers: items.map(header => header.toHead().toString('hex')) }
+  }
+}
+
+describe('HeaderFollower', () => {
+  let main, headerindex, chain
+
+  before(() => {
+    main = mineHeaders(network.genesis.hash, 10, 1571500000)
+  })
+
+  beforeEach(() => {
+    headerindex = new MockHeaderIndex()
+    chain = new MockChain(headerindex)
+  })
+
+  it('should download the header index in bulk and add streamed headers', async () => {
+    const client = new MockClient(main.slice(0, 8))
+    const follower = new HeaderFollower({ headerindex, chain, client })
+    follower.running = true
+
+    assert.equal(await follower.sync(), 8)
+
+    // the upstream returns at most 3 headers at a time
+    assert.deepEqual(client.requests, [
+      [1, 8],
+      [4, 5],
+      [7, 2]
+    ])
+    assert.bufferEqual(headerindex.hashes[8], main[7].hash())
+
+    // new headers are streamed and not requested again
+    client.headers = main
+    follower.handleConnect(9, main[8].toHead())
+    follower.handleConnect(10, main[9].toHead())
+
+    assert.equal(await follower.sync(), 10)
+    assert.equal(client.requests.length, 3)
+    assert.equal(follower.streamed.size, 0)
+  })
+
+  it('should follow a reorg streamed from the upstream', async () => {
+    const client = new MockClient(main)
+    const follower = new HeaderFollower({ headerindex, chain, client })
+    follower.running = true
+
+    await follower.sync()
+    const requests = client.requests.length
+
+    const branch = mineHeaders(main[6].hash(), 5, 1571600000)
+    client.headers = [...main.slice(0, 7), ...branch]
+    follower.handleReorganize(
+      7,
+      branch.map(header => header.toHead())
+    )
+
+    assert.equal(await follower.sync(), 12)
+    assert.equal(follower.getStatus().reorgs, 1)
+    assert.bufferEqual(headerindex.hashes[12], branch[4].hash())
+    // the streamed branch was not requested again
+    assert.equal(client.requests.length, requests)
+  })
+
+  it('should watch the headers channel when the socket connects', async () => {
+    const client = new MockClient(main)
+    const follower = new HeaderFollower({ headerindex, chain, client })
+
+    follower.start()
+    assert(client.bound.has('header connect'))
+    assert(client.bound.has('header reorganize'))
+
+    await new Promise(resolve => follower.on('progress', resolve))
+    // the socket connects on the next tick
+    await new Promise(resolve => setImmediate(resolve))
+    await follower.stop()
+
+    assert.deepEqual(client.calls, ['watch headers'])
+    assert.equal(client.opened, false)
+    assert.equal(headerindex.height, 10)
+    assert.equal(follower.getStatus().upstream, 'http://127.0.0.1:8332/')
+    assert.equal(follower.getStatus().upstreamHeight, 10)
+  })
+
+  it('should only bind the socket handlers once after being restarted', async () => {
+    const client = new MockClient(main)
+    const follower = new HeaderFollower({ headerindex, chain, client })
+
+    follower.start()
+    await follower.stop()
+    assert.equal(client.bound.size, 0)
+
+    follower.start()
+    await new Promise(resolve => follower.on('progress', resolve))
+    await new Promise(resolve => setImmediate(resolve))
+
+    assert.equal(client.bound.get('header connect').length, 1)
+    assert.equal(client.bound.get('header reorganize').length, 1)
+
+    await follower.stop()
+  })
+
+  it('should log when the socket can not connect and keep syncing', async () => {
+    const client = new MockClient(main)
+    client.open = async () => {
+      throw new Error('connect ECONNREFUSED')
+    }
+
+    const warnings = []
+    const follower = new HeaderFollower({ headerindex, chain, client })
+    follower.logger = { ...logger, warning: (...args) => warnings.push(args) }
+
+    follower.start()
+    await new Promise(resolve => follower.on('progress', resolve))
+    await follower.stop()
+
+    assert.equal(warnings.length, 1)
+    assert.equal(warnings[0][0], 'Could not connect to %s: %s')
+    assert.equal(warnings[0][2], 'connect ECONNREFUSED')
+    assert.equal(headerindex.height, 10)
+  })
+})
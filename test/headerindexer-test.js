@@ -1,10 +1,14 @@
 'use strict'
 
 const assert = require('bsert')
-const { Chain, protocol, Miner, Headers, ChainEntry, blockstore } = require('bcoin')
+const fs = require('bfile')
+const { Chain, protocol, Miner, Headers, ChainEntry, KeyRing, blockstore } = require('bcoin')
 
 const { sleep, setCustomCheckpoint } = require('./util/common')
 const HeaderIndexer = require('../lib/headerindexer')
+const HeaderBackfill = require('../lib/backfill')
+const layout = require('../lib/layout')
+const { BlockMeta, ReorgRecord, SnapshotTrailer } = require('../lib/records')
 
 const { Network } = protocol
 const network = Network.get('regtest')
@@ -88,6 +92,21 @@ describe('HeaderIndexer', () => {
     }
   })
 
+  it('should index block heights by hash', async () => {
+    for (let i = 1; i < count; i++) {
+      const entry = await chain.getEntryByHeight(i)
+      const height = await indexer.getHeightByHash(entry.hash)
+      assert.equal(height, i, `Expected hash index to return height ${i} for ${entry.rhash()}`)
+
+      const indexed = await indexer.getEntryByHash(entry.hash)
+      assert(indexed, `Expected to get an entry by hash for height ${i}`)
+      assert.equal(indexed.rhash(), entry.rhash())
+    }
+
+    const missing = await indexer.getEntryByHash(Buffer.alloc(32, 0xff))
+    assert.equal(missing, null, 'Expected null for a hash that is not indexed')
+  })
+
   it('should be able to set a custom checkpoint', async () => {
     // first check that we're starting from a fresh
     assert(!indexer.network.lastCheckpoint, 'lastCheckpoint should be zero when using regtest')
@@ -153,6 +172,75 @@ describe('HeaderIndexer', () => {
     })
   })
 
+  it('should save a chain context snapshot for the current tip', async () => {
+    await indexer.saveChainContext()
+
+    const context = await indexer.getChainContext(indexer.height)
+    const tip = context.getTip()
+    const expectedStart = indexer.getContextStart(indexer.height)
+
+    assert.equal(tip.rhash(), chain.tip.rhash(), 'Expected snapshot tip to match the chain tip')
+    assert.equal(context.entries[0].height, expectedStart, 'Expected snapshot to start at the context start height')
+    assert.equal(context.entries.length, indexer.height - expectedStart + 1, 'Expected an entry for every height')
+
+    // the snapshot should be ignored once it no longer matches the tip
+    await mineBlocks(1)
+    await sleep(100)
+    const next = await indexer.getChainContext(indexer.height)
+    assert.equal(next.getTip().rhash(), chain.tip.rhash(), 'Expected stale snapshot to be rebuilt for the new tip')
+  })
+
+  describe('compressed headers', () => {
+    let compressedIndexer
+
+    before(async () => {
+      compressedIndexer = new HeaderIndexer({ ...options, compressHeaders: true })
+      await compressedIndexer.open()
+      // let the new indexer catch up to the chain
+      await sleep(500)
+    })
+
+    after(async () => {
+      if (compressedIndexer.db.loaded) await compressedIndexer.close()
+    })
+
+    it('should store headers in fewer bytes and decode them transparently', async () => {
+      for (let i = 1; i <= chain.height; i++) {
+        const expected = await indexer.getHeader(i)
+        const actual = await compressedIndexer.getHeader(i)
+        assert(actual, `Expected a compressed header at height ${i}`)
+        assert.equal(actual.rhash(), expected.rhash(), `Compressed header at height ${i} did not decode correctly`)
+        assert.equal(
+          ChainEntry.isChainEntry(actual),
+          ChainEntry.isChainEntry(expected),
+          `Expected the same header type at height ${i}`
+        )
+
+        const raw = await indexer.db.get(layout.b.encode(i))
+        const compressed = await compressedIndexer.db.get(layout.b.encode(i))
+        assert(compressed.length < raw.length, `Expected compressed header at height ${i} to be smaller`)
+      }
+    })
+
+    it('should record the storage mode and refuse to open a db written in a different mode', async () => {
+      const flags = await compressedIndexer.db.get(layout.O.encode())
+      assert.equal(flags.readUInt32LE(4), HeaderIndexer.flags.COMPRESSED, 'Expected compressed flag to be saved')
+
+      // pretend the compressed db was opened without compression
+      compressedIndexer.compressHeaders = false
+
+      let message
+      try {
+        await compressedIndexer.verifyNetwork()
+      } catch (e) {
+        message = e.message
+      }
+
+      compressedIndexer.compressHeaders = true
+      assert(message && message.includes('storage mode'), 'Expected verification to fail for a different storage mode')
+    })
+  })
+
   describe('startBlock', () => {
     let startHeight, prevEntry, startEntry, checkpointHeight, newIndexer
     beforeEach(async () => {
@@ -163,6 +251,7 @@ describe('HeaderIndexer', () => {
     })
     afterEach(async () => {
       setCustomCheckpoint(indexer)
+      indexer.network.pow.retargetInterval = 2016
       if (newIndexer && newIndexer.db.loaded) {
         await newIndexer.db.close()
         newIndexer = null
@@ -208,46 +297,81 @@ describe('HeaderIndexer', () => {
       )
     })
 
-    it('should throw for a startHeight that is between last retarget and lastCheckpoint to the retarget block when opened', async () => {
+    it('should require a full retarget window of entries for start heights after the last retarget', async () => {
       // this is a change that will effect all other tests since they share the same instance bcoin
-      // setting this somewhat arbitrarily since this is just testing the initialization of the chain
-      // would not sync correctly since the block at this height doesn't exist
+      // setting this somewhat arbitrarily since this is just testing the validation of the start height
       setCustomCheckpoint(indexer, checkpointHeight)
 
       const {
+        lastCheckpoint,
         pow: { retargetInterval }
       } = indexer.network
 
-      const newOptions = { ...options, startHeight: retargetInterval * 2.25, chain }
-      let fastIndexer = new HeaderIndexer(newOptions)
-      const { lastCheckpoint } = fastIndexer.network
+      const maxStart = lastCheckpoint - (lastCheckpoint % retargetInterval)
+      const startHeight = retargetInterval * 2.25
+      const required = indexer.getRequiredStartEntries(startHeight)
 
-      // confirm that our various bootstrapping checkpoints are placed correctly
-      assert(
-        lastCheckpoint - newOptions.startHeight < retargetInterval &&
-          lastCheckpoint - (lastCheckpoint % retargetInterval),
-        'Problem setting up the test. Expected start height to before the last checkpoint but after a retarget'
+      assert.equal(
+        indexer.getRequiredStartEntries(maxStart),
+        2,
+        'Expected historical start heights to need two entries'
       )
+      assert.equal(required, retargetInterval + 11, 'Expected later start heights to need a retarget window and MTP')
 
-      const maxStart = lastCheckpoint - (lastCheckpoint % retargetInterval)
-
-      let failed = false
       let message
       try {
-        await fastIndexer.open()
+        indexer.validateStartHeight(startHeight, required - 1)
       } catch (e) {
         message = e.message
-        failed = true
       }
 
-      assert(
-        failed,
-        `indexer should have failed to open with a start height ${newOptions.startHeight} that was after ${maxStart}`
-      )
+      assert(message, `Expected validation to fail for start height ${startHeight} without enough entries`)
       assert(
         message.includes('retarget') && message.includes(maxStart.toString()),
         `Expected failure message to mention retarget interval and suggest a new height. Instead it was: ${message}`
       )
+
+      assert(indexer.validateStartHeight(startHeight, required), 'Expected validation to pass with enough entries')
+    })
+
+    it('should support start blocks after the lastCheckpoint with enough entries', async () => {
+      // use a small retarget interval so we don't have to mine too many blocks
+      indexer.network.pow.retargetInterval = 2
+      setCustomCheckpoint(indexer, 4)
+
+      await mineBlocks(5)
+
+      // start at the chain tip so the shared chain's state isn't changed
+      const height = chain.height
+      const required = indexer.getRequiredStartEntries(height)
+      assert(!indexer.isHistorical(height), 'Problem setting up the test. Expected a non-historical start height')
+
+      const startBlock = []
+      for (let i = height - required + 1; i <= height; i++) {
+        const entry = await chain.getEntryByHeight(i)
+        startBlock.push(entry.toRaw())
+      }
+
+      let failed = false
+      try {
+        newIndexer = new HeaderIndexer({ ...options, startBlock: startBlock.slice(-2) })
+        await newIndexer.setStartBlock()
+      } catch (e) {
+        failed = true
+      }
+
+      assert(failed, 'Expected a two entry start block after the lastCheckpoint to fail')
+
+      newIndexer = new HeaderIndexer({ ...options, startBlock })
+      await newIndexer.setStartBlock()
+      assert.equal(newIndexer.startHeight, height, 'Expected start height to be the last start block entry')
+
+      await newIndexer.db.open()
+      const dbStartBlock = await newIndexer.getStartBlock()
+      assert.equal(dbStartBlock.length, required, 'Expected all start block entries to be saved in the index')
+      dbStartBlock.forEach((raw, i) =>
+        assert.equal(ChainEntry.fromRaw(raw).rhash(), ChainEntry.fromRaw(startBlock[i]).rhash())
+      )
     })
 
     it('should properly vaidate startHeights', () => {
@@ -311,6 +435,30 @@ describe('HeaderIndexer', () => {
       assert.equal(ChainEntry.fromRaw(dbStart).rhash(), startEntry.rhash(), "startEntries for tip from db didn't match")
     })
 
+    it('should get start entries for a startHeight from the start provider and save the source', async () => {
+      setCustomCheckpoint(indexer, checkpointHeight, startEntry.hash)
+
+      const requested = []
+      const startProvider = {
+        getSource: () => 'test-provider',
+        getEntries: async heights => {
+          requested.push(...heights)
+          const entries = []
+          for (const height of heights) entries.push((await chain.getEntryByHeight(height)).toRaw())
+          return entries
+        }
+      }
+
+      newIndexer = new HeaderIndexer({ ...options, startHeight, startProvider, logLevel: 'error' })
+      await newIndexer.setStartBlock()
+
+      assert.deepEqual(requested, [startHeight - 1, startHeight], 'Expected prev and start heights to be requested')
+      assert.equal(await newIndexer.getStartSource(), 'test-provider')
+
+      const [, dbStart] = await newIndexer.getStartBlock()
+      assert.equal(ChainEntry.fromRaw(dbStart).rhash(), startEntry.rhash(), "startEntries for tip from db didn't match")
+    })
+
     it('should return null for getStartBlock when none is set', async () => {
       newIndexer = new HeaderIndexer(options)
       await newIndexer.db.open()
@@ -319,6 +467,105 @@ describe('HeaderIndexer', () => {
     })
   })
 
+  describe('backfill', () => {
+    let startHeight, newIndexer
+
+    beforeEach(async () => {
+      startHeight = 10
+      const prevEntry = await chain.getEntryByHeight(startHeight - 1)
+      const startEntry = await chain.getEntryByHeight(startHeight)
+      setCustomCheckpoint(indexer, indexer.network.pow.retargetInterval * 2.5, startEntry.hash)
+
+      newIndexer = new HeaderIndexer({
+        ...options,
+        startBlock: [prevEntry.toRaw(), startEntry.toRaw()],
+        logLevel: 'error'
+      })
+      await newIndexer.open()
+    })
+
+    afterEach(async () => {
+      setCustomCheckpoint(indexer)
+      if (newIndexer.db.loaded) await newIndexer.close()
+    })
+
+    async function getHeaders(from, to) {
+      const headers = []
+      for (let height = from; height <= to; height++) headers.push((await chain.getEntryByHeight(height)).toHeaders())
+      return headers
+    }
+
+    it('should add headers below the lowest height and lower the start height', async () => {
+      assert.equal(newIndexer.getLowestHeight(), startHeight - 1)
+      assert.equal(await newIndexer.getHeader(5), null, 'Expected no header below the start block')
+
+      const lowest = await newIndexer.backfillHeaders(await getHeaders(5, startHeight - 2))
+
+      assert.equal(lowest, 5)
+      assert.equal(newIndexer.getLowestHeight(), 5)
+      assert.equal(newIndexer.startHeight, 6)
+
+      const entry = await chain.getEntryByHeight(5)
+      const header = await newIndexer.getHeader(5)
+      assert.bufferEqual(header.hash(), entry.hash)
+      assert.equal(await newIndexer.getHeightByHash(entry.hash), 5)
+      assert.bufferEqual(await newIndexer.getHash(5), entry.hash)
+
+      const data = await newIndexer.db.get(layout.s.encode())
+      assert.equal(data.readUInt32LE(0), 6, 'Expected start height to be lowered in the db')
+    })
+
+    it('should reject headers that do not link to the lowest header', async () => {
+      const headers = await getHeaders(4, 7)
+      await assert.rejects(newIndexer.backfillHeaders(headers), /does not match the prevBlock/)
+      assert.equal(newIndexer.getLowestHeight(), startHeight - 1)
+      assert.equal(await newIndexer.getHeader(7), null)
+    })
+
+    it('should backfill headers from peers down to a target height', async () => {
+      let pending
+      const peer = {
+        handshake: true,
+        outbound: true,
+        loader: false,
+        hostname: () => 'mock-peer',
+        wait: () => new Promise(resolve => (pending = resolve)),
+        sendGetHeaders: async ([locator], stop) => {
+          const { height } = await chain.getEntryByHash(locator)
+          const items = []
+          for (let i = height + 1; items.length < 2000; i++) {
+            const entry = await chain.getEntryByHeight(i)
+            items.push(entry.toHeaders())
+            if (entry.hash.equals(stop)) break
+          }
+          pending({ items })
+        }
+      }
+      const pool = { checkpoints: false, peers: { head: () => peer } }
+      const backfill = new HeaderBackfill({ headerindex: newIndexer, pool, batchSize: 4 })
+
+      const heights = []
+      backfill.on('progress', height => heights.push(height))
+      const complete = new Promise(resolve => backfill.once('complete', resolve))
+
+      await backfill.start(3)
+      assert.equal(await newIndexer.getBackfillHeight(), 3, 'Expected backfill target to be saved')
+      await complete
+
+      assert.deepEqual(heights, [5, 3])
+      assert.equal(newIndexer.getLowestHeight(), 3)
+      assert.equal(newIndexer.startHeight, 4)
+      assert.equal(await newIndexer.getBackfillHeight(), null, 'Expected backfill target to be cleared')
+
+      for (let height = 3; height < startHeight; height++) {
+        const entry = await chain.getEntryByHeight(height)
+        assert.bufferEqual((await newIndexer.getHeader(height)).hash(), entry.hash)
+      }
+
+      assert.equal(await newIndexer.getHeader(2), null, 'Expected no headers below the target')
+    })
+  })
+
   describe('getLocator', () => {
     it('should get an array of hashes from header chain tip back to genesis', async () => {
       const locator = await indexer.getLocator()
@@ -357,4 +604,543 @@ describe('HeaderIndexer', () => {
       indexer.startHeight = null
     })
   })
+
+  describe('caches', () => {
+    let cacheIndexer
+
+    before(async () => {
+      cacheIndexer = new HeaderIndexer({ ...options, hashCacheSize: 5, headerCacheSize: 5, logLevel: 'error' })
+      await cacheIndexer.open()
+      // let the new indexer catch up to the chain
+      await sleep(500)
+    })
+
+    after(async () => {
+      if (cacheIndexer.db.loaded) await cacheIndexer.close()
+    })
+
+    it('should count cache hits and misses', async () => {
+      cacheIndexer.hashCache.reset()
+      cacheIndexer.headerCache.reset()
+
+      const hash = await cacheIndexer.getHash(3)
+      const cached = await cacheIndexer.getHash(3)
+      assert.bufferEqual(cached, hash)
+
+      await cacheIndexer.getHeader(3)
+      await cacheIndexer.getHeader(3)
+
+      const stats = cacheIndexer.getCacheStats()
+      assert.deepEqual(
+        [stats.hash.hits, stats.hash.misses, stats.hash.size, stats.hash.capacity],
+        [1, 1, 1, 5],
+        'Unexpected hash cache stats'
+      )
+      assert.equal(stats.header.hits, 1)
+      assert.equal(stats.header.misses, 1)
+      assert.equal(stats.entry.capacity, 5000, 'Expected default entry cache size')
+    })
+
+    it('should not cache missing heights', async () => {
+      assert.equal(await cacheIndexer.getHash(chain.height + 100), null)
+      assert.equal(cacheIndexer.hashCache.has(chain.height + 100), false)
+    })
+
+    it('should invalidate cached headers when a block is unindexed', async () => {
+      const height = 4
+      const entry = await chain.getEntryByHeight(height)
+      assert(await cacheIndexer.getHeader(height), 'Expected header to be cached')
+      assert(cacheIndexer.headerCache.has(height))
+
+      cacheIndexer.start()
+      await cacheIndexer.unindexBlock(new BlockMeta(entry.hash, height))
+      await cacheIndexer.commit()
+
+      assert.equal(cacheIndexer.headerCache.has(height), false, 'Expected header to be removed from the cache')
+      assert.equal(await cacheIndexer.getHeader(height), null, 'Expected unindexed header to not be returned')
+    })
+  })
+
+  describe('pruning', () => {
+    let pruneIndexer
+
+    beforeEach(async () => {
+      // lower the retarget interval so the minimum window doesn't need thousands of blocks
+      indexer.network.pow.retargetInterval = 2
+    })
+
+    afterEach(async () => {
+      indexer.network.pow.retargetInterval = 2016
+      if (pruneIndexer && pruneIndexer.db.loaded) await pruneIndexer.close()
+    })
+
+    it('should require a window of at least a retarget interval plus the median time past', () => {
+      assert.throws(() => new HeaderIndexer({ ...options, pruneHeaders: 12 }), /at least 13 headers/)
+    })
+
+    for (const compressHeaders of [false, true]) {
+      it(`should prune headers outside of the window and move the start height (compressed: ${compressHeaders})`, async () => {
+        const window = 13
+        pruneIndexer = new HeaderIndexer({ ...options, pruneHeaders: window, compressHeaders, logLevel: 'error' })
+        await pruneIndexer.open()
+        await sleep(500)
+
+        await mineBlocks(Math.max(window - chain.height + 5, 1))
+        await sleep(500)
+
+        const lowest = chain.height - window + 1
+        assert.equal(pruneIndexer.height, chain.height)
+        assert.equal(pruneIndexer.getLowestHeight(), lowest)
+        assert.equal(pruneIndexer.startHeight, lowest + 1)
+
+        const data = await pruneIndexer.db.get(layout.s.encode())
+        assert.equal(data.readUInt32LE(0), lowest + 1, 'Expected start height to be moved forward in the db')
+
+        const pruned = await chain.getEntryByHeight(lowest - 1)
+        assert.equal(await pruneIndexer.db.get(layout.b.encode(lowest - 1)), null, 'Expected old header to be pruned')
+        assert.equal(await pruneIndexer.getHash(lowest - 1), null, 'Expected old hash to be pruned')
+        assert.equal(await pruneIndexer.getHeightByHash(pruned.hash), null, 'Expected old hash index to be pruned')
+
+        // the lowest header needs to decode without the pruned headers
+        const expected = await chain.getEntryByHeight(lowest)
+        const header = await pruneIndexer.getHeader(lowest)
+        assert.equal(header.rhash(), expected.rhash())
+
+        const locator = await pruneIndexer.getLocator()
+        const start = await pruneIndexer.getHash(pruneIndexer.startHeight)
+        assert.bufferEqual(locator[locator.length - 1], start, 'Expected locator to end at the new start height')
+
+        const report = await pruneIndexer.verifyIndex()
+        assert(report.valid, `Expected pruned index to be valid: ${JSON.stringify(report.errors)}`)
+      })
+    }
+  })
+
+  describe('reorgs', () => {
+    it('should save the disconnected headers as a stale branch and emit both branches', async () => {
+      const tip = chain.tip
+      const fork = await chain.getEntryByHeight(tip.height - 1)
+      // use a different address so the competing blocks don't match the originals
+      const address = KeyRing.generate().getAddress()
+
+      let reorg = null
+      indexer.once('reorganize', (disconnected, connected, forkEntry) => {
+        reorg = { disconnected, connected, fork: forkEntry }
+      })
+
+      let prev = fork
+      for (let i = 0; i < 2; i++) {
+        const block = await cpu.mineBlock(prev, address)
+        assert(await chain.add(block))
+        prev = await chain.getEntry(block.hash())
+      }
+      await sleep(100)
+
+      assert(reorg, 'Expected a reorganize event from the indexer')
+      assert.equal(reorg.fork.rhash(), fork.rhash())
+      assert.deepEqual(
+        reorg.disconnected.map(entry => entry.rhash()),
+        [tip.rhash()]
+      )
+      assert.deepEqual(
+        reorg.connected.map(entry => entry.height),
+        [tip.height, tip.height + 1]
+      )
+      assert.equal(reorg.connected[1].rhash(), prev.rhash())
+
+      assert.equal(indexer.height, prev.height)
+      assert.bufferEqual(await indexer.getHash(tip.height), reorg.connected[0].hash)
+      assert.equal(
+        await indexer.getHeightByHash(tip.hash),
+        null,
+        'Expected stale hash to be removed from the hash index'
+      )
+
+      const record = await indexer.getStaleRecord(tip.hash)
+      assert(record, 'Expected a stale record for the old tip')
+      assert.equal(record.fork, fork.height)
+      assert.equal(record.entry.height, tip.height)
+
+      const tips = await indexer.getChainTips()
+      assert.deepEqual(tips, [
+        { height: prev.height, hash: prev.hash, branchlen: 0, status: 'active' },
+        { height: tip.height, hash: tip.hash, branchlen: 1, status: 'valid-headers' }
+      ])
+    })
+
+    it('should save reorgs to the audit log', async () => {
+      const reorgs = await indexer.getReorgs()
+      assert.equal(reorgs.length, 1, 'Expected one reorg in the audit log')
+
+      const json = reorgs[0].toJSON()
+      const tip = await chain.getEntryByHeight(json.newTip.height)
+      assert.equal(json.id, 1)
+      assert.equal(json.depth, 1)
+      assert.equal(json.fork.height, json.oldTip.height - 1)
+      assert.equal(json.newTip.hash, tip.rhash())
+      assert.deepEqual(
+        json.added.map(item => item.height),
+        [json.fork.height + 1, json.fork.height + 2]
+      )
+      assert.equal(json.removed[0].header.length, 160, 'Expected raw headers in the log')
+
+      assert.equal((await indexer.getReorgs(json.time)).length, 1)
+      assert.equal((await indexer.getReorgs(json.time + 1)).length, 0, 'Expected no reorgs after the given time')
+    })
+
+    it('should remove reorgs outside of the count and age retention', async () => {
+      const [reorg] = await indexer.getReorgs()
+      const now = indexer.network.now()
+
+      // add older reorgs to the log
+      const batch = indexer.db.batch()
+      for (const [id, age] of [
+        [2, 3000],
+        [3, 2000],
+        [4, 1000]
+      ]) {
+        const old = ReorgRecord.fromRaw(reorg.toRaw())
+        old.time = now - age
+        batch.put(layout.r.encode(id), old.toRaw())
+      }
+      await batch.write()
+
+      try {
+        indexer.reorgLogAge = 1500
+        await indexer.pruneReorgLog()
+        assert.deepEqual(
+          (await indexer.getReorgs()).map(item => item.id),
+          [1, 4]
+        )
+
+        indexer.reorgLogMax = 1
+        await indexer.pruneReorgLog()
+        assert.deepEqual(
+          (await indexer.getReorgs()).map(item => item.id),
+          [4]
+        )
+      } finally {
+        indexer.reorgLogAge = 0
+        indexer.reorgLogMax = 1000
+      }
+    })
+
+    it('should not reuse reorg ids once the audit log has been pruned', async () => {
+      const batch = indexer.db.batch()
+      for (const reorg of await indexer.getReorgs()) batch.del(layout.r.encode(reorg.id))
+      await batch.write()
+
+      assert.equal((await indexer.getReorgs()).length, 0)
+      // the only reorg that was saved by the indexer had id 1
+      assert.equal(await indexer.getNextReorgId(), 2)
+    })
+  })
+
+  describe('time lookups', () => {
+    let times
+
+    before(async () => {
+      times = []
+      for (let height = 0; height <= chain.height; height++) times.push((await chain.getEntryByHeight(height)).time)
+    })
+
+    it('should calculate the median time past from the index', async () => {
+      for (const height of [1, 5, chain.height]) {
+        const entry = await chain.getEntryByHeight(height)
+        assert.equal(await indexer.getMedianTime(height), await chain.getMedianTime(entry))
+      }
+    })
+
+    it('should find the first and last headers at or after a time', async () => {
+      for (const time of [times[1], times[5] + 1, times[times.length - 1]]) {
+        const first = times.findIndex(t => t >= time)
+        let last = times.length - 1
+        while (last > 0 && times[last - 1] >= time) last--
+
+        const heights = await indexer.findHeightsByTime(time)
+        assert.deepEqual(heights, { first, last }, `Unexpected heights for time ${time}`)
+      }
+    })
+
+    it('should find the first header by median time past', async () => {
+      const entry = await chain.getEntryByHeight(8)
+      const mtp = await chain.getMedianTime(entry)
+
+      let expected = 0
+      while ((await indexer.getMedianTime(expected)) < mtp) expected++
+
+      const heights = await indexer.findHeightsByTime(mtp, 'mtp')
+      assert.deepEqual(heights, { first: expected, last: expected })
+    })
+
+    it('should return null heights for a time after the tip', async () => {
+      const time = times[times.length - 1] + 1
+      assert.deepEqual(await indexer.findHeightsByTime(time), { first: null, last: null })
+      assert.deepEqual(await indexer.findHeightsByTime(time, 'mtp'), { first: null, last: null })
+    })
+  })
+
+  describe('merkle root index', () => {
+    let merkleIndexer
+
+    before(async () => {
+      merkleIndexer = new HeaderIndexer({ ...options, indexMerkleRoots: true, logLevel: 'error' })
+      await merkleIndexer.open()
+      // let the new indexer catch up to the chain
+      await sleep(500)
+    })
+
+    after(async () => {
+      if (merkleIndexer.db.loaded) await merkleIndexer.close()
+    })
+
+    it('should look up the height of connected blocks by merkle root', async () => {
+      await mineBlocks(1)
+      await sleep(500)
+
+      for (const height of [1, chain.height]) {
+        const entry = await chain.getEntryByHeight(height)
+        assert.equal(await merkleIndexer.getHeightByMerkleRoot(entry.merkleRoot), height)
+      }
+
+      assert.equal(await merkleIndexer.getHeightByMerkleRoot(Buffer.alloc(32, 0xff)), null)
+      await assert.rejects(indexer.getHeightByMerkleRoot(Buffer.alloc(32)), /not enabled/)
+    })
+
+    it('should build the index in the background for existing headers', async () => {
+      // remove the index as if it was enabled on an existing database
+      const keys = await merkleIndexer.db.keys({ gte: layout.m.min(), lte: layout.m.max() })
+      const batch = merkleIndexer.db.batch()
+      for (const key of keys) batch.del(key)
+      batch.del(layout.M.encode())
+      await batch.write()
+
+      const entry = await chain.getEntryByHeight(5)
+      assert.equal(await merkleIndexer.getHeightByMerkleRoot(entry.merkleRoot), null)
+
+      await merkleIndexer.initMerkleIndex()
+      assert.equal(merkleIndexer.isMerkleIndexReady(), false, 'Expected the index to be building')
+
+      await merkleIndexer.merkleBuild
+      assert.equal(merkleIndexer.isMerkleIndexReady(), true)
+      assert.equal(await merkleIndexer.getHeightByMerkleRoot(entry.merkleRoot), 5)
+      assert.deepEqual(await merkleIndexer.getMerkleBuildState(), { next: chain.height + 1, end: chain.height })
+    })
+
+    it('should ignore records for headers that are no longer in the index', async () => {
+      const entry = await chain.getEntryByHeight(3)
+      await merkleIndexer.db.put(layout.m.encode(entry.merkleRoot, 7), null)
+      assert.deepEqual(await merkleIndexer.getHeightsByMerkleRoot(entry.merkleRoot), [3])
+
+      // unindexed headers are removed from the index
+      merkleIndexer.start()
+      await merkleIndexer.unindexBlock(new BlockMeta(entry.hash, 3))
+      await merkleIndexer.commit()
+      assert.equal(await merkleIndexer.db.has(layout.m.encode(entry.merkleRoot, 3)), false)
+    })
+  })
+
+  describe('header snapshots', () => {
+    const file = '/tmp/bhn-headerindexer-test.snapshot'
+    let importer, importChain, importBlocks
+
+    before(async () => {
+      importBlocks = new blockstore.LevelBlockStore({ memory: true, network })
+      importChain = new Chain({ memory: true, blocks: importBlocks, network })
+      importer = new HeaderIndexer({ memory: true, chain: importChain, blocks: importBlocks, logLevel: 'error' })
+
+      await importBlocks.open()
+      await importChain.open()
+      await importer.open()
+    })
+
+    after(async () => {
+      if (importer.db.loaded) await importer.close()
+      await importChain.close()
+      await importBlocks.close()
+      if (await fs.exists(file)) await fs.unlink(file)
+    })
+
+    it('should export headers to a flat file with a trailer', async () => {
+      const result = await indexer.exportHeaders(file, { start: 5 })
+      const data = await fs.readFile(file)
+
+      assert.deepEqual(result, { start: 5, tip: chain.height, hash: chain.tip.rhash() })
+      assert.equal(data.length, (chain.height - 4) * 80 + SnapshotTrailer.SIZE)
+
+      const entry = await chain.getEntryByHeight(5)
+      assert.bufferEqual(data.slice(0, 80), entry.toHeaders().toHead())
+
+      const trailer = SnapshotTrailer.fromRaw(data.slice(-SnapshotTrailer.SIZE))
+      assert.equal(trailer.magic, network.magic)
+      assert.equal(trailer.startHeight, 5)
+      assert.bufferEqual(trailer.tip, chain.tip.hash)
+
+      await assert.rejects(indexer.exportHeaders(file, { start: chain.height + 1, force: true }), /must be between/)
+    })
+
+    it('should not overwrite an existing file unless forced', async () => {
+      const data = await fs.readFile(file)
+
+      await assert.rejects(indexer.exportHeaders(file), /already exists/)
+      assert.bufferEqual(await fs.readFile(file), data)
+      assert.equal(await fs.exists(`${file}.tmp`), false)
+
+      await indexer.exportHeaders(file, { start: 5, force: true })
+      assert.bufferEqual(await fs.readFile(file), data)
+    })
+
+    it('should not import a snapshot that does not connect to the index', async () => {
+      await assert.rejects(importer.importHeaders(file), /does not connect/)
+      assert.equal(importer.height, 0)
+    })
+
+    it('should import a snapshot and initialize the chain', async () => {
+      await indexer.exportHeaders(file, { force: true })
+
+      const connected = []
+      const onConnect = meta => connected.push(meta.height)
+      importer.on('connect', onConnect)
+
+      const result = await importer.importHeaders(file)
+      importer.removeListener('connect', onConnect)
+
+      assert.deepEqual(result, { start: 1, tip: chain.height, hash: chain.tip.rhash(), imported: chain.height })
+      assert.equal(importer.height, chain.height)
+      assert.equal(importChain.height, chain.height)
+      assert.bufferEqual(importChain.tip.hash, chain.tip.hash)
+      assert.deepEqual(connected, Array.from({ length: chain.height }, (_, i) => i + 1))
+
+      for (const height of [1, 5, chain.height]) {
+        const entry = await chain.getEntryByHeight(height)
+        assert.bufferEqual(await importer.getHash(height), entry.hash)
+      }
+
+      // headers that are already in the index are skipped
+      assert.equal((await importer.importHeaders(file)).imported, 0)
+    })
+
+    it('should reject snapshots for another network or with invalid headers', async () => {
+      const data = await fs.readFile(file)
+      const height = importer.height
+
+      const wrongNetwork = Buffer.from(data)
+      wrongNetwork.writeUInt32LE(Network.get('main').magic, wrongNetwork.length - SnapshotTrailer.SIZE)
+      await fs.writeFile(file, wrongNetwork)
+      await assert.rejects(importer.importHeaders(file), /not for the regtest network/)
+
+      // break the link between the headers at 3 and 4
+      const unlinked = Buffer.from(data)
+      unlinked[3 * 80 + 4] ^= 0xff
+      await fs.writeFile(file, unlinked)
+      await assert.rejects(importer.importHeaders(file), /Header at 4 does not link/)
+
+      await fs.writeFile(file, data.slice(0, data.length - 1))
+      await assert.rejects(importer.importHeaders(file), /not a header snapshot/)
+
+      assert.equal(importer.height, height)
+    })
+
+    it('should reject snapshots with headers that choose their own difficulty', async () => {
+      await indexer.exportHeaders(file, { force: true })
+
+      const data = await fs.readFile(file)
+      const height = importer.height
+
+      // a header after the tip with an easier target than the network's passes its own proof of work
+      const header = new Headers({
+        version: 1,
+        prevBlock: chain.tip.hash,
+        merkleRoot: Buffer.alloc(32),
+        time: chain.tip.time + 1,
+        bits: 0x2100ffff,
+        nonce: 0
+      })
+
+      while (!header.verifyPOW()) {
+        header.nonce++
+        header.refresh()
+      }
+
+      const trailer = new SnapshotTrailer({ magic: network.magic, startHeight: 1, tip: header.hash() }).toRaw()
+      const size = data.length - SnapshotTrailer.SIZE
+      await fs.writeFile(file, Buffer.concat([data.slice(0, size), header.toHead(), trailer]))
+
+      await assert.rejects(
+        importer.importHeaders(file),
+        new RegExp(`Header at ${height + 1} has unexpected difficulty`)
+      )
+      assert.equal(importer.height, height)
+    })
+  })
+
+  // this should run last since repairing the index resets the chain
+  describe('verifyIndex', () => {
+    let verifyIndexer
+
+    before(async () => {
+      verifyIndexer = new HeaderIndexer({ ...options, logLevel: 'error' })
+      await verifyIndexer.open()
+      // let the new indexer catch up to the chain
+      await sleep(500)
+    })
+
+    after(async () => {
+      if (verifyIndexer.db.loaded) await verifyIndexer.close()
+    })
+
+    it('should find no problems in a synced index', async () => {
+      const report = await verifyIndexer.verifyIndex()
+      assert(report.valid, `Expected index to be valid: ${JSON.stringify(report.errors)}`)
+      assert.equal(report.tip, chain.height)
+      assert.equal(report.lastGood, chain.height)
+      assert.equal(report.total, 0)
+    })
+
+    it('should report gaps and bad hash indexes with the last good height', async () => {
+      const hash = await verifyIndexer.getHash(6)
+      await verifyIndexer.db.del(layout.h.encode(5))
+      await verifyIndexer.db.put(layout.H.encode(hash), Buffer.from([7, 0, 0, 0]))
+
+      const report = await verifyIndexer.verifyIndex()
+      const types = report.errors.map(error => `${error.height}:${error.type}`)
+
+      assert(!report.valid, 'Expected index to be invalid')
+      assert.equal(report.lastGood, 4)
+      assert(types.includes('5:hash'), `Expected a missing hash at 5, got ${types}`)
+      assert(types.includes('6:hashindex'), `Expected a bad hash index at 6, got ${types}`)
+      assert.equal(report.repaired, false)
+      assert.equal(verifyIndexer.height, chain.height, 'Expected index to be unchanged without repair')
+    })
+
+    it('should truncate to the last good height when repairing', async () => {
+      const report = await verifyIndexer.verifyIndex({ repair: true })
+
+      assert(report.repaired, 'Expected index to be repaired')
+      assert.equal(verifyIndexer.height, 4)
+      assert.equal(await verifyIndexer.getHeader(5), null, 'Expected headers above the last good height to be removed')
+
+      const repaired = await verifyIndexer.verifyIndex()
+      assert(repaired.valid, `Expected repaired index to be valid: ${JSON.stringify(repaired.errors)}`)
+      assert.equal(repaired.tip, 4)
+    })
+
+    it('should check the database instead of the caches', async () => {
+      // look up the headers so they are cached before they are removed on disk
+      const hash = await verifyIndexer.getHash(3)
+      assert(await verifyIndexer.getHeader(3))
+      assert.equal(verifyIndexer.hashCache.get(3), hash)
+
+      await verifyIndexer.db.del(layout.h.encode(3))
+      await verifyIndexer.db.del(layout.b.encode(3))
+
+      const report = await verifyIndexer.verifyIndex()
+      const types = report.errors.map(error => `${error.height}:${error.type}`)
+
+      assert(!report.valid, 'Expected the removed header to be found')
+      assert.equal(report.lastGood, 2)
+      assert(types.includes('3:hash'), `Expected a missing hash at 3, got ${types}`)
+      assert(types.includes('3:header'), `Expected a missing header at 3, got ${types}`)
+    })
+  })
 })
@@ -1,11 +1,19 @@
 'use strict'
 const assert = require('bsert')
+const fs = require('bfile')
 
-const { Network, ChainEntry, networks, Headers } = require('bcoin')
+const {
+  Network,
+  ChainEntry,
+  networks,
+  Headers,
+  InvItem,
+  net: { Peer, NetAddress, packets, common }
+} = require('bcoin')
 const { NodeClient } = require('bclient')
 
 const HeaderNode = require('../lib/headernode')
-const { rimraf, sleep, setCustomCheckpoint } = require('./util/common')
+const { rimraf, sleep, setCustomCheckpoint, createOTSProof } = require('./util/common')
 const { revHex, fromRev } = require('../lib/util')
 const {
   initFullNode,
@@ -13,8 +21,8 @@ const {
   initWalletClient,
   initWallet,
   generateInitialBlocks,
-  generateBlocks
-  // generateReorg,
+  generateBlocks,
+  generateReorg
 } = require('./util/regtest')
 
 const network = Network.get('regtest')
@@ -94,7 +102,9 @@ describe('HeaderNode', function() {
       nodes: [`127.0.0.1:${ports.full.p2p}`],
       memory: false,
       workers: true,
-      listen: true
+      listen: true,
+      serveHeaders: true,
+      indexMerkleRoots: true
     }
 
     headerNode = new HeaderNode(headerNodeOptions)
@@ -281,7 +291,151 @@ describe('HeaderNode', function() {
     setCustomCheckpoint(fastNode)
   })
 
-  xit('should handle a reorg', () => {})
+  it('should get the hashes of backfilled headers below the start height with getblockhash', async () => {
+    const lowest = fastNode.headerindex.getLowestHeight()
+    const headers = []
+    for (let height = lowest - 3; height < lowest; height++) {
+      const entry = await node.chain.getEntryByHeight(height)
+      headers.push(entry.toHeaders())
+    }
+
+    await fastNode.headerindex.backfillHeaders(headers)
+
+    const height = lowest - 3
+    assert(height < fastNode.getStartHeight(), 'Expected a backfilled height below the start height')
+
+    const client = new NodeClient({ port: ports.header.node + 10, apiKey: headerNodeOptions.apiKey })
+    await client.open()
+
+    try {
+      const entry = await node.chain.getEntryByHeight(height)
+      assert.equal(await client.execute('getblockhash', [height]), entry.rhash())
+      await assert.rejects(client.execute('getblockhash', [height - 1]), /out of range/)
+    } finally {
+      await client.close()
+    }
+  })
+
+  it('should handle a reorg', async () => {
+    const depth = 2
+    const tip = await headerNode.getTip()
+
+    let reorg = null
+    headerNode.once('reorganize', (disconnected, connected, fork) => {
+      reorg = { disconnected, connected, fork }
+    })
+
+    const { invalidated, validated } = await generateReorg(depth, nclient, wclient, coinbase)
+    await sleep(1000)
+
+    assert(reorg, 'Expected the header node to emit a reorganize event')
+    assert.equal(reorg.fork.height, tip.height - depth)
+    assert.deepEqual(
+      reorg.disconnected.map(entry => entry.rhash()),
+      invalidated.slice().reverse()
+    )
+    assert.equal(reorg.connected[0].height, tip.height - depth + 1)
+
+    const newTip = await headerNode.getTip()
+    assert.equal(newTip.rhash(), validated[validated.length - 1], 'Expected header tip to be the new chain tip')
+    assert.equal(await headerNode.headerindex.getHeightByHash(tip.hash), null)
+
+    // the disconnected branch should be listed as a chain tip
+    const tips = await headerNode.headerindex.getChainTips()
+    const stale = tips.find(item => item.hash.equals(tip.hash))
+    assert(stale, 'Expected the old tip to be listed as a chain tip')
+    assert.deepEqual([stale.height, stale.branchlen, stale.status], [tip.height, depth, 'valid-headers'])
+    assert.equal(tips[0].status, 'active')
+    assert.equal(tips[0].height, newTip.height)
+  })
+
+  it('should replicate the header index of another header node in follower mode', async () => {
+    const follower = new HeaderNode({
+      prefix: `${headerTestPrefix}/follower`,
+      network: network.type,
+      port: ports.header.p2p + 20,
+      httpPort: ports.header.node + 20,
+      apiKey: headerNodeOptions.apiKey,
+      logLevel: 'error',
+      memory: true,
+      follow: `http://127.0.0.1:${ports.header.node}`,
+      followApiKey: headerNodeOptions.apiKey
+    })
+
+    await follower.ensure()
+    await follower.open()
+    await follower.connect()
+    await follower.startSync()
+
+    try {
+      await sleep(1000)
+
+      assert.equal(follower.headerindex.height, headerNode.headerindex.height)
+      assert.equal(follower.pool.peers.size(), 0, 'Follower should not connect to peers')
+
+      // new headers are streamed from the header node
+      await generateBlocks(2, nclient, coinbase)
+      await sleep(1000)
+
+      const height = headerNode.headerindex.height
+      assert.equal(follower.headerindex.height, height)
+
+      const header = await follower.getHeader(height)
+      const expected = await headerNode.getHeader(height)
+      assert.equal(header.rhash(), expected.rhash())
+    } finally {
+      await follower.close()
+    }
+  })
+
+  it('should serve headers from the header index to inbound peers', async () => {
+    const peer = Peer.fromOptions({ network, agent: 'bhn-test', hasWitness: () => false })
+    peer.connect(NetAddress.fromHostname(`127.0.0.1:${ports.header.p2p}`, network))
+    await peer.open()
+
+    const waitForPacket = cmd =>
+      new Promise(resolve => {
+        const handler = packet => {
+          if (packet.cmd !== cmd) return
+          peer.removeListener('packet', handler)
+          resolve(packet)
+        }
+        peer.on('packet', handler)
+      })
+
+    try {
+      // blocks can't be served so network services aren't advertised
+      assert.equal(peer.services & common.services.NETWORK, 0)
+
+      const tip = headerNode.headerindex.height
+      const start = await headerNode.headerindex.getEntry(5)
+
+      let response = waitForPacket('headers')
+      peer.sendGetHeaders([start.hash])
+      let { items } = await response
+
+      assert.equal(items.length, tip - 5)
+      for (const [i, header] of items.entries()) {
+        const entry = await node.chain.getEntry(6 + i)
+        assert.equal(header.rhash(), entry.rhash(), `Expected header for height ${6 + i}`)
+      }
+
+      // the requested range ends at the stop hash
+      const stop = await headerNode.headerindex.getEntry(8)
+      response = waitForPacket('headers')
+      peer.sendGetHeaders([start.hash], stop.hash)
+      ;({ items } = await response)
+      assert.equal(items.length, 3)
+      assert.equal(items[2].rhash(), stop.rhash())
+
+      // blocks are never served
+      response = waitForPacket('notfound')
+      peer.send(new packets.GetDataPacket([new InvItem(InvItem.types.BLOCK, stop.hash)]))
+      assert.equal((await response).items.length, 1)
+    } finally {
+      peer.destroy()
+    }
+  })
 
   describe('HTTP/RPC', () => {
     let client
@@ -311,6 +465,14 @@ describe('HeaderNode', function() {
         headerNode.headerindex.startHeight,
         'Expected to get back start height from rpc info endpoint'
       )
+      assert(rpcInfo.headercache, 'Expected to get back header cache stats from rpc info endpoint')
+      assert.equal(typeof rpcInfo.headercache.hash.hits, 'number')
+
+      // the tip check hasn't run yet
+      assert.deepEqual(info.tipconsensus, rpcInfo.tipconsensus)
+      assert.equal(rpcInfo.tipconsensus.lastCheck, -1)
+      assert.equal(rpcInfo.tipconsensus.flagged, false)
+      assert.equal(info.stall.stalled, false)
     })
 
     it('should support getting block headers with rpc and http endpoints', async () => {
@@ -349,6 +511,192 @@ describe('HeaderNode', function() {
       )
     })
 
+    it('should get consecutive raw headers with an http endpoint', async () => {
+      const res = await client.get('/headers/5', { count: 3 })
+
+      assert.equal(res.height, 5)
+      assert.equal(res.tip, headerNode.headerindex.height)
+      assert.equal(res.headers.length, 3)
+
+      for (const [i, raw] of res.headers.entries()) {
+        const header = await headerNode.getHeader(5 + i)
+        assert.equal(Headers.fromHead(Buffer.from(raw, 'hex')).rhash(), header.rhash())
+      }
+
+      // headers after the tip are not returned
+      const tip = await client.get(`/headers/${headerNode.headerindex.height}`)
+      assert.equal(tip.headers.length, 1)
+      assert.strictEqual(await client.get(`/headers/${headerNode.headerindex.height + 1}`), null)
+    })
+
+    it('should support getting block headers by hash with rpc and http endpoints', async () => {
+      // use an old block so that the lookup has to go through the hash index
+      const height = 5
+      const header = await headerNode.getHeader(height)
+
+      const httpHeader = await client.get(`/header/hash/${header.rhash()}`)
+      assert(httpHeader, 'Could not get header by hash with http')
+      assert.equal(httpHeader.height, height, 'Expected header from hash lookup to have the right height')
+      assert.equal(httpHeader.merkleRoot, revHex(header.merkleRoot))
+
+      const rpcHash = await client.execute('getblockhash', [height])
+      assert.equal(rpcHash, header.rhash(), 'Expected getblockhash to return the indexed hash')
+
+      const { height: tip } = headerNode.headerindex
+      await assert.rejects(client.execute('getblockhash', [tip + 1]), /out of range/)
+
+      const rpcHeader = await client.execute('getblockheader', [rpcHash])
+      assert.equal(rpcHeader.height, height, 'Expected getblockheader to return the header at the right height')
+    })
+
+    it('should verify the header index with rpc', async () => {
+      const report = await client.execute('verifyheaderindex')
+      assert(report.valid, `Expected header index to be valid: ${JSON.stringify(report.errors)}`)
+      assert.equal(report.tip, headerNode.headerindex.height)
+      assert.equal(report.lastGood, report.tip)
+      assert.equal(report.repaired, false)
+    })
+
+    it('should export header snapshots with rpc only inside the node prefix', async () => {
+      const file = headerNode.config.location('headers.snapshot')
+
+      const result = await client.execute('exportheaders', ['headers.snapshot'])
+      assert.equal(result.tip, headerNode.headerindex.height)
+      assert(await fs.exists(file), 'Expected the snapshot to be written to the node prefix')
+
+      await assert.rejects(client.execute('exportheaders', ['headers.snapshot']), /already exists/)
+      await client.execute('exportheaders', ['headers.snapshot', 1, true])
+
+      await assert.rejects(client.execute('exportheaders', ['/tmp/headers.snapshot']), /relative path/)
+      await assert.rejects(client.execute('exportheaders', ['../headers.snapshot']), /relative path/)
+      await assert.rejects(client.execute('importheaders', ['../../etc/passwd']), /relative path/)
+
+      // the snapshot is already in the index so nothing is imported
+      assert.equal((await client.execute('importheaders', ['headers.snapshot'])).imported, 0)
+
+      await fs.unlink(file)
+    })
+
+    it('should list the active tip and stale branches with getchaintips', async () => {
+      const tips = await client.execute('getchaintips')
+      const best = await nclient.execute('getbestblockhash')
+
+      assert.deepEqual(tips[0], { height: headerNode.headerindex.height, hash: best, branchlen: 0, status: 'active' })
+      assert(tips.length > 1, 'Expected the branch from the reorg to be listed')
+      for (const tip of tips.slice(1)) assert.equal(tip.status, 'valid-headers')
+    })
+
+    it('should get headers by time with rpc and http endpoints', async () => {
+      const height = 20
+      const entry = await node.chain.getEntryByHeight(height)
+
+      const rpcResult = await client.execute('getheaderbytime', [entry.time, 'mtp'])
+      assert(rpcResult.first.mediantime >= entry.time, 'Expected median time to be at or after the timestamp')
+      assert.equal(rpcResult.first.hash, rpcResult.last.hash)
+
+      const httpResult = await client.get(`/header/time/${entry.time}`, { mode: 'time' })
+      assert.equal(httpResult.mode, 'time')
+      assert(httpResult.first.height <= height, 'Expected the first header to be at or before the block with the time')
+      assert(httpResult.first.time >= entry.time)
+      assert(httpResult.last.time >= entry.time)
+
+      const rpcTime = await client.execute('getheaderbytime', [entry.time])
+      assert.equal(rpcTime.first.hash, httpResult.first.hash)
+      assert.equal(rpcTime.last.hash, httpResult.last.hash)
+    })
+
+    it('should get headers by merkle root with rpc and http endpoints', async () => {
+      const height = 15
+      const hash = await nclient.execute('getblockhash', [height])
+      const header = await nclient.execute('getblockheader', [hash])
+
+      const rpcHeader = await client.execute('getheaderbymerkleroot', [header.merkleroot])
+      assert.equal(rpcHeader.hash, hash)
+      assert.equal(rpcHeader.height, height)
+
+      const httpHeader = await client.get(`/header/merkleroot/${header.merkleroot}`)
+      assert.equal(httpHeader.hash, hash)
+      assert.equal(httpHeader.height, height)
+      assert.equal(httpHeader.mediantime, rpcHeader.mediantime)
+
+      await assert.rejects(client.execute('getheaderbymerkleroot', ['00'.repeat(32)]), /Block not found/)
+    })
+
+    it('should verify merkle proofs with rpc and http endpoints', async () => {
+      const height = 15
+      const hash = await nclient.execute('getblockhash', [height])
+      const block = await nclient.execute('getblock', [hash])
+      const txid = block.tx[0]
+      const proof = await nclient.execute('gettxoutproof', [[txid], hash])
+
+      const expected = [{ txid, blockhash: hash, height, confirmations: headerNode.headerindex.height - height + 1 }]
+
+      assert.deepEqual(await client.execute('verifytxoutproof', [proof]), expected)
+      assert.deepEqual(await client.execute('verifytxoutproof', [proof, height]), expected)
+      assert.deepEqual(await client.post('/verify/merkleproof', { proof, hash }), expected)
+
+      // the proof doesn't match a different block's merkle root
+      assert.deepEqual(await client.post('/verify/merkleproof', { proof, height: height + 1 }), [])
+    })
+
+    it('should verify chainpoint proofs with an http endpoint', async () => {
+      const height = 15
+      const hash = await nclient.execute('getblockhash', [height])
+      const header = await nclient.execute('getblockheader', [hash])
+
+      // a proof with no operations resolves to its own hash
+      const proof = {
+        '@context': 'https://w3id.org/chainpoint/v3',
+        type: 'Chainpoint',
+        hash: fromRev(header.merkleroot).toString('hex'),
+        branches: [{ label: 'btc_anchor_branch', ops: [{ anchors: [{ type: 'tbtc', anchor_id: `${height}` }] }] }]
+      }
+
+      const result = await client.post('/verify/chainpoint', { proof })
+      assert.equal(result.anchors.length, 1)
+      assert.equal(result.anchors[0].verified, true)
+      assert.equal(result.anchors[0].confirmations, headerNode.headerindex.height - height + 1)
+
+      // the proof can also be posted directly
+      const posted = await client.post('/verify/chainpoint', { ...proof, hash: '00'.repeat(32) })
+      assert.equal(posted.anchors[0].verified, false)
+    })
+
+    it('should verify opentimestamps proofs with rpc and http endpoints', async () => {
+      const height = 15
+      const hash = await nclient.execute('getblockhash', [height])
+      const header = await nclient.execute('getblockheader', [hash])
+
+      // a proof with no operations attests to its own digest
+      const proof = createOTSProof(fromRev(header.merkleroot), [[['bitcoin', height]]])
+
+      const result = await client.execute('verifyots', [proof.toString('hex')])
+      assert.equal(result.attestations.length, 1)
+      assert.equal(result.attestations[0].verified, true)
+      assert.equal(result.attestations[0].time, header.time)
+      assert.equal(result.attestations[0].confirmations, headerNode.headerindex.height - height + 1)
+
+      const posted = await client.post('/verify/ots', { proof: proof.toString('base64') })
+      assert.deepEqual(posted, result)
+    })
+
+    it('should not get filter headers when the filter header index is disabled', async () => {
+      assert.strictEqual(headerNode.filterheaders, null)
+      await assert.rejects(client.execute('getcfilterheader', [1]), /Filter header index is not enabled/)
+      await assert.rejects(client.get('/filterheader/1'), /Filter header index is not enabled/)
+    })
+
+    it('should return the reorg history with rpc and http endpoints', async () => {
+      const reorgs = await client.execute('getreorghistory')
+      assert.equal(reorgs.length, 1, 'Expected the reorg to be saved')
+      assert.equal(reorgs[0].depth, 2)
+      assert.equal(reorgs[0].removed.length, 2)
+
+      const since = reorgs[0].time
+      assert.deepEqual(await client.get('/reorgs', { since }), reorgs)
+      assert.deepEqual(await client.get('/reorgs', { since: since + 1 }), [])
+    })
+
     it('should support socket subscriptions to new block events', async () => {
       let tip = await client.getTip()
       assert(tip)
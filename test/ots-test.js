@@ -0,0 +1,66 @@
+'use strict'
+
+const assert = require('bsert')
+const crypto = require('crypto')
+const ots = require('../lib/ots')
+const { createOTSProof } = require('./util/common')
+
+const sha256 = data =>
+  crypto
+    .createHash('sha256')
+    .update(data)
+    .digest()
+
+describe('ots', () => {
+  let digest, proof, root
+
+  before(() => {
+    digest = sha256(Buffer.from('document'))
+    const nonce = 'aa'.repeat(16)
+    const sibling = 'bb'.repeat(32)
+
+    root = sha256(
+      Buffer.concat([Buffer.from(sibling, 'hex'), sha256(Buffer.concat([digest, Buffer.from(nonce, 'hex')]))])
+    )
+
+    proof = createOTSProof(digest, [
+      [['append', nonce], ['sha256'], ['pending', 'https://alice.btc.calendar.opentimestamps.org']],
+      [['append', nonce], ['sha256'], ['prepend', sibling], ['sha256'], ['bitcoin', 600000]]
+    ])
+  })
+
+  it('should parse a detached timestamp file', () => {
+    const file = ots.parse(proof)
+
+    assert.equal(file.version, 1)
+    assert.equal(file.hashOp, 'sha256')
+    assert.bufferEqual(file.digest, digest)
+    assert.equal(file.timestamp.ops.length, 2)
+    assert.deepEqual(
+      file.timestamp.ops.map(item => item.op),
+      ['append', 'append']
+    )
+  })
+
+  it('should replay the operations to each attestation', () => {
+    const attestations = ots.getAttestations(ots.parse(proof).timestamp)
+
+    assert.equal(attestations.length, 2)
+    assert.equal(attestations[0].type, 'pending')
+    assert.equal(attestations[0].uri, 'https://alice.btc.calendar.opentimestamps.org')
+    assert.equal(attestations[1].type, 'bitcoin')
+    assert.equal(attestations[1].height, 600000)
+    assert.bufferEqual(attestations[1].msg, root)
+  })
+
+  it('should reject invalid proofs', () => {
+    assert.throws(() => ots.parse(Buffer.from('not a proof')), /Not an OpenTimestamps proof|Unexpected end/)
+    assert.throws(() => ots.parse(proof.slice(0, proof.length - 1)), /Unexpected end of OpenTimestamps proof/)
+    assert.throws(() => ots.parse(Buffer.concat([proof, Buffer.from([0x00])])), /Unexpected data/)
+
+    const unknown = Buffer.from(proof)
+    // replace the first append with an unknown operation
+    unknown[31 + 1 + 1 + 32 + 1] = 0xee
+    assert.throws(() => ots.parse(unknown), /Unknown OpenTimestamps operation/)
+  })
+})
@@ -0,0 +1,187 @@
+'use strict'
+
+const assert = require('bsert')
+const { protocol } = require('bcoin')
+
+const ParallelSync = require('../lib/parallelsync')
+const { mineHeaders } = require('./util/common')
+
+const { Network } = protocol
+const network = Network.get('regtest')
+
+const logger = { info() {}, debug() {}, warning() {} }
+
+/**
+ * Header index that keeps added headers in memory
+ */
+
+class MockHeaderIndex {
+  constructor(checkpoints) {
+    this.network = { genesis: network.genesis, checkpoints }
+    this.logger = logger
+    this.hashes = [network.genesis.hash]
+    this.height = 0
+    this.added = []
+  }
+
+  async getHash(height) {
+    return this.hashes[height] || null
+  }
+
+  async addHeaders(headers) {
+    for (const header of headers) {
+      assert(header.prevBlock.equals(this.hashes[this.height]), 'Headers do not connect to the tip')
+      this.hashes.push(header.hash())
+      this.height++
+    }
+    this.added.push(this.height)
+    return this.height
+  }
+}
+
+/**
+ * Outbound peer that answers getheaders from a chain of headers,
+ * up to a max number of headers per message like a real peer
+ */
+
+class MockPeer {
+  constructor(id, headers) {
+    this.id = id
+    this.headers = headers
+    this.handshake = true
+    this.outbound = true
+    this.next = null
+    this.requests = []
+    this.banScore = 0
+    this.response = null
+    this.max = 4
+  }
+
+  hostname() {
+    return `127.0.0.1:${this.id}`
+  }
+
+  wait() {
+    return new Promise((resolve, reject) => (this.response = { resolve, reject }))
+  }
+
+  sendGetHeaders([locator], stop) {
+    const start = locator.equals(network.genesis.hash)
+      ? 0
+      : this.headers.findIndex(header => header.hash().equals(locator)) + 1
+    // headers are sent up to the max if the stop hash isn't in the chain
+    const stopIndex = this.headers.findIndex(header => header.hash().equals(stop))
+    const end = stopIndex === -1 ? this.headers.length : stopIndex + 1
+    const items = this.headers.slice(start, Math.min(end, start + this.max))
+
+    this.requests.push([start + 1, start + items.length])
+    setImmediate(() => this.response.resolve({ items }))
+  }
+
+  increaseBan(score) {
+    this.banScore += score
+  }
+}
+
+function createPool(peers) {
+  for (let i = 0; i < peers.length - 1; i++) peers[i].next = peers[i + 1]
+  return { peers: { head: () => peers[0] || null } }
+}
+
+describe('ParallelSync', () => {
+  let headers, checkpoints
+
+  before(() => {
+    headers = mineHeaders(network.genesis.hash, 30, 1571500000)
+    checkpoints = [10, 20, 25].map(height => ({ height, hash: headers[height - 1].hash() }))
+  })
+
+  it('should download the segments between checkpoints from different peers', async () => {
+    const headerindex = new MockHeaderIndex(checkpoints)
+    const peers = [new MockPeer(1, headers), new MockPeer(2, headers), new MockPeer(3, headers)]
+    const sync = new ParallelSync({ headerindex, pool: createPool(peers) })
+
+    const progress = []
+    sync.on('progress', height => progress.push(height))
+
+    assert.strictEqual(await sync.run(), true)
+
+    // each peer was asked for one segment, in multiple requests
+    assert.deepEqual(
+      peers.map(peer => peer.requests),
+      [
+        [
+          [1, 4],
+          [5, 8],
+          [9, 10]
+        ],
+        [
+          [11, 14],
+          [15, 18],
+          [19, 20]
+        ],
+        [
+          [21, 24],
+          [25, 25]
+        ]
+      ]
+    )
+
+    // the segments were added in order and the headers after the last checkpoint were left to the pool
+    assert.deepEqual(headerindex.added, [10, 20, 25])
+    assert.deepEqual(progress, [10, 20, 25])
+    assert.equal(headerindex.height, 25)
+    assert.bufferEqual(headerindex.hashes[25], checkpoints[2].hash)
+    assert.deepEqual(sync.getStatus(), {
+      running: false,
+      height: 25,
+      target: 25,
+      segments: 3,
+      remaining: 0,
+      downloading: 0
+    })
+  })
+
+  it('should download a segment again from another peer if it does not match the checkpoint', async () => {
+    const headerindex = new MockHeaderIndex(checkpoints)
+
+    // the first peer is on another chain after height 5
+    const fork = [...headers.slice(0, 5), ...mineHeaders(headers[4].hash(), 25, 1571600000)]
+    const peers = [new MockPeer(1, fork), new MockPeer(2, headers)]
+    const sync = new ParallelSync({ headerindex, pool: createPool(peers), retryInterval: 10 })
+
+    assert.strictEqual(await sync.run(), true)
+
+    assert.equal(peers[0].banScore, 100)
+    assert.deepEqual(headerindex.added, [10, 20, 25])
+    assert.bufferEqual(headerindex.hashes[10], checkpoints[0].hash)
+  })
+
+  it('should start from the tip of the header index', async () => {
+    const headerindex = new MockHeaderIndex(checkpoints)
+    await headerindex.addHeaders(headers.slice(0, 22))
+
+    const sync = new ParallelSync({ headerindex, pool: createPool([new MockPeer(1, headers)]) })
+    const segments = await sync.getSegments()
+
+    assert.deepEqual(
+      segments.map(({ start, end }) => [start.height, end.height]),
+      [[22, 25]]
+    )
+    assert.bufferEqual(segments[0].start.hash, headers[21].hash())
+
+    assert.strictEqual(await sync.run(), true)
+    assert.equal(headerindex.height, 25)
+  })
+
+  it('should stop without adding unfinished segments', async () => {
+    const headerindex = new MockHeaderIndex(checkpoints)
+    const sync = new ParallelSync({ headerindex, pool: createPool([]), retryInterval: 1000 })
+
+    const job = sync.run()
+    setImmediate(() => sync.stop())
+
+    assert.strictEqual(await job, false)
+    assert.equal(headerindex.height, 0)
+  })
+})
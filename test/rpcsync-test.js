@@ -0,0 +1,192 @@
+'use strict'
+
+const assert = require('bsert')
+const { protocol } = require('bcoin')
+
+const RPCSync = require('../lib/rpcsync')
+const { revHex } = require('../lib/util')
+const { mineHeaders } = require('./util/common')
+
+const { Network } = protocol
+const network = Network.get('regtest')
+
+const logger = { info() {}, debug() {}, warning() {} }
+
+/**
+ * Header index with the hashes of the main chain
+ */
+
+class MockHeaderIndex {
+  constructor() {
+    this.network = network
+    this.logger = logger
+    this.hashes = [network.genesis.hash]
+    this.height = 0
+  }
+
+  getLowestHeight() {
+    return 0
+  }
+
+  async getHash(height) {
+    return this.hashes[height] || null
+  }
+}
+
+/**
+ * Chain that keeps every branch and makes the longest one the
+ * main chain of the header index, like a reorg on more work
+ */
+
+class MockChain {
+  constructor(headerindex) {
+    this.headerindex = headerindex
+    this.entries = new Map([[network.genesis.hash.toString('hex'), { hash: network.genesis.hash, height: 0 }]])
+  }
+
+  async add(header) {
+    const key = header.hash().toString('hex')
+    if (this.entries.has(key)) throw Object.assign(new Error('duplicate'), { type: 'VerifyError', reason: 'duplicate' })
+
+    const prev = this.entries.get(header.prevBlock.toString('hex'))
+    if (!prev) return null
+
+    const entry = { hash: header.hash(), height: prev.height + 1, prev }
+    this.entries.set(key, entry)
+
+    if (entry.height > this.headerindex.height) {
+      this.headerindex.height = entry.height
+      for (let item = entry; item.prev; item = item.prev) this.headerindex.hashes[item.height] = item.hash
+      this.headerindex.hashes.length = entry.height + 1
+    }
+
+    return entry
+  }
+}
+
+/**
+ * JSON-RPC client for an upstream node with a chain of headers
+ */
+
+class MockClient {
+  constructor(headers) {
+    this.ssl = false
+    this.host = '127.0.0.1'
+    this.port = 8332
+    this.path = '/'
+    this.headers = headers
+    this.batches = []
+  }
+
+  async execute(endpoint, method) {
+    assert.equal(method, 'getblockcount')
+    return this.headers.length
+  }
+
+  async post(endpoint, calls) {
+    this.batches.push([calls[0].method, calls.length])
+    return calls.map(({ id, method, params }) => ({ id, result: this.call(method, params), error: null }))
+  }
+
+  call(method, [param]) {
+    if (method === 'getblockhash') return param === 0 ? revHex(network.genesis.hash) : this.headers[param - 1].rhash()
+
+    const header = this.headers.find(item => item.rhash() === param)
+    return header.toHead().toString('hex')
+  }
+}
+
+describe('RPCSync', () => {
+  let main, headerindex, chain
+
+  before(() => {
+    main = mineHeaders(network.genesis.hash, 10, 1571500000)
+  })
+
+  beforeEach(() => {
+    headerindex = new MockHeaderIndex()
+    chain = new MockChain(headerindex)
+  })
+
+  it('should add the headers from the upstream node in batches', async () => {
+    const client = new MockClient(main)
+    const sync = new RPCSync({ headerindex, chain, client, batchSize: 4 })
+    sync.running = true
+
+    const progress = []
+    sync.on('progress', height => progress.push(height))
+
+    assert.equal(await sync.sync(), 10)
+
+    assert.deepEqual(progress, [4, 8, 10])
+    assert.bufferEqual(headerindex.hashes[10], main[9].hash())
+    assert.deepEqual(client.batches, [
+      ['getblockhash', 1],
+      ['getblockhash', 4],
+      ['getblockheader', 4],
+      ['getblockhash', 4],
+      ['getblockheader', 4],
+      ['getblockhash', 2],
+      ['getblockheader', 2]
+    ])
+
+    // nothing is requested once the index is at the upstream tip
+    client.batches.length = 0
+    assert.equal(await sync.sync(), 10)
+    assert.deepEqual(client.batches, [['getblockhash', 1]])
+    assert.equal(sync.getStatus().reorgs, 0)
+  })
+
+  it('should follow a reorg of the upstream node', async () => {
+    const client = new MockClient(main)
+    const sync = new RPCSync({ headerindex, chain, client })
+    sync.running = true
+
+    await sync.sync()
+
+    // the upstream node switched to a longer branch that forked at height 7
+    client.headers = [...main.slice(0, 7), ...mineHeaders(main[6].hash(), 5, 1571600000)]
+
+    assert.equal(await sync.sync(), 12)
+
+    assert.equal(sync.getStatus().reorgs, 1)
+    assert.equal(sync.getStatus().upstreamHeight, 12)
+    assert.bufferEqual(headerindex.hashes[7], main[6].hash())
+    assert.bufferEqual(headerindex.hashes[12], client.headers[11].hash())
+  })
+
+  it('should reject headers that do not match their hash', async () => {
+    const client = new MockClient(main)
+    const call = client.call.bind(client)
+    // the header at height 3 is answered for the hash at height 2
+    client.call = (method, params) =>
+      method === 'getblockheader' && params[0] === main[1].rhash()
+        ? call(method, [main[2].rhash()])
+        : call(method, params)
+
+    const sync = new RPCSync({ headerindex, chain, client })
+    sync.running = true
+
+    await assert.rejects(sync.sync(), /does not match its hash/)
+    assert.equal(headerindex.height, 0)
+  })
+
+  it('should poll until stopped', async () => {
+    const client = new MockClient(main)
+    const sync = new RPCSync({ headerindex, chain, client, interval: 1000 })
+
+    sync.start()
+    await new Promise(resolve => sync.once('progress', resolve))
+    await sync.stop()
+
+    assert.equal(headerindex.height, 10)
+    assert.deepEqual(sync.getStatus(), {
+      running: false,
+      upstream: 'http://127.0.0.1:8332/',
+      height: 10,
+      upstreamHeight: 10,
+      lastPoll: sync.lastPoll,
+      reorgs: 0
+    })
+  })
+})
@@ -0,0 +1,209 @@
+'use strict'
+
+const assert = require('bsert')
+const EventEmitter = require('events')
+const { Headers, protocol } = require('bcoin')
+
+const TipMonitor = require('../lib/tipmonitor')
+const { mineHeaders } = require('./util/common')
+
+const { Network } = protocol
+const network = Network.get('regtest')
+
+const logger = { info() {}, debug() {}, warning() {} }
+
+/**
+ * Header index with a chain of mined headers
+ */
+
+class MockHeaderIndex extends EventEmitter {
+  constructor(headers) {
+    super()
+    this.network = network
+    this.logger = logger
+    this.headers = [null, ...headers]
+    this.height = headers.length
+  }
+
+  async getLocator() {
+    return [this.headers[this.height].hash(), this.headers[1].hash()]
+  }
+
+  async getHash(height) {
+    return height === 0 ? network.genesis.hash : this.headers[height].hash()
+  }
+
+  async getHeader(height) {
+    return this.headers[height]
+  }
+
+  async getHeightByHash(hash) {
+    const height = this.headers.findIndex(header => header && header.hash().equals(hash))
+    return height === -1 ? null : height
+  }
+}
+
+/**
+ * Outbound peer that answers getheaders with a list of headers
+ */
+
+class MockPeer extends EventEmitter {
+  constructor(id, headers, bestHeight = -1) {
+    super()
+    this.id = id
+    this.headers = headers
+    this.bestHeight = bestHeight
+    this.outbound = true
+    this.handshake = true
+    this.loader = false
+    this.next = null
+    this.destroyed = false
+    this.banScore = 0
+  }
+
+  hostname() {
+    return `127.0.0.1:${this.id}`
+  }
+
+  sendGetHeaders() {
+    setImmediate(() => this.emit('packet', { cmd: 'headers', items: this.headers }))
+  }
+
+  destroy() {
+    this.destroyed = true
+  }
+
+  increaseBan(score) {
+    this.banScore += score
+  }
+}
+
+function createPool(peers, load = null) {
+  for (let i = 0; i < peers.length - 1; i++) peers[i].next = peers[i + 1]
+  return {
+    chain: { synced: true },
+    peers: { head: () => peers[0] || null, load },
+    tipChecks: new Set()
+  }
+}
+
+describe('TipMonitor', () => {
+  let main, headerindex
+
+  before(() => {
+    main = mineHeaders(network.genesis.hash, 20, 1571500000)
+    // the index is 2 blocks behind the main chain
+    headerindex = new MockHeaderIndex(main.slice(0, 18))
+  })
+
+  function createMonitor(peers) {
+    return new TipMonitor({ headerindex, pool: createPool(peers), threshold: 3, timeout: 1000 })
+  }
+
+  it('should agree with peers on the same chain within the threshold', async () => {
+    const peers = [new MockPeer(1, []), new MockPeer(2, main.slice(18)), new MockPeer(3, main.slice(10, 16))]
+    const monitor = createMonitor(peers)
+
+    const status = await monitor.check()
+
+    assert.deepEqual(
+      status.results.map(result => [result.id, result.height, result.status]),
+      [
+        [1, 18, 'synced'],
+        [2, 20, 'synced'],
+        [3, 16, 'synced']
+      ]
+    )
+    assert.equal(status.agreeing, 3)
+    assert.equal(status.disagreeing, 0)
+    assert.equal(status.flagged, false)
+    assert(peers.every(peer => !peer.destroyed))
+    assert.equal(monitor.pool.tipChecks.size, 0)
+  })
+
+  it('should not check the loader peer', async () => {
+    const loader = new MockPeer(1, [], 10)
+    loader.loader = true
+    loader.sendGetHeaders = () => assert.fail('Expected no tip check request to the loader')
+
+    const peers = [loader, new MockPeer(2, main.slice(18))]
+    const monitor = new TipMonitor({ headerindex, pool: createPool(peers, loader), threshold: 3, timeout: 1000 })
+
+    const status = await monitor.check()
+
+    assert.deepEqual(
+      status.results.map(result => [result.id, result.status]),
+      [[2, 'synced']]
+    )
+    assert(!loader.destroyed)
+  })
+
+  it('should disconnect peers that are behind or on a divergent chain with less work', async () => {
+    const fork = headerindex.headers[12].hash()
+    const stale = mineHeaders(fork, 3, 1571600000)
+    // a header with the same fields as a mined one but a much harder target
+    const badPow = mineHeaders(main[17].hash(), 1, 1571700000).map(header => {
+      const copy = Headers.fromHead(header.toHead())
+      copy.bits = 0x1d00ffff
+      return copy
+    })
+
+    const peers = [
+      new MockPeer(1, [], 10),
+      new MockPeer(2, stale),
+      new MockPeer(3, main.slice(2, 10)),
+      new MockPeer(4, badPow)
+    ]
+    const status = await createMonitor(peers).check()
+
+    assert.deepEqual(
+      status.results.map(result => [result.height, result.status]),
+      [
+        [10, 'behind'],
+        [15, 'divergent'],
+        [10, 'behind'],
+        [-1, 'invalid']
+      ]
+    )
+    assert.deepEqual(
+      peers.map(peer => peer.destroyed),
+      [true, true, true, false]
+    )
+    assert.equal(peers[3].banScore, 100)
+    assert.equal(status.disagreeing, 3)
+    assert.equal(status.flagged, false)
+  })
+
+  it('should flag peers with a chain that has more work than the index', async () => {
+    const better = mineHeaders(headerindex.headers[16].hash(), 4, 1571800000)
+    const ahead = mineHeaders(main[19].hash(), 3, 1571900000)
+    const peers = [new MockPeer(1, better), new MockPeer(2, [...main.slice(18), ...ahead]), new MockPeer(3, [])]
+    const monitor = createMonitor(peers)
+
+    let event = null
+    monitor.once('disagreement', status => (event = status))
+
+    const status = await monitor.check()
+
+    assert.deepEqual(
+      status.results.map(result => [result.height, result.status]),
+      [
+        [20, 'better'],
+        [23, 'ahead'],
+        [18, 'synced']
+      ]
+    )
+    assert.equal(status.flagged, true)
+    assert.strictEqual(event, status)
+    assert(peers.every(peer => !peer.destroyed))
+    assert.deepEqual(monitor.getStatus(), status)
+  })
+
+  it('should skip checks until the chain is synced', async () => {
+    const monitor = createMonitor([new MockPeer(1, [])])
+    monitor.chain.synced = false
+
+    assert.strictEqual(await monitor.check(), null)
+    assert.equal(monitor.getStatus().lastCheck, -1)
+  })
+})
@@ -108,4 +108,25 @@ describe('utils', () => {
       assert(failed, 'expected it to fail when not passing in "main" or "testnet" as first arg')
     })
   })
+
+  describe('convertEsploraMeta', () => {
+    it('should convert esplora block json to chain entry options', () => {
+      const meta = {
+        id: '0000000000000000189bba3564a63772107b5673c940c16f12662b3e8546b412',
+        height: 294322,
+        version: 2,
+        timestamp: 1396684158,
+        bits: 419486617,
+        nonce: 1225187768,
+        merkle_root: '359d624d37aee1efa5662b7f5dbc390e996d561afc8148e8d716cf6ad765a952',
+        previousblockhash: '0000000000000000ced0958bd27720b71d32c5847e40660aaca39f33c298abb0'
+      }
+
+      const entry = ChainEntry.fromOptions(utils.convertEsploraMeta(meta))
+      assert.strictEqual(entry.height, meta.height)
+      assert.strictEqual(entry.time, meta.timestamp)
+      assert.bufferEqual(entry.hash, utils.fromRev(meta.id))
+      assert.bufferEqual(entry.toHeaders().hash(), entry.hash)
+    })
+  })
 })
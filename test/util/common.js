@@ -1,6 +1,7 @@
 'use strict'
 const fs = require('bfile')
 const assert = require('bsert')
+const { Headers, protocol } = require('bcoin')
 
 const common = exports
 
@@ -41,3 +42,75 @@ common.setCustomCheckpoint = function(obj, height = 0, hash) {
     obj.network.checkpoints = []
   }
 }
+
+/*
+ * Serialize an OpenTimestamps proof for a sha256 digest. Each branch
+ * is a list of operations from the digest that ends in an attestation:
+ * ['append', hex], ['prepend', hex], ['sha256'], ['bitcoin', height] or ['pending', uri]
+ * @param {Buffer} digest
+ * @param {Array[]} branches
+ * @returns {Buffer}
+ */
+common.createOTSProof = function(digest, branches) {
+  const varint = num => {
+    const bytes = []
+    do {
+      bytes.push((num & 0x7f) | (num > 0x7f ? 0x80 : 0))
+      num >>>= 7
+    } while (num)
+    return Buffer.from(bytes)
+  }
+  const varbytes = data => Buffer.concat([varint(data.length), data])
+
+  const items = {
+    append: hex => Buffer.concat([Buffer.from([0xf0]), varbytes(Buffer.from(hex, 'hex'))]),
+    prepend: hex => Buffer.concat([Buffer.from([0xf1]), varbytes(Buffer.from(hex, 'hex'))]),
+    sha256: () => Buffer.from([0x08]),
+    bitcoin: height => Buffer.concat([Buffer.from('000588960d73d71901', 'hex'), varbytes(varint(height))]),
+    pending: uri => Buffer.concat([Buffer.from('0083dfe30d2ef90c8e', 'hex'), varbytes(varbytes(Buffer.from(uri)))])
+  }
+
+  const parts = [
+    Buffer.from('004f70656e54696d657374616d7073000050726f6f6600bf89e2e884e89294', 'hex'),
+    varint(1),
+    Buffer.from([0x08]),
+    digest
+  ]
+
+  branches.forEach((branch, i) => {
+    if (i < branches.length - 1) parts.push(Buffer.from([0xff]))
+    for (const [type, arg] of branch) parts.push(items[type](arg))
+  })
+
+  return Buffer.concat(parts)
+}
+
+/*
+ * Mine a chain of headers with regtest's easy proof of work
+ * @param {Buffer} prev - hash of the block to build on
+ * @param {Number} count
+ * @param {Number} time - time of the first header
+ * @returns {Headers[]}
+ */
+common.mineHeaders = function(prev, count, time) {
+  const { bits } = protocol.Network.get('regtest').pow
+  const headers = []
+
+  for (let i = 0; i < count; i++) {
+    for (let nonce = 0; ; nonce++) {
+      const header = new Headers()
+      header.prevBlock = prev
+      header.merkleRoot = Buffer.alloc(32, 0x01)
+      header.time = time + i
+      header.bits = bits
+      header.nonce = nonce
+      if (header.verify()) {
+        headers.push(header)
+        prev = header.hash()
+        break
+      }
+    }
+  }
+
+  return headers
+}
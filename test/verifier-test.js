@@ -0,0 +1,233 @@
+'use strict'
+
+const assert = require('bsert')
+const { Block, MerkleBlock, MTX, Headers, Network } = require('bcoin')
+const hash256 = require('bcrypto/lib/hash256')
+const sha256 = require('bcrypto/lib/sha256')
+const ProofVerifier = require('../lib/verifier')
+const { revHex } = require('../lib/util')
+const { createOTSProof } = require('./util/common')
+
+describe('ProofVerifier', () => {
+  let block, verifier, headers
+
+  before(() => {
+    block = new Block()
+    block.time = 1571500000
+
+    for (let i = 0; i < 3; i++) {
+      const mtx = new MTX()
+      mtx.addInput({ prevout: { hash: Buffer.alloc(32, i + 1), index: 0 } })
+      mtx.addOutput({ value: 1000 + i })
+      block.txs.push(mtx.toTX())
+    }
+
+    block.merkleRoot = block.createMerkleRoot()
+
+    // index the block's header at height 10 with a tip of 14
+    headers = new Map([[10, Headers.fromHead(block.toHead())]])
+    const headerindex = {
+      network: Network.get('regtest'),
+      height: 14,
+      getHeader: async height => headers.get(height) || null,
+      getHash: async height => (headers.has(height) ? headers.get(height).hash() : null),
+      getHeightByHash: async hash => (hash.equals(block.hash()) ? 10 : null)
+    }
+
+    verifier = new ProofVerifier({ headerindex })
+  })
+
+  describe('verifyMerkleProof', () => {
+    it('should return the txid, height and confirmations for a valid proof', async () => {
+      const tx = block.txs[1]
+      const proof = MerkleBlock.fromHashes(block, [tx.hash()]).toRaw()
+
+      const result = await verifier.verifyMerkleProof(proof)
+
+      assert.deepEqual(result, [{ txid: tx.txid(), blockhash: block.rhash(), height: 10, confirmations: 5 }])
+    })
+
+    it('should check the proof against the header at a given height or hash', async () => {
+      const proof = MerkleBlock.fromHashes(block, [block.txs[0].hash()]).toRaw()
+
+      const byHeight = await verifier.verifyMerkleProof(proof, { height: 10 })
+      assert.equal(byHeight.length, 1)
+
+      const byHash = await verifier.verifyMerkleProof(proof, { hash: block.hash() })
+      assert.equal(byHash[0].txid, block.txs[0].txid())
+
+      // a different header doesn't have the proof's merkle root
+      const other = Headers.fromHead(block.toHead())
+      other.merkleRoot = Buffer.alloc(32, 0x01)
+      headers.set(11, other)
+      assert.deepEqual(await verifier.verifyMerkleProof(proof, { height: 11 }), [])
+    })
+
+    it('should throw for proofs that are malformed or for unknown blocks', async () => {
+      const proof = MerkleBlock.fromHashes(block, [block.txs[2].hash()])
+
+      await assert.rejects(verifier.verifyMerkleProof(Buffer.from('00', 'hex')), /Could not decode merkle proof/)
+      await assert.rejects(verifier.verifyMerkleProof(proof.toRaw(), { height: 20 }), /after the tip/)
+      await assert.rejects(verifier.verifyMerkleProof(proof.toRaw(), { height: 12 }), /not found in header index/)
+
+      const hash = Buffer.alloc(32, 0x02)
+      await assert.rejects(verifier.verifyMerkleProof(proof.toRaw(), { hash }), new RegExp(revHex(hash)))
+    })
+
+    it('should only throw proof errors for problems with the proof', async () => {
+      const proof = MerkleBlock.fromHashes(block, [block.txs[2].hash()]).toRaw()
+
+      await assert.rejects(verifier.verifyMerkleProof(Buffer.from('00', 'hex')), { type: 'ProofError' })
+      await assert.rejects(verifier.verifyMerkleProof(proof, { height: 20 }), { type: 'ProofError' })
+
+      // errors reading the header index are passed through
+      const { getHeader } = verifier.headerindex
+      verifier.headerindex.getHeader = async () => {
+        throw new Error('Database is closed')
+      }
+
+      try {
+        const error = await verifier.verifyMerkleProof(proof, { height: 10 }).catch(e => e)
+        assert.equal(error.message, 'Database is closed')
+        assert.notEqual(error.type, 'ProofError')
+      } finally {
+        verifier.headerindex.getHeader = getHeader
+      }
+    })
+  })
+
+  describe('verifyChainpoint', () => {
+    let proof
+
+    before(() => {
+      const hash = Buffer.alloc(32, 0xaa)
+      const right = Buffer.alloc(32, 0xbb)
+
+      // index a header with the merkle root the proof's btc branch resolves to
+      const header = Headers.fromHead(block.toHead())
+      header.merkleRoot = hash256.digest(Buffer.concat([hash, right]))
+      headers.set(13, header)
+
+      proof = {
+        '@context': 'https://w3id.org/chainpoint/v4',
+        type: 'Chainpoint',
+        hash: hash.toString('hex'),
+        branches: [
+          {
+            label: 'btc_anchor_branch',
+            ops: [
+              { r: right.toString('hex') },
+              { op: 'sha-256-x2' },
+              {
+                anchors: [
+                  { type: 'tbtc', anchor_id: '13' },
+                  { type: 'tbtc', anchor_id: '10' }
+                ]
+              }
+            ]
+          }
+        ]
+      }
+    })
+
+    it('should verify bitcoin anchors against the indexed headers', async () => {
+      const result = await verifier.verifyChainpoint(proof)
+
+      assert.equal(result.version, 4)
+      assert.equal(result.hash, proof.hash)
+      assert.equal(result.anchors.length, 2)
+
+      const [valid, invalid] = result.anchors
+      assert.equal(valid.verified, true)
+      assert.equal(valid.height, 13)
+      assert.equal(valid.confirmations, 2)
+      assert.equal(valid.merkleRoot, revHex(headers.get(13).merkleRoot))
+
+      assert.equal(invalid.verified, false)
+      assert.equal(invalid.confirmations, 0)
+      assert.equal(invalid.reason, 'Merkle root does not match the header')
+    })
+
+    it('should not verify anchors for another network or missing headers', async () => {
+      const anchors = [
+        { type: 'btc', anchor_id: '13' },
+        { type: 'tbtc', anchor_id: '20' }
+      ]
+      const ops = [...proof.branches[0].ops.slice(0, 2), { anchors }]
+      const result = await verifier.verifyChainpoint({ ...proof, branches: [{ ops }] })
+
+      assert.deepEqual(
+        result.anchors.map(anchor => [anchor.verified, anchor.reason]),
+        [
+          [false, 'Anchor type btc is not for regtest'],
+          [false, 'Header not found in header index']
+        ]
+      )
+    })
+
+    it('should throw for invalid proofs', async () => {
+      await assert.rejects(verifier.verifyChainpoint({ type: 'Chainpoint' }), /Invalid Chainpoint proof/)
+    })
+  })
+  describe('verifyOTS', () => {
+    let digest, nonce
+
+    before(() => {
+      digest = Buffer.alloc(32, 0xcc)
+      nonce = Buffer.alloc(16, 0xdd)
+
+      // index the tip with the merkle root the proof's bitcoin attestation commits to
+      const header = Headers.fromHead(block.toHead())
+      header.time = 1571600000
+      header.merkleRoot = sha256.digest(Buffer.concat([digest, nonce]))
+      headers.set(14, header)
+    })
+
+    it('should verify bitcoin attestations and report the time of the header', async () => {
+      const proof = createOTSProof(digest, [
+        [['pending', 'https://a.pool.opentimestamps.org']],
+        [['append', nonce.toString('hex')], ['sha256'], ['bitcoin', 14]]
+      ])
+
+      const result = await verifier.verifyOTS(proof)
+
+      assert.equal(result.hashOp, 'sha256')
+      assert.equal(result.digest, digest.toString('hex'))
+      assert.deepEqual(result.attestations[0], {
+        type: 'pending',
+        verified: false,
+        confirmations: 0,
+        uri: 'https://a.pool.opentimestamps.org',
+        reason: 'Can not verify pending attestations'
+      })
+
+      const [, attestation] = result.attestations
+      assert.equal(attestation.verified, true)
+      assert.equal(attestation.height, 14)
+      assert.equal(attestation.time, 1571600000)
+      assert.equal(attestation.confirmations, 1)
+      assert.equal(attestation.merkleRoot, revHex(headers.get(14).merkleRoot))
+    })
+
+    it('should not verify attestations for other blocks', async () => {
+      const proof = createOTSProof(digest, [
+        [['append', nonce.toString('hex')], ['sha256'], ['bitcoin', 13]],
+        [['bitcoin', 20]]
+      ])
+
+      const result = await verifier.verifyOTS(proof)
+
+      assert.deepEqual(
+        result.attestations.map(attestation => [attestation.verified, attestation.time, attestation.reason]),
+        [
+          [false, null, 'Merkle root does not match the header'],
+          [false, null, 'Header not found in header index']
+        ]
+      )
+    })
+
+    it('should throw for invalid proofs', async () => {
+      await assert.rejects(verifier.verifyOTS(Buffer.from('00', 'hex')), /Invalid OpenTimestamps proof/)
+    })
+  })
+})
@@ -0,0 +1,126 @@
+'use strict'
+
+const assert = require('bsert')
+
+const StallWatchdog = require('../lib/watchdog')
+
+const logger = { info() {}, debug() {}, warning() {} }
+
+/**
+ * Header index with a header every 10 minutes and a fixed network-adjusted time
+ */
+
+class MockHeaderIndex {
+  constructor(height, now) {
+    this.network = { now: () => now }
+    this.logger = logger
+    this.height = height
+  }
+
+  async getHeader(height) {
+    return { time: 1571500000 + height * 600 }
+  }
+}
+
+class MockPeer {
+  constructor(id, bestHeight) {
+    this.id = id
+    this.bestHeight = bestHeight
+    this.outbound = true
+    this.handshake = true
+    this.next = null
+  }
+}
+
+/**
+ * Pool that records the calls made to recover the sync
+ */
+
+function createPool(peers) {
+  for (let i = 0; i < peers.length - 1; i++) peers[i].next = peers[i + 1]
+  return {
+    syncing: true,
+    calls: [],
+    peers: { head: () => peers[0] || null },
+    async resync(force) {
+      this.calls.push(['resync', force])
+    },
+    rotateLoader() {
+      this.calls.push(['rotateLoader'])
+    }
+  }
+}
+
+describe('StallWatchdog', () => {
+  it('should not stall while the tip moves', async () => {
+    const headerindex = new MockHeaderIndex(100, 1571500000 + 200 * 600)
+    const pool = createPool([new MockPeer(1, 150)])
+    const watchdog = new StallWatchdog({ headerindex, pool })
+
+    assert.equal((await watchdog.check()).stalled, false)
+    headerindex.height = 120
+    assert.equal((await watchdog.check()).stalled, false)
+
+    assert.deepEqual(pool.calls, [])
+  })
+
+  it('should resync with a new loader when peers announced a higher height', async () => {
+    const headerindex = new MockHeaderIndex(100, 1571500000 + 100 * 600)
+    const pool = createPool([new MockPeer(1, 100), new MockPeer(2, 104)])
+    const watchdog = new StallWatchdog({ headerindex, pool })
+
+    const events = []
+    watchdog.on('stall', status => events.push(status))
+
+    assert.equal((await watchdog.check()).stalled, false)
+
+    const status = await watchdog.check()
+
+    assert.equal(status.stalled, true)
+    assert.equal(status.height, 100)
+    assert.equal(status.bestHeight, 104)
+    assert.equal(status.reason, 'peers announced height 104')
+    assert.equal(status.recoveries, 1)
+    assert.equal(status.since, status.lastCheck)
+    assert.deepEqual(events, [status])
+    assert.deepEqual(pool.calls, [['resync', true], ['rotateLoader']])
+
+    // the sync is recovered again on the next check and keeps the time it stalled
+    const since = status.since
+    const next = await watchdog.check()
+    assert.equal(next.recoveries, 2)
+    assert.equal(next.since, since)
+    assert.equal(pool.calls.length, 4)
+
+    headerindex.height = 104
+    assert.deepEqual(await watchdog.check(), watchdog.getStatus())
+    assert.equal(watchdog.getStatus().stalled, false)
+    assert.equal(events.length, 2)
+  })
+
+  it('should stall when the tip is older than the max tip age', async () => {
+    const headerindex = new MockHeaderIndex(100, 1571500000 + 100 * 600 + 3601)
+    const pool = createPool([new MockPeer(1, 100)])
+    const watchdog = new StallWatchdog({ headerindex, pool, maxTipAge: 3600 })
+
+    await watchdog.check()
+    const status = await watchdog.check()
+
+    assert.equal(status.stalled, true)
+    assert.equal(status.tipAge, 3601)
+    assert.equal(status.reason, 'tip is 3601 seconds old')
+
+    // a tip within the max age is not stale
+    watchdog.maxTipAge = 7200
+    assert.equal((await watchdog.check()).stalled, false)
+  })
+
+  it('should skip checks while the pool is not syncing', async () => {
+    const pool = createPool([])
+    pool.syncing = false
+    const watchdog = new StallWatchdog({ headerindex: new MockHeaderIndex(100, 0), pool })
+
+    assert.strictEqual(await watchdog.check(), null)
+    assert.deepEqual(watchdog.getStatus(), { stalled: false, lastCheck: -1, maxTipAge: 5400 })
+  })
+})